@@ -0,0 +1,2678 @@
+// Simulation core for the edge growth demo. It has no DOM or three.js addon
+// dependencies, so the same code runs in the Web Worker and, as a fallback,
+// on the main thread. Workers do not see the page import map, so three is
+// imported by the same URL the map points at and the page keeps one copy.
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.155.0/build/three.module.js';
+import { createRandom } from './random.js';
+
+// Color map stops: cool-warm for signed values, a viridis-like ramp for magnitudes
+const DIVERGING_COLORS = [[0.23, 0.30, 0.75], [0.87, 0.87, 0.87], [0.71, 0.02, 0.15]];
+const SEQUENTIAL_COLORS = [[0.27, 0.00, 0.33], [0.23, 0.32, 0.55], [0.13, 0.57, 0.55], [0.37, 0.79, 0.38], [0.99, 0.91, 0.14]];
+const WEIGHT_COLORS = [[0, 0, 1], [1, 1, 1], [1, 0, 0]];
+
+// Shading modes. Height keeps its own boundary/interior scheme; the others map
+// a per-vertex value through a color map. Dynamic modes are recolored every step.
+export const SHADING_MODES = {
+    height: { label: 'Height', colors: null },
+    growthWeight: { label: 'Painted Growth Rate', unit: '×', colors: WEIGHT_COLORS },
+    age: { label: 'Vertex Age', unit: 's', colors: SEQUENTIAL_COLORS, dynamic: true },
+    growthRate: { label: 'Growth Rate', unit: 'u/s²', colors: SEQUENTIAL_COLORS, dynamic: true },
+    meanCurvature: { label: 'Mean Curvature', unit: '1/u', colors: DIVERGING_COLORS, diverging: true, dynamic: true },
+    strain: { label: 'Edge Strain', unit: '', colors: DIVERGING_COLORS, diverging: true, dynamic: true },
+    collisions: { label: 'Collision Frequency', unit: 'hits/s', colors: SEQUENTIAL_COLORS, dynamic: true }
+};
+
+// Linearly interpolate a color map at t in [0, 1]
+export function sampleColorMap(stops, t) {
+    const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    const f = scaled - i;
+    return [0, 1, 2].map(c => stops[i][c] + (stops[i + 1][c] - stops[i][c]) * f);
+}
+
+// Weld a flat triangle soup into shared vertices, dropping triangles that collapse
+function weldTriangles(soup, tolerance = 1e-4) {
+    const positions = [];
+    const faces = [];
+    const lookup = new Map();
+    const corner = new Array(3);
+    
+    for (let i = 0; i < soup.length; i += 9) {
+        for (let k = 0; k < 3; k++) {
+            const x = soup[i + k * 3], y = soup[i + k * 3 + 1], z = soup[i + k * 3 + 2];
+            const key = `${Math.round(x / tolerance)}_${Math.round(y / tolerance)}_${Math.round(z / tolerance)}`;
+            
+            let index = lookup.get(key);
+            if (index === undefined) {
+                index = positions.length;
+                lookup.set(key, index);
+                positions.push(new THREE.Vector3(x, y, z));
+            }
+            corner[k] = index;
+        }
+        
+        if (corner[0] !== corner[1] && corner[1] !== corner[2] && corner[0] !== corner[2]) {
+            faces.push([corner[0], corner[1], corner[2]]);
+        }
+    }
+    
+    return { positions, faces };
+}
+
+// Run one message from the page against a simulation. Returns the reply to
+// post back (with its transferable buffers), or null when there is none.
+export function handleSimulationMessage(simulation, data) {
+    switch (data.type) {
+        case 'settings':
+            simulation.applySettings(data.settings);
+            return simulation.colorsChanged ? createFrameMessage(simulation, false, 0) : null;
+            
+        case 'importSeed':
+            simulation.setImportedSeed(data.soup, data.size);
+            return null;
+            
+        case 'reset':
+            simulation.setSeed(data.seed);
+            simulation.createSeedMesh(data.shape, data.gridSize, data.size);
+            return createFrameMessage(simulation, false, 0);
+            
+        case 'smooth':
+            simulation.performAdaptiveSmoothing();
+            return createFrameMessage(simulation, false, 0);
+            
+        case 'paint':
+            simulation.paintGrowthWeights(data.center, data.radius, data.target, data.strength, data.falloff);
+            return createFrameMessage(simulation, false, 0);
+            
+        case 'resetWeights':
+            simulation.resetGrowthWeights();
+            return createFrameMessage(simulation, false, 0);
+            
+        case 'saveCheckpoint': {
+            const checkpoint = simulation.getCheckpoint();
+            return { message: { type: 'checkpoint', checkpoint }, transfer: checkpointBuffers(checkpoint) };
+        }
+            
+        case 'loadCheckpoint':
+            simulation.loadCheckpoint(data.checkpoint);
+            return createFrameMessage(simulation, false, 0);
+            
+        case 'step': {
+            // Several fixed steps may be asked for at once; the frame reports the mean step time
+            const count = Math.max(1, data.count || 1);
+            const start = performance.now();
+            for (let i = 0; i < count; i++) {
+                simulation.update();
+            }
+            return createFrameMessage(simulation, true, (performance.now() - start) / count);
+        }
+            
+        default:
+            console.warn("Unknown simulation message:", data.type);
+            return null;
+    }
+}
+
+// Package the current buffers as a frame message
+function createFrameMessage(simulation, step, stepTime) {
+    const frame = simulation.getFrame();
+    const transfer = [frame.positions.buffer, frame.normals.buffer];
+    if (frame.indices) transfer.push(frame.indices.buffer);
+    if (frame.colors) transfer.push(frame.colors.buffer);
+    if (frame.intersections) transfer.push(frame.intersections.buffer);
+    
+    return { message: { type: 'frame', step, stepTime, ...frame }, transfer };
+}
+
+// Typed arrays a checkpoint may hold, by name
+const CHECKPOINT_ARRAYS = { Float64Array, Float32Array, Uint32Array, Uint8Array };
+const CHECKPOINT_MAGIC = 0x4B434745; // "EGCK"
+
+// Buffers of every typed array in a checkpoint, for transferring it
+function checkpointBuffers(checkpoint) {
+    const buffers = [];
+    JSON.stringify(checkpoint, (key, value) => {
+        if (ArrayBuffer.isView(value)) {
+            buffers.push(value.buffer);
+            return null;
+        }
+        return value;
+    });
+    return buffers;
+}
+
+// Check that a decoded object is a checkpoint this version can load, down to
+// array lengths and indices, so a damaged file fails before any state changes
+export function validateCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.format !== 'edgegrowth-checkpoint') {
+        throw new Error("Not an edge growth checkpoint");
+    }
+    if (checkpoint.version !== 1) {
+        throw new Error(`Unsupported checkpoint version ${checkpoint.version}`);
+    }
+    
+    const fail = what => { throw new Error(`Damaged checkpoint: ${what}`); };
+    const isArray = value => Array.isArray(value) || ArrayBuffer.isView(value);
+    const checkArray = (value, length, name) => {
+        if (!isArray(value) || value.length !== length) fail(`${name} should hold ${length} values`);
+    };
+    const checkIndices = (values, count, name) => {
+        for (let i = 0; i < values.length; i++) {
+            if (!Number.isInteger(values[i]) || values[i] < 0 || values[i] >= count) fail(`${name} index out of range`);
+        }
+    };
+    
+    ['seed', 'randomState', 'stepCount', 'lastSubdivideStep', 'collisionCount'].forEach(function(name) {
+        if (!Number.isFinite(checkpoint[name])) fail(`${name} is not a number`);
+    });
+    if (!checkpoint.seedOptions || typeof checkpoint.seedOptions !== 'object') fail("missing seed options");
+    if (!checkpoint.settings || typeof checkpoint.settings !== 'object') fail("missing settings");
+    
+    // Vertices
+    const vertices = checkpoint.vertices;
+    if (!vertices || !isArray(vertices.ages)) fail("missing vertices");
+    const n = vertices.ages.length;
+    ['positions', 'velocities', 'growthDirs'].forEach(name => checkArray(vertices[name], n * 3, `vertex ${name}`));
+    ['lastCollisions', 'growthWeights', 'collisionRates', 'boundary'].forEach(name => checkArray(vertices[name], n, `vertex ${name}`));
+    for (let i = 0; i < vertices.positions.length; i++) {
+        if (!Number.isFinite(vertices.positions[i])) fail("vertex positions are not finite");
+    }
+    
+    // Faces
+    if (!isArray(checkpoint.faces) || checkpoint.faces.length % 3 !== 0) fail("faces should hold vertex triples");
+    checkIndices(checkpoint.faces, n, "face");
+    
+    // Edges
+    const edges = checkpoint.edges;
+    if (!edges || !isArray(edges.restLengths)) fail("missing edges");
+    const m = edges.restLengths.length;
+    checkArray(edges.vertices, m * 2, "edge vertices");
+    checkArray(edges.ages, m, "edge ages");
+    checkArray(edges.lastCollisions, m, "edge lastCollisions");
+    checkArray(edges.growthDirs, m * 3, "edge growthDirs");
+    checkIndices(edges.vertices, n, "edge");
+    
+    // Imported seed mesh, kept for resets
+    const seed = checkpoint.importedSeed;
+    if (seed) {
+        if (!isArray(seed.positions) || seed.positions.length % 3 !== 0) fail("seed positions should hold xyz triples");
+        if (!isArray(seed.faces) || seed.faces.length % 3 !== 0) fail("seed faces should hold vertex triples");
+        checkIndices(seed.faces, seed.positions.length / 3, "seed face");
+    }
+    
+    // Environment objects saved by the page
+    if (checkpoint.fields !== undefined) {
+        if (!Array.isArray(checkpoint.fields)) fail("fields should be a list");
+        checkpoint.fields.forEach(function(field) {
+            if (!field || !isArray(field.position) || field.position.length !== 3 || !isArray(field.normal) || field.normal.length !== 3) {
+                fail("field objects need a position and normal");
+            }
+        });
+    }
+    
+    return checkpoint;
+}
+
+// Serialize a checkpoint as JSON, with typed arrays written as plain arrays
+export function checkpointToJSON(checkpoint) {
+    return JSON.stringify(checkpoint, (key, value) => {
+        if (ArrayBuffer.isView(value)) {
+            return { $array: value.constructor.name, data: Array.from(value) };
+        }
+        return value;
+    });
+}
+
+// Parse a checkpoint written by checkpointToJSON
+export function checkpointFromJSON(text) {
+    return validateCheckpoint(JSON.parse(text, (key, value) => {
+        if (value && value.$array && CHECKPOINT_ARRAYS[value.$array]) {
+            return new CHECKPOINT_ARRAYS[value.$array](value.data);
+        }
+        return value;
+    }));
+}
+
+// Serialize a checkpoint as binary: magic, version and header length, a JSON
+// header with typed arrays replaced by references, then the raw arrays, each
+// starting on an 8 byte boundary
+export function encodeCheckpoint(checkpoint) {
+    const arrays = [];
+    let offset = 0;
+    
+    const header = new TextEncoder().encode(JSON.stringify(checkpoint, (key, value) => {
+        if (!ArrayBuffer.isView(value)) return value;
+        
+        const ref = { $array: value.constructor.name, offset, length: value.length };
+        arrays.push({ value, offset });
+        offset += Math.ceil(value.byteLength / 8) * 8;
+        return ref;
+    }));
+    
+    const dataStart = Math.ceil((12 + header.length) / 8) * 8;
+    const buffer = new ArrayBuffer(dataStart + offset);
+    const view = new DataView(buffer);
+    view.setUint32(0, CHECKPOINT_MAGIC, true);
+    view.setUint32(4, 1, true);
+    view.setUint32(8, header.length, true);
+    
+    const bytes = new Uint8Array(buffer);
+    bytes.set(header, 12);
+    for (const { value, offset } of arrays) {
+        bytes.set(new Uint8Array(value.buffer, value.byteOffset, value.byteLength), dataStart + offset);
+    }
+    
+    return buffer;
+}
+
+// Parse a checkpoint written by encodeCheckpoint
+export function decodeCheckpoint(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || view.getUint32(0, true) !== CHECKPOINT_MAGIC) {
+        throw new Error("Not an edge growth checkpoint");
+    }
+    
+    const headerLength = view.getUint32(8, true);
+    const dataStart = Math.ceil((12 + headerLength) / 8) * 8;
+    const header = new TextDecoder().decode(new Uint8Array(buffer, 12, headerLength));
+    
+    return validateCheckpoint(JSON.parse(header, (key, value) => {
+        if (value && value.$array && CHECKPOINT_ARRAYS[value.$array]) {
+            const Type = CHECKPOINT_ARRAYS[value.$array];
+            const start = dataStart + value.offset;
+            return new Type(buffer.slice(start, start + value.length * Type.BYTES_PER_ELEMENT));
+        }
+        return value;
+    }));
+}
+
+// Enhanced Spatial Grid for collision detection
+export class SpatialGrid {
+  constructor(cellSize = 0.5) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.reset();
+  }
+
+  reset() {
+    this.cells.clear();
+  }
+
+  // Get cell key for a position
+  getKey(pos) {
+    const x = Math.floor(pos.x / this.cellSize);
+    const y = Math.floor(pos.y / this.cellSize);
+    const z = Math.floor(pos.z / this.cellSize);
+    return `${x},${y},${z}`;
+  }
+
+  // Add item to grid
+  insert(item, pos) {
+    const key = this.getKey(pos);
+    if (!this.cells.has(key)) {
+      this.cells.set(key, []);
+    }
+    this.cells.get(key).push(item);
+  }
+
+  // Add an item to every cell its bounding box overlaps
+  insertBox(item, min, max) {
+    const minX = Math.floor(min.x / this.cellSize), maxX = Math.floor(max.x / this.cellSize);
+    const minY = Math.floor(min.y / this.cellSize), maxY = Math.floor(max.y / this.cellSize);
+    const minZ = Math.floor(min.z / this.cellSize), maxZ = Math.floor(max.z / this.cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          const key = `${x},${y},${z}`;
+          if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+          }
+          this.cells.get(key).push(item);
+        }
+      }
+    }
+  }
+
+  // Get nearby items
+  query(pos, radius = 1) {
+    const results = [];
+    const cellRadius = Math.ceil(radius / this.cellSize);
+    const baseX = Math.floor(pos.x / this.cellSize);
+    const baseY = Math.floor(pos.y / this.cellSize);
+    const baseZ = Math.floor(pos.z / this.cellSize);
+
+    // Check neighboring cells
+    for (let x = baseX - cellRadius; x <= baseX + cellRadius; x++) {
+      for (let y = baseY - cellRadius; y <= baseY + cellRadius; y++) {
+        for (let z = baseZ - cellRadius; z <= baseZ + cellRadius; z++) {
+          const key = `${x},${y},${z}`;
+          if (this.cells.has(key)) {
+            results.push(...this.cells.get(key));
+          }
+        }
+      }
+    }
+    return results;
+  }
+}
+
+// Bounding volume hierarchy over mesh triangles, stored in flat arrays. Built
+// top down by splitting at the centroid median of the longest axis, and refit
+// bottom up when only the vertex positions have moved.
+export class TriangleBVH {
+  constructor(leafSize = 4) {
+    this.leafSize = leafSize;
+    this.nodeCount = 0;
+    this.bounds = new Float32Array(0); // min xyz, max xyz per node
+    this.left = new Int32Array(0); // left child, -1 for leaves
+    this.right = new Int32Array(0);
+    this.start = new Int32Array(0); // leaf range into order
+    this.count = new Int32Array(0);
+    this.order = new Uint32Array(0); // face indices grouped by leaf
+  }
+
+  // Build the tree from scratch for a new set of faces
+  build(vertices, faces) {
+    const faceCount = faces.length;
+    const maxNodes = Math.max(1, 2 * faceCount);
+    
+    if (this.left.length < maxNodes) {
+      this.bounds = new Float32Array(maxNodes * 6);
+      this.left = new Int32Array(maxNodes);
+      this.right = new Int32Array(maxNodes);
+      this.start = new Int32Array(maxNodes);
+      this.count = new Int32Array(maxNodes);
+    }
+    
+    this.order = new Uint32Array(faceCount);
+    const centroids = new Float32Array(faceCount * 3);
+    for (let i = 0; i < faceCount; i++) {
+      this.order[i] = i;
+      for (const idx of faces[i]) {
+        const pos = vertices[idx].pos;
+        centroids[i * 3] += pos.x / 3;
+        centroids[i * 3 + 1] += pos.y / 3;
+        centroids[i * 3 + 2] += pos.z / 3;
+      }
+    }
+    
+    this.nodeCount = 0;
+    this.buildNode(centroids, 0, faceCount);
+    this.refit(vertices, faces);
+  }
+
+  // Create the node for order[start, end), splitting it if it holds too many faces
+  buildNode(centroids, start, end) {
+    const node = this.nodeCount++;
+    this.start[node] = start;
+    this.count[node] = end - start;
+    this.left[node] = -1;
+    this.right[node] = -1;
+    
+    if (end - start <= this.leafSize) return node;
+    
+    // Split along the longest axis of the centroid bounds
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+      const c = this.order[i] * 3;
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], centroids[c + k]);
+        max[k] = Math.max(max[k], centroids[c + k]);
+      }
+    }
+    
+    let axis = 0;
+    if (max[1] - min[1] > max[axis] - min[axis]) axis = 1;
+    if (max[2] - min[2] > max[axis] - min[axis]) axis = 2;
+    
+    this.order.subarray(start, end).sort((a, b) => centroids[a * 3 + axis] - centroids[b * 3 + axis]);
+    
+    const mid = (start + end) >> 1;
+    this.left[node] = this.buildNode(centroids, start, mid);
+    this.right[node] = this.buildNode(centroids, mid, end);
+    return node;
+  }
+
+  // Recompute node bounds from the current vertex positions. Children always
+  // come after their parent, so a reverse sweep visits them first.
+  refit(vertices, faces) {
+    const b = this.bounds;
+    
+    for (let node = this.nodeCount - 1; node >= 0; node--) {
+      const o = node * 6;
+      
+      if (this.left[node] === -1) {
+        b[o] = b[o + 1] = b[o + 2] = Infinity;
+        b[o + 3] = b[o + 4] = b[o + 5] = -Infinity;
+        
+        for (let i = this.start[node]; i < this.start[node] + this.count[node]; i++) {
+          for (const idx of faces[this.order[i]]) {
+            const pos = vertices[idx].pos;
+            if (pos.x < b[o]) b[o] = pos.x;
+            if (pos.y < b[o + 1]) b[o + 1] = pos.y;
+            if (pos.z < b[o + 2]) b[o + 2] = pos.z;
+            if (pos.x > b[o + 3]) b[o + 3] = pos.x;
+            if (pos.y > b[o + 4]) b[o + 4] = pos.y;
+            if (pos.z > b[o + 5]) b[o + 5] = pos.z;
+          }
+        }
+      } else {
+        const l = this.left[node] * 6;
+        const r = this.right[node] * 6;
+        for (let k = 0; k < 3; k++) {
+          b[o + k] = Math.min(b[l + k], b[r + k]);
+          b[o + 3 + k] = Math.max(b[l + 3 + k], b[r + 3 + k]);
+        }
+      }
+    }
+  }
+
+  // Collect the faces whose leaf bounds overlap a box given as [min xyz, max xyz]
+  query(box, out = []) {
+    if (this.nodeCount === 0) return out;
+    
+    const b = this.bounds;
+    const stack = [0];
+    
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const o = node * 6;
+      
+      if (b[o] > box[3] || b[o + 3] < box[0] ||
+          b[o + 1] > box[4] || b[o + 4] < box[1] ||
+          b[o + 2] > box[5] || b[o + 5] < box[2]) continue;
+      
+      if (this.left[node] === -1) {
+        for (let i = this.start[node]; i < this.start[node] + this.count[node]; i++) {
+          out.push(this.order[i]);
+        }
+      } else {
+        stack.push(this.left[node], this.right[node]);
+      }
+    }
+    
+    return out;
+  }
+}
+
+// Möller–Trumbore test of segment p0-p1 against triangle a, b, c
+function segmentHitsTriangle(p0, p1, a, b, c) {
+    const e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z;
+    const e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z;
+    const dx = p1.x - p0.x, dy = p1.y - p0.y, dz = p1.z - p0.z;
+    
+    const px = dy * e2z - dz * e2y;
+    const py = dz * e2x - dx * e2z;
+    const pz = dx * e2y - dy * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    
+    // Parallel to the triangle plane
+    if (Math.abs(det) < 1e-12) return false;
+    const inv = 1 / det;
+    
+    const tx = p0.x - a.x, ty = p0.y - a.y, tz = p0.z - a.z;
+    const u = (tx * px + ty * py + tz * pz) * inv;
+    if (u < 0 || u > 1) return false;
+    
+    const qx = ty * e1z - tz * e1y;
+    const qy = tz * e1x - tx * e1z;
+    const qz = tx * e1y - ty * e1x;
+    const v = (dx * qx + dy * qy + dz * qz) * inv;
+    if (v < 0 || u + v > 1) return false;
+    
+    const t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return t >= 0 && t <= 1;
+}
+
+// Exact test for two non-coplanar triangles: they intersect exactly when an
+// edge of one passes through the other.
+function trianglesIntersect(t1, t2) {
+    for (let i = 0; i < 3; i++) {
+        if (segmentHitsTriangle(t1[i], t1[(i + 1) % 3], t2[0], t2[1], t2[2])) return true;
+        if (segmentHitsTriangle(t2[i], t2[(i + 1) % 3], t1[0], t1[1], t1[2])) return true;
+    }
+    return false;
+}
+
+// Growth simulation: mesh topology, growth forces, collisions and remeshing
+export class GrowthSimulation {
+  constructor() {
+    this.vertices = [];
+    this.faces = [];
+    this.edges = new Map();
+    this.grid = new SpatialGrid(0.5);
+    this.collisionCount = 0;
+    this.collisionThreshold = 0.25;
+    this.timeStep = 1 / 60; // seconds per simulation step
+    this.lastSubdivideStep = 0;
+    this.seed = 1;
+    this.random = createRandom(this.seed);
+    this.collisionChecks = 100; // number of collision checks per frame
+    this.importedSeed = null;
+    this.seedOptions = { shape: 'grid', gridSize: 8, size: 2 };
+    this.remeshing = true;
+    this.minEdgeLength = 0.12;
+    this.maxEdgeLength = 0.3;
+    this.remeshBudget = 200; // topology operations per step
+    this.maxVertices = 20000;
+    this.stepCount = 0;
+    this.topologyChanged = true;
+    this.fieldObjects = [];
+    this.obstacleGrid = new SpatialGrid(0.5);
+    this.colorMode = 'height';
+    this.colorsChanged = false;
+    this.colorRange = null;
+    this.bvh = new TriangleBVH();
+    this.topologyVersion = 0;
+    this.bvhVersion = -1;
+    this.resolveIntersections = true;
+    this.showIntersections = false;
+    this.intersectionPasses = 4; // roll-back passes per step
+    this.intersectingFaces = [];
+    this.log = message => console.log(message);
+  }
+
+  // Set the PRNG seed, applied on the next seed mesh
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+  }
+
+  // Create the starting mesh for the chosen seed shape. The PRNG and step
+  // counter restart here, so the same seed replays the same growth.
+  createSeedMesh(shape = 'grid', gridSize = 8, size = 2) {
+    this.seedOptions = { shape, gridSize, size };
+    this.random = createRandom(this.seed);
+    this.stepCount = 0;
+    this.lastSubdivideStep = 0;
+
+    switch (shape) {
+      case 'disc':
+        this.createDiscMesh(gridSize, size);
+        break;
+      case 'annulus':
+        this.createAnnulusMesh(gridSize, size);
+        break;
+      case 'hexagon':
+        this.createHexagonMesh(gridSize, size);
+        break;
+      case 'icosphere':
+        this.createIcospherePatchMesh(gridSize, size);
+        break;
+      case 'cylinder':
+        this.createCylinderStripMesh(gridSize, size);
+        break;
+      case 'obj':
+        if (this.importedSeed) {
+          this.initializeMesh(this.importedSeed.positions, this.importedSeed.faces);
+          break;
+        }
+        this.log("No OBJ seed loaded, using grid");
+        this.createGridMesh(gridSize, size);
+        break;
+      default:
+        this.createGridMesh(gridSize, size);
+    }
+  }
+
+  // Set up simulation state from vertex positions and triangle indices.
+  // Boundary vertices are the ones on edges used by a single face.
+  initializeMesh(positions, faces) {
+    this.vertices = [];
+    this.faces = faces.map(face => [...face]);
+    this.edges = new Map();
+    this.collisionCount = 0;
+
+    for (let i = 0; i < positions.length; i++) {
+      this.vertices.push({
+        pos: positions[i].clone(),
+        vel: new THREE.Vector3(),
+        age: 0,
+        growthDir: new THREE.Vector3(this.random() * 2 - 1, this.random() * 2 - 1, this.random() * 2 - 1).normalize(),
+        isBoundary: false,
+        lastCollision: 0,
+        growthWeight: 1,
+        collisionRate: 0
+      });
+    }
+
+    this.markBoundaryVertices();
+    this.buildEdgeMap();
+    this.updateSpatialGrid();
+    this.intersectingFaces = [];
+    this.topologyChanged = true;
+    this.topologyVersion++;
+  }
+
+  // Set up simulation state from a three.js geometry, welding shared vertices
+  initializeFromGeometry(geometry) {
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const { positions, faces } = weldTriangles(source.getAttribute('position').array);
+    if (source !== geometry) source.dispose();
+
+    this.initializeMesh(positions, faces);
+  }
+
+  // Create initial grid mesh
+  createGridMesh(gridSize = 8, size = 2) {
+    const halfSize = size / 2;
+    const cellSize = size / gridSize;
+    const positions = [];
+    const faces = [];
+    
+    // Create grid vertices
+    for (let i = 0; i <= gridSize; i++) {
+      for (let j = 0; j <= gridSize; j++) {
+        const x = -halfSize + i * cellSize;
+        const y = -halfSize + j * cellSize;
+        const z = 0;
+        
+        positions.push(new THREE.Vector3(x, y, z));
+      }
+    }
+    
+    // Create faces
+    for (let i = 0; i < gridSize; i++) {
+      for (let j = 0; j < gridSize; j++) {
+        const idx = i * (gridSize + 1) + j;
+        const idx1 = idx + 1;
+        const idx2 = idx + (gridSize + 1);
+        const idx3 = idx2 + 1;
+        
+        faces.push([idx, idx1, idx2]);
+        faces.push([idx1, idx3, idx2]);
+      }
+    }
+    
+    this.initializeMesh(positions, faces);
+  }
+
+  // Create a flat disc of concentric rings, each ring adding six more segments
+  createDiscMesh(gridSize = 8, size = 2) {
+    const rings = Math.max(2, Math.floor(gridSize / 2));
+    const radius = size / 2;
+    const positions = [new THREE.Vector3(0, 0, 0)];
+    const faces = [];
+    let previousStart = 0;
+    let previousCount = 1;
+
+    for (let r = 1; r <= rings; r++) {
+      const start = positions.length;
+      const count = 6 * r;
+      const ringRadius = radius * r / rings;
+
+      for (let i = 0; i < count; i++) {
+        const angle = i / count * Math.PI * 2;
+        positions.push(new THREE.Vector3(Math.cos(angle) * ringRadius, Math.sin(angle) * ringRadius, 0));
+      }
+
+      if (previousCount === 1) {
+        // Fan around the centre
+        for (let i = 0; i < count; i++) {
+          faces.push([0, start + i, start + (i + 1) % count]);
+        }
+      } else {
+        this.stitchRings(faces, previousStart, previousCount, start, count);
+      }
+
+      previousStart = start;
+      previousCount = count;
+    }
+
+    this.initializeMesh(positions, faces);
+  }
+
+  // Create a flat annulus (ring) with the hole in the middle
+  createAnnulusMesh(gridSize = 8, size = 2) {
+    const rings = Math.max(2, Math.floor(gridSize / 2));
+    const segments = gridSize * 4;
+    const outerRadius = size / 2;
+    const innerRadius = outerRadius * 0.4;
+    const positions = [];
+    const faces = [];
+
+    for (let r = 0; r <= rings; r++) {
+      const ringRadius = innerRadius + (outerRadius - innerRadius) * r / rings;
+      for (let i = 0; i < segments; i++) {
+        const angle = i / segments * Math.PI * 2;
+        positions.push(new THREE.Vector3(Math.cos(angle) * ringRadius, Math.sin(angle) * ringRadius, 0));
+      }
+
+      if (r > 0) {
+        this.stitchRings(faces, (r - 1) * segments, segments, r * segments, segments);
+      }
+    }
+
+    this.initializeMesh(positions, faces);
+  }
+
+  // Create a hexagon filled with a regular triangle lattice
+  createHexagonMesh(gridSize = 8, size = 2) {
+    const n = Math.max(1, Math.floor(gridSize / 2));
+    const spacing = size / 2 / n;
+    const positions = [];
+    const faces = [];
+    const indexOf = new Map();
+
+    // Axial hex coordinates within distance n of the centre
+    for (let q = -n; q <= n; q++) {
+      for (let r = Math.max(-n, -q - n); r <= Math.min(n, -q + n); r++) {
+        indexOf.set(`${q},${r}`, positions.length);
+        positions.push(new THREE.Vector3(
+          spacing * (q + r / 2),
+          spacing * r * Math.sqrt(3) / 2,
+          0
+        ));
+      }
+    }
+
+    // Two triangles per lattice rhombus where all corners exist
+    for (const [key, a] of indexOf) {
+      const [q, r] = key.split(',').map(Number);
+      const b = indexOf.get(`${q + 1},${r}`);
+      const c = indexOf.get(`${q},${r + 1}`);
+      const d = indexOf.get(`${q - 1},${r + 1}`);
+      if (b !== undefined && c !== undefined) faces.push([a, b, c]);
+      if (c !== undefined && d !== undefined) faces.push([a, c, d]);
+    }
+
+    this.initializeMesh(positions, faces);
+  }
+
+  // Create a spherical cap cut from a subdivided icosahedron
+  createIcospherePatchMesh(gridSize = 8, size = 2) {
+    const detail = Math.max(1, Math.min(4, Math.floor(gridSize / 3)));
+    const sphere = new THREE.IcosahedronGeometry(size / 2, detail);
+    const position = sphere.getAttribute('position');
+    const patch = [];
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+
+    // Keep the triangles above the cut and lower the cap down to around z = 0
+    const cutHeight = size / 2 * 0.3;
+    for (let i = 0; i < position.count; i += 3) {
+      a.fromBufferAttribute(position, i);
+      b.fromBufferAttribute(position, i + 1);
+      c.fromBufferAttribute(position, i + 2);
+      if ((a.z + b.z + c.z) / 3 > cutHeight) {
+        patch.push(a.x, a.y, a.z - cutHeight, b.x, b.y, b.z - cutHeight, c.x, c.y, c.z - cutHeight);
+      }
+    }
+    sphere.dispose();
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(patch, 3));
+    this.initializeFromGeometry(geometry);
+    geometry.dispose();
+  }
+
+  // Create an open cylinder strip standing on the z = 0 plane
+  createCylinderStripMesh(gridSize = 8, size = 2) {
+    const radius = size / 2 * 0.6;
+    const cylinder = new THREE.CylinderGeometry(radius, radius, size / 2, gridSize * 3, Math.max(1, Math.floor(gridSize / 4)), true);
+
+    // CylinderGeometry is Y-up, growth here treats Z as up
+    cylinder.rotateX(Math.PI / 2);
+    cylinder.translate(0, 0, size / 4);
+
+    this.initializeFromGeometry(cylinder);
+    cylinder.dispose();
+  }
+
+  // Keep a triangle soup, centred and scaled to the seed size, as the OBJ seed for resets
+  setImportedSeed(soup, size = 2) {
+    if (soup.length < 9) {
+      this.log("OBJ file contains no triangles");
+      return false;
+    }
+
+    // Fit the largest side to the seed size around the origin
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(soup, 3));
+    geometry.computeBoundingBox();
+    const center = geometry.boundingBox.getCenter(new THREE.Vector3());
+    const extent = geometry.boundingBox.getSize(new THREE.Vector3());
+    const scale = size / Math.max(extent.x, extent.y, extent.z);
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.scale(scale, scale, scale);
+
+    this.importedSeed = weldTriangles(geometry.getAttribute('position').array);
+    geometry.dispose();
+
+    this.log(`Loaded OBJ seed: ${this.importedSeed.positions.length} vertices, ${this.importedSeed.faces.length} faces`);
+    return true;
+  }
+
+  // Triangulate the band between two closed rings of vertices
+  stitchRings(faces, innerStart, innerCount, outerStart, outerCount) {
+    let i = 0;
+    let o = 0;
+
+    // Walk both rings, always advancing the one that lags behind in angle
+    while (i < innerCount || o < outerCount) {
+      const inner = innerStart + i % innerCount;
+      const outer = outerStart + o % outerCount;
+      const advanceOuter = i >= innerCount ||
+        (o < outerCount && (o + 1) / outerCount <= (i + 1) / innerCount);
+
+      if (advanceOuter) {
+        faces.push([inner, outer, outerStart + (o + 1) % outerCount]);
+        o++;
+      } else {
+        faces.push([inner, outer, innerStart + (i + 1) % innerCount]);
+        i++;
+      }
+    }
+  }
+
+  // Flag vertices that lie on an edge used by a single face
+  markBoundaryVertices() {
+    const edgeUse = new Map();
+    for (const face of this.faces) {
+      for (let i = 0; i < 3; i++) {
+        const a = face[i];
+        const b = face[(i + 1) % 3];
+        const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+        edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+      }
+    }
+
+    for (const v of this.vertices) {
+      v.isBoundary = false;
+    }
+
+    for (const [key, count] of edgeUse) {
+      if (count === 1) {
+        const [a, b] = key.split('_').map(Number);
+        this.vertices[a].isBoundary = true;
+        this.vertices[b].isBoundary = true;
+      }
+    }
+  }
+
+  // Build edge map from faces. Edge state from a previous map can be carried
+  // over by key, or inherited from the edge a split vertex was created on.
+  buildEdgeMap(carried = null, inheritFrom = null) {
+    this.edges.clear();
+    
+    for (let f = 0; f < this.faces.length; f++) {
+      let tri = this.faces[f];
+      for (let i = 0; i < 3; i++) {
+        let a = tri[i];
+        let b = tri[(i + 1) % 3];
+        let key = a < b ? `${a}_${b}` : `${b}_${a}`;
+        
+        if (!this.edges.has(key)) {
+          let dist = this.vertices[a].pos.distanceTo(this.vertices[b].pos);
+          const isBoundary = this.vertices[a].isBoundary || this.vertices[b].isBoundary;
+          
+          const previous = carried && carried.get(key);
+          const parent = !previous && inheritFrom && (inheritFrom.get(a) || inheritFrom.get(b));
+          
+          this.edges.set(key, { 
+            v1: a, 
+            v2: b, 
+            key, 
+            restLength: previous ? previous.restLength : dist, 
+            faces: [f],
+            isBoundary,
+            age: previous ? previous.age : (parent ? parent.age : 0),
+            growthDir: previous ? previous.growthDir :
+              (parent ? parent.growthDir.clone() :
+                new THREE.Vector3(this.random() * 2 - 1, this.random() * 2 - 1, this.random() * 2 - 1).normalize()),
+            lastCollision: previous ? previous.lastCollision : (parent ? parent.lastCollision : 0)
+          });
+        } else {
+          this.edges.get(key).faces.push(f);
+          this.edges.get(key).isBoundary = false;
+        }
+      }
+    }
+  }
+
+  // Find boundary edges
+  findBoundaryEdges() {
+    return Array.from(this.edges.values()).filter(edge => edge.faces.length === 1);
+  }
+
+  // Update spatial grid for fast collision detection
+  updateSpatialGrid() {
+    this.grid.reset();
+    
+    // Add edges to grid
+    for (const [key, edge] of this.edges) {
+      const v1 = this.vertices[edge.v1].pos;
+      const v2 = this.vertices[edge.v2].pos;
+      const midpoint = new THREE.Vector3().addVectors(v1, v2).multiplyScalar(0.5);
+      this.grid.insert({ type: 'edge', key }, midpoint);
+    }
+    
+    // Add faces to grid
+    for (let i = 0; i < this.faces.length; i++) {
+      const face = this.faces[i];
+      const center = this.calculateFaceCenter(face);
+      this.grid.insert({ type: 'face', index: i }, center);
+    }
+  }
+
+  // Calculate face center
+  calculateFaceCenter(faceIndices) {
+    const v1 = this.vertices[faceIndices[0]].pos;
+    const v2 = this.vertices[faceIndices[1]].pos;
+    const v3 = this.vertices[faceIndices[2]].pos;
+    
+    return new THREE.Vector3(
+      (v1.x + v2.x + v3.x) / 3,
+      (v1.y + v2.y + v3.y) / 3,
+      (v1.z + v2.z + v3.z) / 3
+    );
+  }
+
+  // Apply settings sent from the page
+  applySettings(settings) {
+    if (settings.remeshing !== undefined) this.setRemeshing(settings.remeshing);
+    if (settings.minEdgeLength !== undefined || settings.maxEdgeLength !== undefined) {
+      this.setEdgeLengthRange(
+        settings.minEdgeLength ?? this.minEdgeLength,
+        settings.maxEdgeLength ?? this.maxEdgeLength
+      );
+    }
+    if (settings.collisionChecks !== undefined) this.setCollisionChecks(settings.collisionChecks);
+    if (settings.collisionThreshold !== undefined) this.setCollisionThreshold(settings.collisionThreshold);
+    if (settings.maxVertices !== undefined) this.maxVertices = settings.maxVertices;
+    if (settings.fieldObjects !== undefined) this.setFieldObjects(settings.fieldObjects);
+    if (settings.resolveIntersections !== undefined) this.resolveIntersections = settings.resolveIntersections;
+    if (settings.showIntersections !== undefined) this.showIntersections = settings.showIntersections;
+    if (settings.colorMode !== undefined) {
+      this.colorMode = settings.colorMode;
+      this.colorsChanged = true;
+    }
+  }
+
+  // Blend growth weights towards a target inside a spherical brush
+  paintGrowthWeights(center, radius, target, strength, falloff = 'smooth') {
+    const brushCenter = new THREE.Vector3().fromArray(center);
+    let painted = 0;
+
+    for (const v of this.vertices) {
+      const distance = v.pos.distanceTo(brushCenter);
+      if (distance > radius) continue;
+
+      const t = distance / radius;
+      let amount = 1;
+      if (falloff === 'linear') amount = 1 - t;
+      else if (falloff === 'smooth') amount = (1 - t * t) * (1 - t * t);
+
+      v.growthWeight += (target - v.growthWeight) * Math.min(strength * amount, 1);
+      painted++;
+    }
+
+    if (painted > 0) this.colorsChanged = true;
+    return painted;
+  }
+
+  // Set every growth weight back to 1
+  resetGrowthWeights() {
+    for (const v of this.vertices) {
+      v.growthWeight = 1;
+    }
+    this.colorsChanged = true;
+  }
+
+  // Set the environment objects. Each is a plain object so it can come from
+  // the page: { type, position, normal, radius, strength, size } where type is
+  // attractor, repeller, wall, sphere or nutrient.
+  setFieldObjects(objects) {
+    this.fieldObjects = objects.map(object => ({
+      type: object.type,
+      position: new THREE.Vector3().fromArray(object.position),
+      normal: new THREE.Vector3().fromArray(object.normal || [0, 0, 1]).normalize(),
+      radius: object.radius ?? 1,
+      strength: object.strength ?? 0.5,
+      size: object.size ?? 2
+    }));
+
+    for (const object of this.fieldObjects) {
+      if (object.type === 'wall') Object.assign(object, this.wallAxes(object));
+    }
+
+    // Walls and spheres go in their own grid for the collision pass
+    this.obstacleGrid.reset();
+    const margin = new THREE.Vector3().setScalar(this.collisionThreshold);
+
+    this.fieldObjects.forEach((object, index) => {
+      if (object.type === 'sphere') {
+        const extent = new THREE.Vector3().setScalar(object.radius).add(margin);
+        this.obstacleGrid.insertBox({ type: 'obstacle', index },
+          object.position.clone().sub(extent), object.position.clone().add(extent));
+      } else if (object.type === 'wall') {
+        const box = new THREE.Box3();
+        for (const su of [-0.5, 0.5]) {
+          for (const sv of [-0.5, 0.5]) {
+            box.expandByPoint(object.position.clone()
+              .addScaledVector(object.u, su * object.size)
+              .addScaledVector(object.v, sv * object.size));
+          }
+        }
+        box.expandByVector(margin);
+        this.obstacleGrid.insertBox({ type: 'obstacle', index }, box.min, box.max);
+      }
+    });
+  }
+
+  // In-plane axes of a square wall
+  wallAxes(wall) {
+    const helper = Math.abs(wall.normal.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+    const u = new THREE.Vector3().crossVectors(helper, wall.normal).normalize();
+    const v = new THREE.Vector3().crossVectors(wall.normal, u);
+    return { u, v };
+  }
+
+  // Growth direction bias at a point: towards attractors and along nutrient
+  // gradients, away from repellers. Influence fades out over each radius.
+  sampleFieldBias(pos) {
+    const bias = new THREE.Vector3();
+    const toward = new THREE.Vector3();
+
+    for (const object of this.fieldObjects) {
+      if (object.type === 'attractor' || object.type === 'repeller') {
+        toward.subVectors(object.position, pos);
+        const distance = toward.length();
+        if (distance < 1e-6 || distance > object.radius) continue;
+
+        const weight = object.strength * (1 - distance / object.radius);
+        bias.addScaledVector(toward.divideScalar(distance), object.type === 'attractor' ? weight : -weight);
+      } else if (object.type === 'nutrient') {
+        bias.addScaledVector(object.normal, object.strength);
+      }
+    }
+
+    return bias;
+  }
+
+  // Growth rate multiplier from nutrient gradients. Concentration is 1 on the
+  // plane through the source and rises along its direction, over its radius.
+  nutrientLevel(pos) {
+    let level = 1;
+    const offset = new THREE.Vector3();
+
+    for (const object of this.fieldObjects) {
+      if (object.type !== 'nutrient') continue;
+
+      const along = offset.subVectors(pos, object.position).dot(object.normal) / object.radius;
+      level *= Math.min(Math.max(1 + along, 0.1), 2);
+    }
+
+    return level;
+  }
+
+  // Push vertices out of walls and spherical obstacles
+  resolveObstacleCollisions(time) {
+    let collisions = 0;
+    const offset = new THREE.Vector3();
+
+    for (const v of this.vertices) {
+      const nearby = this.obstacleGrid.query(v.pos, 0);
+
+      for (const item of nearby) {
+        const object = this.fieldObjects[item.index];
+        let normal = null;
+        let depth = 0;
+
+        if (object.type === 'sphere') {
+          offset.subVectors(v.pos, object.position);
+          const distance = offset.length();
+          const clearance = object.radius + this.collisionThreshold * 0.5;
+          if (distance >= clearance) continue;
+
+          normal = distance > 1e-6 ? offset.divideScalar(distance) : new THREE.Vector3(0, 0, 1);
+          depth = clearance - distance;
+        } else if (object.type === 'wall') {
+          offset.subVectors(v.pos, object.position);
+          if (Math.abs(offset.dot(object.u)) > object.size / 2 || Math.abs(offset.dot(object.v)) > object.size / 2) continue;
+
+          // Walls are two sided, push back to whichever side the vertex is on
+          const distance = offset.dot(object.normal);
+          const clearance = this.collisionThreshold * 0.5;
+          if (Math.abs(distance) >= clearance) continue;
+
+          normal = object.normal.clone();
+          if (distance < 0) normal.negate();
+          depth = clearance - Math.abs(distance);
+        } else {
+          continue;
+        }
+
+        v.pos.addScaledVector(normal, depth);
+
+        // Remove the velocity heading into the obstacle
+        const inward = v.vel.dot(normal);
+        if (inward < 0) v.vel.addScaledVector(normal, -inward);
+
+        v.lastCollision = time;
+        collisions++;
+      }
+    }
+
+    return collisions;
+  }
+
+  // Set number of collision checks per frame
+  setCollisionChecks(checks) {
+    this.collisionChecks = checks;
+  }
+
+  // Set collision threshold
+  setCollisionThreshold(value) {
+    this.collisionThreshold = value;
+  }
+
+  // Perform adaptive smoothing
+  performAdaptiveSmoothing() {
+    // Skip if too many vertices
+    if (this.vertices.length >= 3000) {
+      this.log("Too many vertices for smoothing");
+      return false;
+    }
+    
+    // Create a copy of vertices
+    const newVertices = [...this.vertices];
+    
+    // For each interior vertex
+    for (let i = 0; i < this.vertices.length; i++) {
+      // Skip boundary vertices
+      if (this.vertices[i].isBoundary) continue;
+      
+      // Find all adjacent vertices
+      const neighbors = this.findNeighbors(i);
+      
+      if (neighbors.length > 0) {
+        // Calculate average position
+        const avgPos = new THREE.Vector3();
+        for (const neighborIdx of neighbors) {
+          avgPos.add(this.vertices[neighborIdx].pos);
+        }
+        avgPos.divideScalar(neighbors.length);
+        
+        // Apply weighted smoothing (Laplacian)
+        const weight = 0.5;
+        newVertices[i].pos.lerp(avgPos, weight);
+      }
+    }
+    
+    // Update vertices
+    this.vertices = newVertices;
+    
+    // Add debug message
+    this.log("Performed adaptive smoothing");
+    
+    return true;
+  }
+
+  // Find neighbor vertices of a vertex
+  findNeighbors(vertexIdx) {
+    const neighbors = new Set();
+    
+    // Check all edges for this vertex
+    for (const [key, edge] of this.edges) {
+      if (edge.v1 === vertexIdx) {
+        neighbors.add(edge.v2);
+      } else if (edge.v2 === vertexIdx) {
+        neighbors.add(edge.v1);
+      }
+    }
+    
+    return Array.from(neighbors);
+  }
+
+  // Calculate distance between edges
+  distanceBetweenEdges(a0, a1, b0, b1) {
+    const A = new THREE.Vector3().subVectors(a1, a0);
+    const B = new THREE.Vector3().subVectors(b1, b0);
+    const C = new THREE.Vector3().subVectors(b0, a0);
+    
+    // Optimization: quick check using bounding boxes
+    const boxA = new THREE.Box3().setFromPoints([a0, a1]);
+    const boxB = new THREE.Box3().setFromPoints([b0, b1]);
+    
+    if (!boxA.intersectsBox(boxB) && boxA.distanceToPoint(b0) > this.collisionThreshold && 
+        boxB.distanceToPoint(a0) > this.collisionThreshold) {
+      return {
+        distance: Infinity,
+        pointOnA: null,
+        pointOnB: null
+      };
+    }
+    
+    // Quick check if lines are parallel
+    const Aen = A.dot(A);
+    const Ben = B.dot(B);
+    const AxB = new THREE.Vector3().crossVectors(A, B).length();
+    
+    if (AxB < 1e-6 * Math.sqrt(Aen * Ben)) {
+      return {
+        distance: Infinity,
+        pointOnA: null,
+        pointOnB: null
+      };
+    }
+    
+    // Calculate closest points
+    const AC = new THREE.Vector3().crossVectors(A, C);
+    const BC = new THREE.Vector3().crossVectors(B, C);
+    
+    const ACxB = new THREE.Vector3().crossVectors(AC, B).length();
+    const AxBC = new THREE.Vector3().crossVectors(A, BC).length();
+    
+    let s = AxBC / AxB;
+    let t = ACxB / AxB;
+    
+    // Clamp parameters
+    if (s < 0) s = 0;
+    else if (s > 1) s = 1;
+    
+    if (t < 0) t = 0;
+    else if (t > 1) t = 1;
+    
+    // Calculate closest points
+    const pointOnA = new THREE.Vector3().addVectors(a0, A.clone().multiplyScalar(s));
+    const pointOnB = new THREE.Vector3().addVectors(b0, B.clone().multiplyScalar(t));
+    
+    return {
+      distance: pointOnA.distanceTo(pointOnB),
+      pointOnA,
+      pointOnB
+    };
+  }
+
+  // Check for triangle intersection
+  triangleIntersection(tri1, tri2) {
+    // Quick bounding box test
+    const box1 = new THREE.Box3().setFromPoints(tri1);
+    const box2 = new THREE.Box3().setFromPoints(tri2);
+    
+    if (!box1.intersectsBox(box2)) {
+      return { intersect: false };
+    }
+    
+    // Check proximity between triangles
+    const center1 = new THREE.Vector3().add(tri1[0]).add(tri1[1]).add(tri1[2]).divideScalar(3);
+    const center2 = new THREE.Vector3().add(tri2[0]).add(tri2[1]).add(tri2[2]).divideScalar(3);
+    const dist = center1.distanceTo(center2);
+    
+    if (dist < this.collisionThreshold) {
+      const dir = new THREE.Vector3().subVectors(center1, center2).normalize();
+      return { intersect: true, direction: dir };
+    }
+    
+    // Check edges
+    for (let i = 0; i < 3; i++) {
+      const e1Start = tri1[i];
+      const e1End = tri1[(i + 1) % 3];
+      
+      for (let j = 0; j < 3; j++) {
+        const e2Start = tri2[j];
+        const e2End = tri2[(j + 1) % 3];
+        
+        const result = this.distanceBetweenEdges(e1Start, e1End, e2Start, e2End);
+        
+        if (result.distance < this.collisionThreshold) {
+          const dir = new THREE.Vector3().subVectors(result.pointOnA, result.pointOnB).normalize();
+          return { intersect: true, direction: dir };
+        }
+      }
+    }
+    
+    return { intersect: false };
+  }
+
+  // Optimized collision detection using spatial grid
+  detectCollisions(time) {
+    let collidedItems = new Set();
+    let localCollisions = 0;
+    
+    // Check edge collisions
+    const boundaryEdges = this.findBoundaryEdges();
+    
+    for (const edge1 of boundaryEdges) {
+      // Skip recently collided edges
+      if (time - edge1.lastCollision < 0.2) continue;
+      if (collidedItems.has(edge1.key)) continue;
+      
+      const v1Start = this.vertices[edge1.v1].pos;
+      const v1End = this.vertices[edge1.v2].pos;
+      const midpoint = new THREE.Vector3().addVectors(v1Start, v1End).multiplyScalar(0.5);
+      
+      // Query nearby edges
+      const nearbyItems = this.grid.query(midpoint, this.collisionThreshold * 2);
+      
+      for (const item of nearbyItems) {
+        if (item.type !== 'edge') continue;
+        
+        const edge2Key = item.key;
+        if (edge2Key === edge1.key || collidedItems.has(edge2Key)) continue;
+        
+        const edge2 = this.edges.get(edge2Key);
+        if (!edge2 || time - edge2.lastCollision < 0.2) continue;
+        
+        // Skip if edges share vertices
+        if (edge1.v1 === edge2.v1 || edge1.v1 === edge2.v2 || 
+            edge1.v2 === edge2.v1 || edge1.v2 === edge2.v2) continue;
+        
+        const v2Start = this.vertices[edge2.v1].pos;
+        const v2End = this.vertices[edge2.v2].pos;
+        
+        // Check distance
+        const result = this.distanceBetweenEdges(v1Start, v1End, v2Start, v2End);
+        
+        if (result.distance < this.collisionThreshold) {
+          localCollisions++;
+          collidedItems.add(edge1.key);
+          collidedItems.add(edge2Key);
+          
+          // Record collision time
+          edge1.lastCollision = time;
+          edge2.lastCollision = time;
+          
+          // Apply repulsion force
+          const repulsionDir = new THREE.Vector3().subVectors(
+            result.pointOnA, result.pointOnB
+          ).normalize();
+          
+          const repulsionForce = 0.15;
+          
+          this.vertices[edge1.v1].vel.add(repulsionDir.clone().multiplyScalar(repulsionForce));
+          this.vertices[edge1.v2].vel.add(repulsionDir.clone().multiplyScalar(repulsionForce));
+          
+          this.vertices[edge2.v1].vel.sub(repulsionDir.clone().multiplyScalar(repulsionForce));
+          this.vertices[edge2.v2].vel.sub(repulsionDir.clone().multiplyScalar(repulsionForce));
+          
+          // Modify growth directions
+          if (edge1.growthDir && edge2.growthDir) {
+            const perpDir = new THREE.Vector3().crossVectors(
+              repulsionDir,
+              new THREE.Vector3(this.random(), this.random(), this.random())
+            ).normalize();
+            
+            edge1.growthDir.lerp(perpDir, 0.3).normalize();
+            edge2.growthDir.lerp(perpDir.clone().negate(), 0.3).normalize();
+          }
+          
+          break;
+        }
+      }
+    }
+    
+    // Face collision detection
+    for (let i = 0; i < this.faces.length; i++) {
+      const face1 = this.faces[i];
+      
+      // Skip if any vertex recently collided
+      if (face1.some(idx => collidedItems.has(idx))) continue;
+      
+      const face1Verts = face1.map(idx => this.vertices[idx].pos);
+      const center = this.calculateFaceCenter(face1);
+      
+      // Query nearby faces
+      const nearbyItems = this.grid.query(center, this.collisionThreshold * 3);
+      
+      for (const item of nearbyItems) {
+        if (item.type !== 'face' || item.index <= i) continue;
+        
+        const j = item.index;
+        const face2 = this.faces[j];
+        
+        // Skip if faces share vertices
+        if (face1.some(v => face2.includes(v))) continue;
+        
+        const face2Verts = face2.map(idx => this.vertices[idx].pos);
+        
+        // Check intersection
+        const result = this.triangleIntersection(face1Verts, face2Verts);
+        
+        if (result.intersect) {
+          localCollisions++;
+          face1.forEach(idx => collidedItems.add(idx));
+          face2.forEach(idx => collidedItems.add(idx));
+          
+          // Apply repulsion
+          const repulsionForce = 0.2;
+          
+          // Apply to face1 vertices
+          face1.forEach(idx => {
+            this.vertices[idx].vel.add(result.direction.clone().multiplyScalar(repulsionForce));
+            this.vertices[idx].lastCollision = time;
+          });
+          
+          // Apply to face2 vertices
+          face2.forEach(idx => {
+            this.vertices[idx].vel.sub(result.direction.clone().multiplyScalar(repulsionForce));
+            this.vertices[idx].lastCollision = time;
+          });
+          
+          break;
+        }
+      }
+    }
+    
+    // Walls and obstacles
+    if (this.fieldObjects.length > 0) {
+      localCollisions += this.resolveObstacleCollisions(time);
+    }
+    
+    if (localCollisions > 0) {
+      this.collisionCount += localCollisions;
+    }
+    
+    return localCollisions;
+  }
+
+  // Refit the triangle BVH, or rebuild it if the faces have changed
+  updateBVH() {
+    if (this.bvhVersion !== this.topologyVersion) {
+      this.bvh.build(this.vertices, this.faces);
+      this.bvhVersion = this.topologyVersion;
+    } else {
+      this.bvh.refit(this.vertices, this.faces);
+    }
+  }
+
+  // Exact triangle-triangle test of every pair of faces that share no vertex.
+  // Returns the intersecting pairs as [i, j] with i < j.
+  findSelfIntersections() {
+    this.updateBVH();
+    
+    const pairs = [];
+    const box = new Float32Array(6);
+    const candidates = [];
+    
+    for (let i = 0; i < this.faces.length; i++) {
+      const face1 = this.faces[i];
+      const tri1 = face1.map(idx => this.vertices[idx].pos);
+      
+      box[0] = Math.min(tri1[0].x, tri1[1].x, tri1[2].x);
+      box[1] = Math.min(tri1[0].y, tri1[1].y, tri1[2].y);
+      box[2] = Math.min(tri1[0].z, tri1[1].z, tri1[2].z);
+      box[3] = Math.max(tri1[0].x, tri1[1].x, tri1[2].x);
+      box[4] = Math.max(tri1[0].y, tri1[1].y, tri1[2].y);
+      box[5] = Math.max(tri1[0].z, tri1[1].z, tri1[2].z);
+      
+      candidates.length = 0;
+      this.bvh.query(box, candidates);
+      
+      for (const j of candidates) {
+        if (j <= i) continue;
+        
+        const face2 = this.faces[j];
+        if (face1.some(v => face2.includes(v))) continue;
+        
+        if (trianglesIntersect(tri1, face2.map(idx => this.vertices[idx].pos))) {
+          pairs.push([i, j]);
+        }
+      }
+    }
+    
+    return pairs;
+  }
+
+  // Remember where every vertex was while the mesh was free of intersections
+  storeSafePositions() {
+    for (const v of this.vertices) {
+      if (v.safePos) {
+        v.safePos.copy(v.pos);
+      } else {
+        v.safePos = v.pos.clone();
+      }
+    }
+  }
+
+  // Move the vertices of intersecting faces back to where they were at the
+  // start of the step, a few passes per step as rolling back one face can
+  // make its neighbours intersect. Faces still intersecting are kept for display.
+  resolveSelfIntersections(time) {
+    let pairs = this.findSelfIntersections();
+    
+    for (let pass = 0; pass < this.intersectionPasses && pairs.length > 0 && this.resolveIntersections; pass++) {
+      let moved = 0;
+      
+      for (const [i, j] of pairs) {
+        for (const idx of [...this.faces[i], ...this.faces[j]]) {
+          const vertex = this.vertices[idx];
+          if (!vertex.safePos || vertex.pos.equals(vertex.safePos)) continue;
+          
+          vertex.pos.copy(vertex.safePos);
+          vertex.vel.set(0, 0, 0);
+          vertex.lastCollision = time;
+          vertex.collisionRate += 1;
+          moved++;
+        }
+      }
+      
+      if (moved === 0) break;
+      this.collisionCount += pairs.length;
+      pairs = this.findSelfIntersections();
+    }
+    
+    const intersecting = new Set();
+    for (const [i, j] of pairs) {
+      intersecting.add(i);
+      intersecting.add(j);
+    }
+    this.intersectingFaces = Array.from(intersecting);
+    
+    return pairs.length;
+  }
+
+  // Simulate growth
+  simulateGrowth(dt, time) {
+    // Find boundary edges
+    const boundaryEdges = this.findBoundaryEdges();
+    
+    // Update edge ages
+    for (let [key, edge] of this.edges) {
+      edge.age += dt;
+    }
+    
+    // Process each boundary edge
+    for (const edge of boundaryEdges) {
+      // Skip if this edge recently had a collision
+      if (time - edge.lastCollision < 0.5) continue;
+      
+      const v1 = this.vertices[edge.v1];
+      const v2 = this.vertices[edge.v2];
+      
+      // Skip non-boundary
+      if (!(v1.isBoundary || v2.isBoundary)) continue;
+      
+      // Get growth direction
+      let growthDir = edge.growthDir.clone();
+      
+      // Calculate tangent vector
+      const tangent = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
+      
+      // Calculate normal vector
+      const normal = new THREE.Vector3().crossVectors(tangent, growthDir).normalize();
+      
+      // Enhance boundary growth
+      if (edge.isBoundary) {
+        // Make growth more perpendicular to boundary
+        growthDir.lerp(normal, 0.7).normalize();
+        
+        // Add slight upward bias
+        growthDir.z += 0.3 * this.random();
+        growthDir.normalize();
+      }
+      
+      // Minor randomization
+      growthDir.x += (this.random() - 0.5) * 0.1;
+      growthDir.y += (this.random() - 0.5) * 0.1;
+      growthDir.z += (this.random() - 0.5) * 0.1;
+      growthDir.normalize();
+      
+      // Environment: attractors, repellers and nutrient gradients
+      let nutrient = 1;
+      if (this.fieldObjects.length > 0) {
+        const midpoint = new THREE.Vector3().addVectors(v1.pos, v2.pos).multiplyScalar(0.5);
+        growthDir.add(this.sampleFieldBias(midpoint)).normalize();
+        nutrient = this.nutrientLevel(midpoint);
+      }
+      
+      // Calculate growth strength
+      const growthForce = this.edgeGrowthForce(edge, nutrient, dt);
+      
+      // Apply growth force
+      const growthVector = growthDir.clone().multiplyScalar(growthForce);
+      v1.vel.add(growthVector);
+      v2.vel.add(growthVector);
+    }
+    
+    // Integrate velocities
+    for (let v of this.vertices) {
+      v.age += dt;
+      v.pos.add(v.vel.clone().multiplyScalar(dt));
+      v.vel.multiplyScalar(0.95); // Damping
+      
+      // Cap max velocity
+      const maxSpeed = 0.5;
+      if (v.vel.length() > maxSpeed) {
+        v.vel.normalize().multiplyScalar(maxSpeed);
+      }
+    }
+  }
+
+  // Growth force a boundary edge applies to both its vertices over dt
+  edgeGrowthForce(edge, nutrient, dt) {
+    const v1 = this.vertices[edge.v1];
+    const v2 = this.vertices[edge.v2];
+    const ageFactor = Math.min(edge.age * 0.5, 1.0);
+    const boundaryMultiplier = edge.isBoundary ? 1.5 : 1.0;
+    const paintedRate = (v1.growthWeight + v2.growthWeight) / 2;
+    return 0.3 * dt * ageFactor * boundaryMultiplier * nutrient * paintedRate;
+  }
+
+  // Decay each vertex's collision rate and count this step's hits. Decaying
+  // by timeStep each step averages over about a second, so adding one per hit
+  // gives hits per second.
+  updateCollisionRates(time) {
+    const hit = new Set();
+    
+    for (const edge of this.edges.values()) {
+      if (edge.lastCollision === time) {
+        hit.add(edge.v1);
+        hit.add(edge.v2);
+      }
+    }
+    
+    this.vertices.forEach((v, i) => {
+      v.collisionRate *= 1 - this.timeStep;
+      if (v.lastCollision === time || hit.has(i)) v.collisionRate += 1;
+    });
+  }
+
+  // Apply edge length constraints
+  applyEdgeConstraints() {
+    for (let [key, edge] of this.edges) {
+      let v1 = this.vertices[edge.v1];
+      let v2 = this.vertices[edge.v2];
+      let currentDist = v1.pos.distanceTo(v2.pos);
+      
+      // For long edges
+      if (currentDist > edge.restLength * 1.5) {
+        let correction = (currentDist - edge.restLength) * 0.2;
+        let dir = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
+        
+        v1.pos.add(dir.clone().multiplyScalar(correction * 0.5));
+        v2.pos.sub(dir.clone().multiplyScalar(correction * 0.5));
+      }
+      
+      // For short edges
+      if (currentDist < edge.restLength * 0.5) {
+        let correction = (edge.restLength - currentDist) * 0.2;
+        let dir = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
+        
+        if (isNaN(dir.x) || isNaN(dir.y) || isNaN(dir.z)) {
+          dir.set(this.random() * 2 - 1, this.random() * 2 - 1, this.random() * 2 - 1).normalize();
+        }
+        
+        v1.pos.sub(dir.clone().multiplyScalar(correction * 0.5));
+        v2.pos.add(dir.clone().multiplyScalar(correction * 0.5));
+      }
+    }
+  }
+
+  // Set remeshing on or off
+  setRemeshing(enabled) {
+    this.remeshing = enabled;
+  }
+
+  // Set the edge length range kept by remeshing
+  setEdgeLengthRange(minLength, maxLength) {
+    // Keep a gap so a split edge is never immediately collapsed again
+    this.maxEdgeLength = maxLength;
+    this.minEdgeLength = Math.min(minLength, maxLength * 0.45);
+  }
+
+  // Incremental remeshing: split long edges, collapse short ones and flip
+  // edges towards regular valence. Each operation locks the vertices it
+  // touches, so a pass only works on non-overlapping patches and the edge
+  // map stays valid for every operation it does perform.
+  remeshMesh(time) {
+    if (this.faces.length === 0) return false;
+
+    const vertexFaces = this.vertices.map(() => []);
+    for (let f = 0; f < this.faces.length; f++) {
+      for (const idx of this.faces[f]) vertexFaces[idx].push(f);
+    }
+
+    const state = {
+      vertexFaces,
+      locked: new Set(),
+      removed: new Set(),
+      inheritFrom: new Map(),
+      redirect: new Map(),
+      budget: this.remeshBudget,
+      time
+    };
+
+    const originalEdges = new Map(this.edges);
+    let changed = this.splitLongEdges(state);
+    changed += this.collapseShortEdges(state);
+    changed += this.flipEdges(state);
+
+    if (changed === 0) return false;
+
+    this.compactMesh(state, originalEdges);
+    return true;
+  }
+
+  // Ring of neighbour vertices around a vertex, from its incident faces
+  vertexNeighbors(state, idx) {
+    const neighbors = new Set();
+    for (const f of state.vertexFaces[idx]) {
+      for (const other of this.faces[f]) {
+        if (other !== idx) neighbors.add(other);
+      }
+    }
+    return neighbors;
+  }
+
+  // The vertex of a face that is not on the given edge
+  oppositeVertex(face, a, b) {
+    return face.find(idx => idx !== a && idx !== b);
+  }
+
+  // Split edges longer than the max length at their midpoint
+  splitLongEdges(state) {
+    const maxSq = this.maxEdgeLength * this.maxEdgeLength;
+    const candidates = [];
+
+    for (const edge of this.edges.values()) {
+      const lengthSq = this.vertices[edge.v1].pos.distanceToSquared(this.vertices[edge.v2].pos);
+      if (lengthSq > maxSq) candidates.push({ edge, lengthSq });
+    }
+
+    // Longest first
+    candidates.sort((a, b) => b.lengthSq - a.lengthSq);
+
+    let count = 0;
+    for (const { edge } of candidates) {
+      if (state.budget <= 0) break;
+
+      const { v1, v2 } = edge;
+      const opposites = edge.faces.map(f => this.oppositeVertex(this.faces[f], v1, v2));
+      if ([v1, v2, ...opposites].some(idx => state.locked.has(idx))) continue;
+
+      const a = this.vertices[v1];
+      const b = this.vertices[v2];
+      const mid = this.vertices.length;
+
+      this.vertices.push({
+        pos: new THREE.Vector3().addVectors(a.pos, b.pos).multiplyScalar(0.5),
+        vel: new THREE.Vector3().addVectors(a.vel, b.vel).multiplyScalar(0.5),
+        age: Math.min(a.age, b.age),
+        growthDir: edge.growthDir.clone(),
+        isBoundary: edge.faces.length === 1,
+        lastCollision: Math.max(a.lastCollision, b.lastCollision),
+        growthWeight: (a.growthWeight + b.growthWeight) / 2,
+        collisionRate: (a.collisionRate + b.collisionRate) / 2
+      });
+      if (a.safePos && b.safePos) {
+        this.vertices[mid].safePos = new THREE.Vector3().addVectors(a.safePos, b.safePos).multiplyScalar(0.5);
+      }
+      state.vertexFaces.push([]);
+      state.inheritFrom.set(mid, edge);
+
+      // Each adjacent face becomes two, keeping its winding
+      for (const f of edge.faces) {
+        const face = this.faces[f];
+        const split = face.map(idx => idx === v1 ? mid : idx);
+        face[face.indexOf(v2)] = mid;
+        this.faces.push(split);
+      }
+
+      state.locked.add(v1).add(v2).add(mid);
+      opposites.forEach(idx => state.locked.add(idx));
+      state.budget--;
+      count++;
+    }
+
+    return count;
+  }
+
+  // Collapse edges shorter than the min length into a single vertex
+  collapseShortEdges(state) {
+    const minSq = this.minEdgeLength * this.minEdgeLength;
+    // Some slack on new edge lengths, later passes split anything too long
+    const maxSq = Math.pow(this.maxEdgeLength * 1.25, 2);
+    const candidates = [];
+
+    for (const edge of this.edges.values()) {
+      const lengthSq = this.vertices[edge.v1].pos.distanceToSquared(this.vertices[edge.v2].pos);
+      if (lengthSq < minSq) candidates.push({ edge, lengthSq });
+    }
+
+    // Shortest first
+    candidates.sort((a, b) => a.lengthSq - b.lengthSq);
+
+    let count = 0;
+    for (const { edge } of candidates) {
+      if (state.budget <= 0) break;
+
+      let keep = edge.v1;
+      let remove = edge.v2;
+      if (state.locked.has(keep) || state.locked.has(remove)) continue;
+
+      const keepNeighbors = this.vertexNeighbors(state, keep);
+      const removeNeighbors = this.vertexNeighbors(state, remove);
+      const ring = new Set([...keepNeighbors, ...removeNeighbors]);
+      if ([...ring].some(idx => state.locked.has(idx))) continue;
+
+      const keepVertex = this.vertices[keep];
+      const removeVertex = this.vertices[remove];
+      const boundaryEdge = edge.faces.length === 1;
+
+      // Collapsing an interior edge between two boundary vertices would pinch the sheet
+      if (keepVertex.isBoundary && removeVertex.isBoundary && !boundaryEdge) continue;
+
+      // Link condition: the only shared neighbours are the opposite vertices
+      const opposites = edge.faces.map(f => this.oppositeVertex(this.faces[f], keep, remove));
+      const shared = [...keepNeighbors].filter(idx => removeNeighbors.has(idx));
+      if (shared.length !== opposites.length) continue;
+
+      // Keep interior opposite vertices at valence 4 or more
+      if (opposites.some(idx => !this.vertices[idx].isBoundary && this.vertexNeighbors(state, idx).size <= 3)) continue;
+
+      // Boundary vertices stay on the boundary
+      if (removeVertex.isBoundary && !keepVertex.isBoundary) {
+        [keep, remove] = [remove, keep];
+      }
+      const target = this.vertices[keep].isBoundary === this.vertices[remove].isBoundary ?
+        new THREE.Vector3().addVectors(keepVertex.pos, removeVertex.pos).multiplyScalar(0.5) :
+        this.vertices[keep].pos.clone();
+
+      // Reject collapses that create long edges or fold a triangle over
+      let valid = true;
+      for (const idx of ring) {
+        if (idx !== keep && idx !== remove && this.vertices[idx].pos.distanceToSquared(target) > maxSq) {
+          valid = false;
+          break;
+        }
+      }
+      if (!valid) continue;
+
+      const affected = [...new Set([...state.vertexFaces[keep], ...state.vertexFaces[remove]])];
+      for (const f of affected) {
+        const face = this.faces[f];
+        if (face.includes(keep) && face.includes(remove)) continue;
+
+        const before = face.map(idx => this.vertices[idx].pos);
+        const after = face.map(idx => idx === keep || idx === remove ? target : this.vertices[idx].pos);
+        const normalBefore = new THREE.Vector3().subVectors(before[1], before[0]).cross(new THREE.Vector3().subVectors(before[2], before[0]));
+        const normalAfter = new THREE.Vector3().subVectors(after[1], after[0]).cross(new THREE.Vector3().subVectors(after[2], after[0]));
+        if (normalBefore.dot(normalAfter) <= 0) {
+          valid = false;
+          break;
+        }
+      }
+      if (!valid) continue;
+
+      // Apply the collapse
+      this.vertices[keep].pos.copy(target);
+      this.vertices[keep].age = Math.min(keepVertex.age, removeVertex.age);
+      this.vertices[keep].growthWeight = (keepVertex.growthWeight + removeVertex.growthWeight) / 2;
+      this.vertices[keep].collisionRate = (keepVertex.collisionRate + removeVertex.collisionRate) / 2;
+      for (const f of affected) {
+        const face = this.faces[f];
+        if (face.includes(keep) && face.includes(remove)) {
+          state.removed.add(f);
+        } else if (face.includes(remove)) {
+          face[face.indexOf(remove)] = keep;
+        }
+      }
+      state.redirect.set(remove, keep);
+
+      state.locked.add(keep).add(remove);
+      ring.forEach(idx => state.locked.add(idx));
+      state.budget--;
+      count++;
+    }
+
+    return count;
+  }
+
+  // Flip interior edges when it brings the four vertices closer to regular
+  // valence (6 inside, 4 on the boundary)
+  flipEdges(state) {
+    const valence = idx => this.vertexNeighbors(state, idx).size;
+    const deviation = (idx, value) => Math.abs(value - (this.vertices[idx].isBoundary ? 4 : 6));
+
+    let count = 0;
+    for (const edge of this.edges.values()) {
+      if (state.budget <= 0) break;
+      if (edge.faces.length !== 2) continue;
+
+      const [f1, f2] = edge.faces;
+      let a = edge.v1;
+      let b = edge.v2;
+      const c = this.oppositeVertex(this.faces[f1], a, b);
+      const d = this.oppositeVertex(this.faces[f2], a, b);
+      if ([a, b, c, d].some(idx => state.locked.has(idx))) continue;
+      if (c === d || this.vertexNeighbors(state, c).has(d)) continue;
+
+      const va = valence(a), vb = valence(b), vc = valence(c), vd = valence(d);
+      const before = deviation(a, va) + deviation(b, vb) + deviation(c, vc) + deviation(d, vd);
+      const after = deviation(a, va - 1) + deviation(b, vb - 1) + deviation(c, vc + 1) + deviation(d, vd + 1);
+      if (after >= before || va <= 3 || vb <= 3) continue;
+
+      // Orient so f1 runs a -> b, which makes f2 run b -> a
+      const face1 = this.faces[f1];
+      if (face1[(face1.indexOf(a) + 1) % 3] !== b) [a, b] = [b, a];
+
+      // Only flip across nearly flat hinges, so the surface shape is kept
+      const pa = this.vertices[a].pos, pb = this.vertices[b].pos;
+      const pc = this.vertices[c].pos, pd = this.vertices[d].pos;
+      const n1 = new THREE.Vector3().subVectors(pb, pa).cross(new THREE.Vector3().subVectors(pc, pa)).normalize();
+      const n2 = new THREE.Vector3().subVectors(pa, pb).cross(new THREE.Vector3().subVectors(pd, pb)).normalize();
+      if (n1.dot(n2) < 0.8) continue;
+
+      const n3 = new THREE.Vector3().subVectors(pa, pc).cross(new THREE.Vector3().subVectors(pd, pc));
+      const n4 = new THREE.Vector3().subVectors(pb, pd).cross(new THREE.Vector3().subVectors(pc, pd));
+      if (n3.dot(n1) <= 0 || n4.dot(n1) <= 0) continue;
+
+      this.faces[f1] = [c, a, d];
+      this.faces[f2] = [d, b, c];
+
+      state.locked.add(a).add(b).add(c).add(d);
+      state.budget--;
+      count++;
+    }
+
+    return count;
+  }
+
+  // Drop removed faces and collapsed vertices, then rebuild edges keeping
+  // the state of every edge that survived the pass
+  compactMesh(state, originalEdges) {
+    const remap = new Array(this.vertices.length).fill(-1);
+    const vertices = [];
+    for (let i = 0; i < this.vertices.length; i++) {
+      if (state.redirect.has(i)) continue;
+      remap[i] = vertices.length;
+      vertices.push(this.vertices[i]);
+    }
+    for (const [from, to] of state.redirect) {
+      remap[from] = remap[to];
+    }
+
+    this.faces = this.faces
+      .filter((face, f) => !state.removed.has(f))
+      .map(face => face.map(idx => remap[idx]));
+    this.vertices = vertices;
+
+    const carried = new Map();
+    for (const edge of originalEdges.values()) {
+      const a = remap[edge.v1];
+      const b = remap[edge.v2];
+      if (a === b) continue;
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      if (!carried.has(key)) carried.set(key, edge);
+    }
+
+    const inheritFrom = new Map();
+    for (const [idx, edge] of state.inheritFrom) {
+      inheritFrom.set(remap[idx], edge);
+    }
+
+
+    this.markBoundaryVertices();
+    this.buildEdgeMap(carried, inheritFrom);
+    this.topologyChanged = true;
+    this.topologyVersion++;
+  }
+
+  // Optimized Catmull-Clark subdivision
+  subdivideMesh(time) {
+    // Skip if too many vertices
+    if (this.vertices.length >= 3000) return false;
+    
+    // Find edge pairs for quads
+    const quads = this.identifyQuads();
+    if (quads.length === 0) return false;
+    
+    // Create new vertices and faces
+    const newVertices = [...this.vertices];
+    const newFaces = [];
+    
+    // Create face points
+    const facePoints = [];
+    for (const quad of quads) {
+      const facePos = new THREE.Vector3();
+      const faceVel = new THREE.Vector3();
+      let minAge = Infinity;
+      let weight = 0;
+      let collisionRate = 0;
+      
+      // Average vertex positions
+      for (const idx of quad) {
+        facePos.add(this.vertices[idx].pos);
+        faceVel.add(this.vertices[idx].vel);
+        minAge = Math.min(minAge, this.vertices[idx].age);
+        weight += this.vertices[idx].growthWeight / 4;
+        collisionRate += this.vertices[idx].collisionRate / 4;
+      }
+      
+      facePos.divideScalar(4);
+      faceVel.divideScalar(4);
+      
+      // Add variation
+      facePos.x += (this.random() - 0.5) * 0.03;
+      facePos.y += (this.random() - 0.5) * 0.03;
+      facePos.z += (this.random() - 0.5) * 0.03;
+      
+      // Create face point
+      const facePointIdx = newVertices.length;
+      newVertices.push({
+        pos: facePos,
+        vel: faceVel,
+        age: minAge,
+        growthDir: new THREE.Vector3(this.random() * 2 - 1, this.random() * 2 - 1, this.random() * 2 - 1).normalize(),
+        isBoundary: false,
+        lastCollision: time,
+        growthWeight: weight,
+        collisionRate
+      });
+      
+      facePoints.push(facePointIdx);
+    }
+    
+    // Create edge points
+    const edgePoints = new Map();
+    
+    for (let [edgeKey, edge] of this.edges) {
+      const v1 = edge.v1;
+      const v2 = edge.v2;
+      
+      // Calculate edge midpoint
+      const edgePos = new THREE.Vector3().addVectors(
+        this.vertices[v1].pos, 
+        this.vertices[v2].pos
+      ).multiplyScalar(0.5);
+      
+      // Add variation
+      edgePos.x += (this.random() - 0.5) * 0.02;
+      edgePos.y += (this.random() - 0.5) * 0.02;
+      edgePos.z += (this.random() - 0.5) * 0.02;
+      
+      // Create edge point
+      const edgePointIdx = newVertices.length;
+      newVertices.push({
+        pos: edgePos,
+        vel: new THREE.Vector3().addVectors(
+          this.vertices[v1].vel, 
+          this.vertices[v2].vel
+        ).multiplyScalar(0.5),
+        age: Math.min(this.vertices[v1].age, this.vertices[v2].age),
+        growthDir: edge.growthDir.clone(),
+        isBoundary: edge.isBoundary,
+        lastCollision: Math.max(time - 0.5, 
+          Math.min(this.vertices[v1].lastCollision, this.vertices[v2].lastCollision)),
+        growthWeight: (this.vertices[v1].growthWeight + this.vertices[v2].growthWeight) / 2,
+        collisionRate: (this.vertices[v1].collisionRate + this.vertices[v2].collisionRate) / 2
+      });
+      
+      edgePoints.set(edgeKey, edgePointIdx);
+    }
+    
+    // Create new faces
+    let quadIndex = 0;
+    for (const quad of quads) {
+      const facePointIdx = facePoints[quadIndex++];
+      
+      // Create 4 new quads (triangulated as 8 triangles)
+      for (let i = 0; i < 4; i++) {
+        const cornerIdx = quad[i];
+        const nextCornerIdx = quad[(i + 1) % 4];
+        
+        // Get edge points
+        const edgeKey1 = cornerIdx < nextCornerIdx ? 
+          `${cornerIdx}_${nextCornerIdx}` : 
+          `${nextCornerIdx}_${cornerIdx}`;
+          
+        const edgeKey2 = cornerIdx < quad[(i + 3) % 4] ? 
+          `${cornerIdx}_${quad[(i + 3) % 4]}` : 
+          `${quad[(i + 3) % 4]}_${cornerIdx}`;
+        
+        const edgePoint1 = edgePoints.get(edgeKey1);
+        const edgePoint2 = edgePoints.get(edgeKey2);
+        
+        if (edgePoint1 !== undefined && edgePoint2 !== undefined) {
+          // Create two triangles
+          newFaces.push([cornerIdx, edgePoint1, facePointIdx]);
+          newFaces.push([cornerIdx, facePointIdx, edgePoint2]);
+        }
+      }
+    }
+    
+    // Use subdivision results
+    this.vertices = newVertices;
+    this.faces = newFaces;
+    this.buildEdgeMap();
+    this.updateSpatialGrid();
+    this.topologyChanged = true;
+    this.topologyVersion++;
+    
+    return true;
+  }
+
+  // Identify potential quads from triangle pairs
+  identifyQuads() {
+    const quads = [];
+    const processed = new Set();
+    
+    // Check each edge
+    for (const [edgeKey, edge] of this.edges) {
+      // Skip boundary edges
+      if (edge.isBoundary) continue;
+      
+      // Skip processed edges
+      if (processed.has(edgeKey)) continue;
+      
+      // Only process edges with exactly 2 faces
+      if (edge.faces.length !== 2) continue;
+      
+      const f1 = edge.faces[0];
+      const f2 = edge.faces[1];
+      
+      // Skip processed faces
+      if (processed.has(`f${f1}`) || processed.has(`f${f2}`)) continue;
+      
+      const face1 = this.faces[f1];
+      const face2 = this.faces[f2];
+      
+      // Find shared vertices
+      const shared = face1.filter(v => face2.includes(v));
+      
+      if (shared.length === 2) {
+        // Find unshared vertices
+        const v1 = face1.find(v => !shared.includes(v));
+        const v2 = face2.find(v => !shared.includes(v));
+        
+        if (v1 !== undefined && v2 !== undefined) {
+          // Reorder for consistent quad
+          quads.push([shared[0], v1, shared[1], v2]);
+          
+          // Mark as processed
+          processed.add(edgeKey);
+          processed.add(`f${f1}`);
+          processed.add(`f${f2}`);
+        }
+      }
+    }
+    
+    return quads;
+  }
+
+  // Advance the simulation by one fixed step. Time is counted in steps
+  // rather than read from a clock, so runs are reproducible.
+  update() {
+    const dt = this.timeStep;
+    this.stepCount++;
+    const time = this.stepCount * dt * 1000;
+    
+    // Last intersection-free positions to roll back to
+    if (this.resolveIntersections) {
+      this.storeSafePositions();
+    }
+    
+    // Detect collisions
+    this.detectCollisions(time);
+    this.updateCollisionRates(time);
+    
+    // Simulate growth
+    this.simulateGrowth(dt, time);
+    
+    // Apply edge constraints
+    this.applyEdgeConstraints();
+    
+    // Keep triangles well shaped as the mesh grows
+    if (this.remeshing) {
+      this.remeshMesh(time);
+    }
+    
+    // Update spatial grid
+    this.updateSpatialGrid();
+    
+    // Uniform subdivision every 120 steps when not remeshing
+    if (!this.remeshing && this.stepCount - this.lastSubdivideStep >= 120) {
+      if (this.subdivideMesh(time)) {
+        this.lastSubdivideStep = this.stepCount;
+      }
+    }
+    
+    // Exact self-intersection checks on the final mesh for this step
+    if (this.resolveIntersections || this.showIntersections) {
+      this.resolveSelfIntersections(time);
+    }
+    
+    // Start over once the mesh outgrows the vertex limit
+    const vertexLimit = this.remeshing ? this.maxVertices : 3000;
+    if (this.stepCount % 300 === 0 && this.vertices.length > vertexLimit) {
+      this.log(`Vertex limit reached, restarting seed ${this.seed}`);
+      this.createSeedMesh(this.seedOptions.shape, this.seedOptions.gridSize, this.seedOptions.size);
+    }
+  }
+
+  // Snapshot of everything needed to carry on exactly where the run is now:
+  // vertex and edge state, faces, settings and the PRNG state
+  getCheckpoint() {
+    const n = this.vertices.length;
+    const positions = new Float64Array(n * 3);
+    const velocities = new Float64Array(n * 3);
+    const growthDirs = new Float64Array(n * 3);
+    const ages = new Float64Array(n);
+    const lastCollisions = new Float64Array(n);
+    const growthWeights = new Float64Array(n);
+    const collisionRates = new Float64Array(n);
+    const boundary = new Uint8Array(n);
+    
+    this.vertices.forEach((v, i) => {
+      v.pos.toArray(positions, i * 3);
+      v.vel.toArray(velocities, i * 3);
+      v.growthDir.toArray(growthDirs, i * 3);
+      ages[i] = v.age;
+      lastCollisions[i] = v.lastCollision;
+      growthWeights[i] = v.growthWeight;
+      collisionRates[i] = v.collisionRate;
+      boundary[i] = v.isBoundary ? 1 : 0;
+    });
+    
+    const faces = new Uint32Array(this.faces.length * 3);
+    this.faces.forEach((face, i) => faces.set(face, i * 3));
+    
+    const edgeCount = this.edges.size;
+    const edgeVertices = new Uint32Array(edgeCount * 2);
+    const edgeRestLengths = new Float64Array(edgeCount);
+    const edgeAges = new Float64Array(edgeCount);
+    const edgeLastCollisions = new Float64Array(edgeCount);
+    const edgeGrowthDirs = new Float64Array(edgeCount * 3);
+    
+    let e = 0;
+    for (const edge of this.edges.values()) {
+      edgeVertices[e * 2] = edge.v1;
+      edgeVertices[e * 2 + 1] = edge.v2;
+      edgeRestLengths[e] = edge.restLength;
+      edgeAges[e] = edge.age;
+      edgeLastCollisions[e] = edge.lastCollision;
+      edge.growthDir.toArray(edgeGrowthDirs, e * 3);
+      e++;
+    }
+    
+    let importedSeed = null;
+    if (this.importedSeed) {
+      importedSeed = {
+        positions: Float64Array.from(this.importedSeed.positions.flatMap(p => p.toArray())),
+        faces: Uint32Array.from(this.importedSeed.faces.flat())
+      };
+    }
+    
+    return {
+      format: 'edgegrowth-checkpoint',
+      version: 1,
+      seed: this.seed,
+      seedOptions: { ...this.seedOptions },
+      randomState: this.random.getState(),
+      stepCount: this.stepCount,
+      lastSubdivideStep: this.lastSubdivideStep,
+      collisionCount: this.collisionCount,
+      settings: {
+        remeshing: this.remeshing,
+        minEdgeLength: this.minEdgeLength,
+        maxEdgeLength: this.maxEdgeLength,
+        collisionChecks: this.collisionChecks,
+        collisionThreshold: this.collisionThreshold,
+        maxVertices: this.maxVertices,
+        resolveIntersections: this.resolveIntersections
+      },
+      vertices: { positions, velocities, growthDirs, ages, lastCollisions, growthWeights, collisionRates, boundary },
+      faces,
+      edges: {
+        vertices: edgeVertices,
+        restLengths: edgeRestLengths,
+        ages: edgeAges,
+        lastCollisions: edgeLastCollisions,
+        growthDirs: edgeGrowthDirs
+      },
+      importedSeed
+    };
+  }
+
+  // Restore a snapshot made by getCheckpoint
+  loadCheckpoint(checkpoint) {
+    validateCheckpoint(checkpoint);
+    
+    this.applySettings(checkpoint.settings);
+    this.seed = checkpoint.seed;
+    this.seedOptions = { ...checkpoint.seedOptions };
+    this.random = createRandom(checkpoint.randomState);
+    this.stepCount = checkpoint.stepCount;
+    this.lastSubdivideStep = checkpoint.lastSubdivideStep;
+    this.collisionCount = checkpoint.collisionCount;
+    
+    const { positions, velocities, growthDirs, ages, lastCollisions, growthWeights, collisionRates, boundary } = checkpoint.vertices;
+    this.vertices = [];
+    for (let i = 0; i < ages.length; i++) {
+      this.vertices.push({
+        pos: new THREE.Vector3().fromArray(positions, i * 3),
+        vel: new THREE.Vector3().fromArray(velocities, i * 3),
+        age: ages[i],
+        growthDir: new THREE.Vector3().fromArray(growthDirs, i * 3),
+        isBoundary: boundary[i] === 1,
+        lastCollision: lastCollisions[i],
+        growthWeight: growthWeights[i],
+        collisionRate: collisionRates[i]
+      });
+    }
+    
+    this.faces = [];
+    for (let i = 0; i < checkpoint.faces.length; i += 3) {
+      this.faces.push([checkpoint.faces[i], checkpoint.faces[i + 1], checkpoint.faces[i + 2]]);
+    }
+    
+    // Edges are rebuilt from the faces, carrying over their saved state
+    const edges = checkpoint.edges;
+    const carried = new Map();
+    for (let e = 0; e < edges.restLengths.length; e++) {
+      const a = edges.vertices[e * 2];
+      const b = edges.vertices[e * 2 + 1];
+      carried.set(a < b ? `${a}_${b}` : `${b}_${a}`, {
+        restLength: edges.restLengths[e],
+        age: edges.ages[e],
+        lastCollision: edges.lastCollisions[e],
+        growthDir: new THREE.Vector3().fromArray(edges.growthDirs, e * 3)
+      });
+    }
+    
+    this.importedSeed = null;
+    if (checkpoint.importedSeed) {
+      const seed = checkpoint.importedSeed;
+      this.importedSeed = { positions: [], faces: [] };
+      for (let i = 0; i < seed.positions.length; i += 3) {
+        this.importedSeed.positions.push(new THREE.Vector3().fromArray(seed.positions, i));
+      }
+      for (let i = 0; i < seed.faces.length; i += 3) {
+        this.importedSeed.faces.push([seed.faces[i], seed.faces[i + 1], seed.faces[i + 2]]);
+      }
+    }
+    
+    this.buildEdgeMap(carried);
+    this.updateSpatialGrid();
+    this.intersectingFaces = [];
+    this.topologyChanged = true;
+    this.topologyVersion++;
+    
+    this.log(`Loaded checkpoint at step ${this.stepCount}: ${this.vertices.length} vertices`);
+  }
+
+  // Area weighted vertex normals for a flat position buffer
+  computeNormals(positions) {
+    const normals = new Float32Array(positions.length);
+    const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    const ab = new THREE.Vector3(), ac = new THREE.Vector3();
+
+    for (const face of this.faces) {
+      a.fromArray(positions, face[0] * 3);
+      b.fromArray(positions, face[1] * 3);
+      c.fromArray(positions, face[2] * 3);
+      ab.subVectors(b, a);
+      ac.subVectors(c, a);
+      ab.cross(ac);
+
+      for (const idx of face) {
+        normals[idx * 3] += ab.x;
+        normals[idx * 3 + 1] += ab.y;
+        normals[idx * 3 + 2] += ab.z;
+      }
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+      const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+      normals[i] /= length;
+      normals[i + 1] /= length;
+      normals[i + 2] /= length;
+    }
+
+    return normals;
+  }
+
+  // Vertex colors for the current shading mode. Scalar modes are mapped
+  // through their color map and the range used is kept for the legend.
+  computeColors() {
+    const mode = SHADING_MODES[this.colorMode] || SHADING_MODES.height;
+    if (!mode.colors) {
+      this.colorRange = null;
+      return this.computeHeightColors();
+    }
+    
+    const values = this.computeShadingValues(this.colorMode);
+    let min = 0;
+    let max = 2;
+    
+    if (this.colorMode !== 'growthWeight') {
+      // 95th percentile of the non-zero magnitudes, so a few outliers don't
+      // wash out the map and vertices the mode doesn't apply to don't shrink it
+      const magnitudes = Float32Array.from(values.filter(v => v !== 0), Math.abs).sort();
+      const range = Math.max(magnitudes[Math.floor((magnitudes.length - 1) * 0.95)] || 0, 1e-6);
+      min = mode.diverging ? -range : 0;
+      max = range;
+    }
+    this.colorRange = { min, max };
+    
+    const colors = new Float32Array(this.vertices.length * 3);
+    for (let i = 0; i < values.length; i++) {
+      const color = sampleColorMap(mode.colors, (values[i] - min) / (max - min));
+      colors[i * 3] = color[0];
+      colors[i * 3 + 1] = color[1];
+      colors[i * 3 + 2] = color[2];
+    }
+    
+    return colors;
+  }
+
+  // Per-vertex values for a scalar shading mode
+  computeShadingValues(mode) {
+    switch (mode) {
+      case 'growthWeight':
+        return Float32Array.from(this.vertices, v => v.growthWeight);
+      case 'age':
+        return Float32Array.from(this.vertices, v => v.age);
+      case 'growthRate':
+        return this.computeGrowthRates();
+      case 'meanCurvature':
+        return this.computeMeanCurvature();
+      case 'strain':
+        return this.computeEdgeStrain();
+      case 'collisions':
+        return Float32Array.from(this.vertices, v => v.collisionRate);
+      default:
+        return new Float32Array(this.vertices.length);
+    }
+  }
+
+  // Growth force per second each vertex currently receives from the
+  // boundary edges around it, without the random part of the direction
+  computeGrowthRates() {
+    const rates = new Float32Array(this.vertices.length);
+    const time = this.stepCount * this.timeStep * 1000;
+    
+    for (const edge of this.findBoundaryEdges()) {
+      if (time - edge.lastCollision < 0.5) continue;
+      
+      const v1 = this.vertices[edge.v1];
+      const v2 = this.vertices[edge.v2];
+      if (!(v1.isBoundary || v2.isBoundary)) continue;
+      
+      let nutrient = 1;
+      if (this.fieldObjects.length > 0) {
+        nutrient = this.nutrientLevel(new THREE.Vector3().addVectors(v1.pos, v2.pos).multiplyScalar(0.5));
+      }
+      
+      const rate = this.edgeGrowthForce(edge, nutrient, 1);
+      rates[edge.v1] += rate;
+      rates[edge.v2] += rate;
+    }
+    
+    return rates;
+  }
+
+  // Discrete mean curvature from the cotangent Laplacian, signed against the
+  // vertex normal. Boundary vertices have no closed one-ring and read zero.
+  computeMeanCurvature() {
+    const n = this.vertices.length;
+    const laplacian = new Float64Array(n * 3);
+    const normals = new Float64Array(n * 3);
+    const areas = new Float64Array(n);
+    const e1 = new THREE.Vector3();
+    const e2 = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    
+    for (const face of this.faces) {
+      const p = face.map(idx => this.vertices[idx].pos);
+      cross.crossVectors(e1.subVectors(p[1], p[0]), e2.subVectors(p[2], p[0]));
+      const doubleArea = cross.length();
+      if (doubleArea < 1e-12) continue;
+      
+      for (let k = 0; k < 3; k++) {
+        const i = face[k];
+        areas[i] += doubleArea / 6;
+        normals[i * 3] += cross.x;
+        normals[i * 3 + 1] += cross.y;
+        normals[i * 3 + 2] += cross.z;
+        
+        // The angle at corner k weights the opposite edge
+        const a = face[(k + 1) % 3];
+        const b = face[(k + 2) % 3];
+        e1.subVectors(this.vertices[a].pos, p[k]);
+        e2.subVectors(this.vertices[b].pos, p[k]);
+        const cot = e1.dot(e2) / doubleArea;
+        
+        for (let c = 0; c < 3; c++) {
+          const d = this.vertices[b].pos.getComponent(c) - this.vertices[a].pos.getComponent(c);
+          laplacian[a * 3 + c] += cot * d;
+          laplacian[b * 3 + c] -= cot * d;
+        }
+      }
+    }
+    
+    const curvature = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      if (this.vertices[i].isBoundary || areas[i] === 0) continue;
+      
+      const nx = normals[i * 3], ny = normals[i * 3 + 1], nz = normals[i * 3 + 2];
+      const length = Math.hypot(nx, ny, nz) || 1;
+      const dot = (laplacian[i * 3] * nx + laplacian[i * 3 + 1] * ny + laplacian[i * 3 + 2] * nz) / length;
+      curvature[i] = dot / (4 * areas[i]);
+    }
+    
+    return curvature;
+  }
+
+  // Average relative stretch of the edges at each vertex, (length - rest) / rest
+  computeEdgeStrain() {
+    const strain = new Float32Array(this.vertices.length);
+    const counts = new Uint32Array(this.vertices.length);
+    
+    for (const edge of this.edges.values()) {
+      const length = this.vertices[edge.v1].pos.distanceTo(this.vertices[edge.v2].pos);
+      const value = (length - edge.restLength) / edge.restLength;
+      strain[edge.v1] += value;
+      strain[edge.v2] += value;
+      counts[edge.v1]++;
+      counts[edge.v2]++;
+    }
+    
+    for (let i = 0; i < strain.length; i++) {
+      if (counts[i] > 0) strain[i] /= counts[i];
+    }
+    
+    return strain;
+  }
+
+  // Vertex colors by height: boundary red-yellow, interior blue-purple-pink
+  computeHeightColors() {
+    const colors = new Float32Array(this.vertices.length * 3);
+    
+    // Find height range
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+    
+    for (let i = 0; i < this.vertices.length; i++) {
+      minZ = Math.min(minZ, this.vertices[i].pos.z);
+      maxZ = Math.max(maxZ, this.vertices[i].pos.z);
+    }
+    
+    // Ensure we have some range
+    if (maxZ - minZ < 0.1) maxZ = minZ + 1;
+    
+    // Color vertices
+    for (let i = 0; i < this.vertices.length; i++) {
+      const heightValue = (this.vertices[i].pos.z - minZ) / (maxZ - minZ);
+      const isBoundary = this.vertices[i].isBoundary;
+      
+      let r, g, b;
+      
+      if (isBoundary) {
+        // Boundary vertices: red-yellow gradient
+        r = 1.0;
+        g = heightValue * 0.8;
+        b = 0.0;
+      } else {
+        // Interior vertices: blue-purple-pink gradient
+        if (heightValue < 0.33) {
+          r = heightValue * 3;
+          g = 0.0;
+          b = 1.0;
+        } else if (heightValue < 0.66) {
+          r = 1.0;
+          g = 0.0;
+          b = 1.0 - (heightValue - 0.33) * 3;
+        } else {
+          r = 1.0;
+          g = (heightValue - 0.66) * 3;
+          b = 0.0;
+        }
+      }
+      
+      colors[i * 3] = r;
+      colors[i * 3 + 1] = g;
+      colors[i * 3 + 2] = b;
+    }
+    
+    return colors;
+  }
+
+  // Flat buffers for rendering. Indices are only included when the topology
+  // changed since the last frame, colors when topology or colors changed or
+  // the shading mode follows the simulation every step.
+  getFrame() {
+    const positions = new Float32Array(this.vertices.length * 3);
+    for (let i = 0; i < this.vertices.length; i++) {
+      positions[i * 3] = this.vertices[i].pos.x;
+      positions[i * 3 + 1] = this.vertices[i].pos.y;
+      positions[i * 3 + 2] = this.vertices[i].pos.z;
+    }
+
+    const frame = {
+      positions,
+      normals: this.computeNormals(positions),
+      stepCount: this.stepCount,
+      vertexCount: this.vertices.length,
+      faceCount: this.faces.length,
+      collisionCount: this.collisionCount,
+      intersectionCount: this.intersectingFaces.length
+    };
+
+    if (this.topologyChanged) {
+      frame.indices = new Uint32Array(this.faces.length * 3);
+      for (let i = 0; i < this.faces.length; i++) {
+        frame.indices[i * 3] = this.faces[i][0];
+        frame.indices[i * 3 + 1] = this.faces[i][1];
+        frame.indices[i * 3 + 2] = this.faces[i][2];
+      }
+      this.topologyChanged = false;
+      this.colorsChanged = true;
+    }
+
+    if (this.colorsChanged || SHADING_MODES[this.colorMode]?.dynamic) {
+      frame.colors = this.computeColors();
+      frame.colorMode = this.colorMode;
+      frame.colorRange = this.colorRange;
+      this.colorsChanged = false;
+    }
+
+    if (this.showIntersections) {
+      frame.intersections = Uint32Array.from(this.intersectingFaces);
+    }
+
+    return frame;
+  }
+}
@@ -0,0 +1,18 @@
+// Web Worker running the edge growth simulation off the main thread.
+// Frames go back to the page as transferable typed arrays.
+import { GrowthSimulation, handleSimulationMessage } from './edgegrowth-core.js';
+
+const simulation = new GrowthSimulation();
+simulation.log = message => self.postMessage({ type: 'debug', message });
+
+// A message that fails is reported instead of taking the worker down
+self.onmessage = function(event) {
+    try {
+        const reply = handleSimulationMessage(simulation, event.data);
+        if (reply) {
+            self.postMessage(reply.message, reply.transfer);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'debug', message: `Simulation error (${event.data.type}): ${error.message}` });
+    }
+};
@@ -1,20 +1,73 @@
 // Import necessary modules
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
+import {
+    GrowthSimulation, handleSimulationMessage, SHADING_MODES, sampleColorMap,
+    checkpointToJSON, checkpointFromJSON, encodeCheckpoint, decodeCheckpoint, validateCheckpoint
+} from './edgegrowth-core.js';
 
 // Initialize variables
 let renderer, scene, camera, controls;
-let clock = new THREE.Clock();
 let gridHelper, axisHelper;
 let meshManager;
+let fieldObjects = [];
+let selectedField = -1;
+let fieldGizmo;
+let raycaster, pointer, brushCursor;
+let isPainting = false;
+const clock = new THREE.Clock();
+
+// Starting settings for each kind of environment object
+const FIELD_DEFAULTS = {
+    attractor: { position: [0, 0, 2], radius: 3, strength: 0.5 },
+    repeller: { position: [0, 0, 1], radius: 1.5, strength: 0.5 },
+    wall: { position: [1.5, 0, 0.5], normal: [-1, 0, 0], size: 3, strength: 0 },
+    sphere: { position: [0, 0, 1], radius: 0.5, strength: 0 },
+    nutrient: { position: [0, 0, 0], normal: [0, 0, 1], radius: 2, strength: 0.3 }
+};
+
+// Seed shapes a share link can rebuild; imported OBJ seeds are not in the URL
+const SHARED_SEED_SHAPES = ['grid', 'disc', 'annulus', 'hexagon', 'icosphere', 'cylinder'];
+
+// IndexedDB store for checkpoint slots
+const CHECKPOINT_DB = 'edgegrowth-checkpoints';
+const CHECKPOINT_STORE = 'slots';
+const CHECKPOINT_SLOTS = 4;
 
 // Configuration parameters
 let config = {
     gridSize: 8,
     size: 2,
+    seedShape: 'grid',
+    remeshing: true,
+    resolveIntersections: true,
+    showIntersections: false,
+    maxEdgeLength: 0.3,
+    minEdgeLength: 0.12,
+    maxVertices: 20000,
+    recordEvery: 10,
+    frameFormat: 'obj',
+    checkpointFormat: 'json',
+    checkpointSlot: 1,
+    animationFps: 24,
+    seed: 1,
+    fieldType: 'attractor',
+    fieldGizmoMode: 'translate',
+    shadingMode: 'height',
+    paintMode: false,
+    brushRadius: 0.3,
+    brushStrength: 0.5,
+    brushTarget: 2,
+    brushFalloff: 'smooth',
     wireframe: false,
     collisionChecks: 100,
-    speed: 100,
+    speed: 20, // ms of real time per fixed simulation step
     showGrid: true,
     isPaused: false
 };
@@ -71,13 +124,30 @@ function init() {
     secondLight.position.set(-1, 0.5, -1);
     scene.add(secondLight);
     
+    // Gizmo for placing environment objects
+    createFieldGizmo();
+    
+    // Brush for painting growth rates
+    createBrush();
+    
+    // Pick up a shared seed and settings, if any
+    const sharedFields = readShareParams();
+    
     // Create mesh manager
     meshManager = new MeshManager(scene);
-    meshManager.createGridMesh(config.gridSize, config.size);
-    meshManager.rebuildGeometry();
+    meshManager.setSimulationSpeed(config.speed);
+    meshManager.setSeed(config.seed);
+    meshManager.setRemeshing(config.remeshing);
+    meshManager.setEdgeLengthRange(config.minEdgeLength, config.maxEdgeLength);
+    meshManager.setMaxVertices(config.maxVertices);
+    meshManager.setIntersectionHandling(config.resolveIntersections, config.showIntersections);
+    meshManager.setCollisionChecks(config.collisionChecks);
+    if (sharedFields.length > 0) setFieldObjectsFromData(sharedFields);
+    meshManager.createSeedMesh(config.seedShape, config.gridSize, config.size);
     
     // Update stats initially
     updateStats();
+    updateCheckpointSlots();
     
     // Setup event listeners
     setupEventListeners();
@@ -94,11 +164,603 @@ function init() {
     console.log("Organic growth simulation initialized");
 }
 
+// Pick a fresh seed for a new run
+function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Read seed and settings from the page URL, falling back to a fresh seed.
+// Returns the shared environment objects, which need the simulation to exist.
+function readShareParams() {
+    const params = new URLSearchParams(window.location.search);
+    
+    config.seed = params.has('seed') ? (parseInt(params.get('seed')) >>> 0) : generateSeed();
+    if (SHARED_SEED_SHAPES.includes(params.get('shape'))) config.seedShape = params.get('shape');
+    config.gridSize = Math.round(readShareNumber(params, 'grid', 2, 64, config.gridSize));
+    config.size = readShareNumber(params, 'size', 0.1, 10, config.size);
+    if (params.has('remesh')) config.remeshing = params.get('remesh') === '1';
+    config.minEdgeLength = readShareNumber(params, 'minEdge', 0.02, 0.25, config.minEdgeLength);
+    config.maxEdgeLength = readShareNumber(params, 'maxEdge', 0.1, 0.6, config.maxEdgeLength);
+    config.collisionChecks = Math.round(readShareNumber(params, 'collisions', 10, 500, config.collisionChecks));
+    if (params.has('resolve')) config.resolveIntersections = params.get('resolve') === '1';
+    config.maxVertices = Math.round(readShareNumber(params, 'maxVerts', 1000, 200000, config.maxVertices));
+    
+    // Remeshing needs collapses to stay shorter than splits
+    if (config.minEdgeLength >= config.maxEdgeLength) {
+        config.minEdgeLength = Math.max(0.02, config.maxEdgeLength - 0.01);
+    }
+    
+    return readShareFields(params);
+}
+
+// Read a number from the URL, clamped to its slider range
+function readShareNumber(params, name, min, max, fallback) {
+    const value = parseFloat(params.get(name));
+    if (!Number.isFinite(value)) return fallback;
+    return Math.min(Math.max(value, min), max);
+}
+
+// Read the environment objects from the URL, skipping any that are malformed
+function readShareFields(params) {
+    let list;
+    try {
+        list = JSON.parse(params.get('fields') || '[]');
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(list)) return [];
+    
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    return list.filter(function(field) {
+        if (!field || !Object.hasOwn(FIELD_DEFAULTS, field.type)) return false;
+        const extent = field.type === 'wall' ? field.size : field.radius;
+        return isVector(field.position) && isVector(field.normal) &&
+            Number.isFinite(field.strength) && Number.isFinite(extent) && extent > 0;
+    });
+}
+
+// What the current run depends on that a link cannot carry
+function getUnshareableState() {
+    const missing = [];
+    if (config.seedShape === 'obj') missing.push("an imported OBJ seed");
+    if (meshManager.weightsPainted) missing.push("painted growth rates");
+    return missing;
+}
+
+// Build a link that reproduces the current run
+function getShareURL() {
+    // Rounded so the link stays a manageable length
+    const round = value => Math.round(value * 1e4) / 1e4;
+    const fields = getFieldObjectData().map(field => ({
+        type: field.type,
+        position: field.position.map(round),
+        normal: field.normal.map(round),
+        radius: field.radius,
+        strength: field.strength,
+        size: field.size
+    }));
+    
+    const params = new URLSearchParams({
+        seed: config.seed,
+        shape: config.seedShape,
+        grid: config.gridSize,
+        size: config.size,
+        remesh: config.remeshing ? '1' : '0',
+        minEdge: config.minEdgeLength,
+        maxEdge: config.maxEdgeLength,
+        collisions: config.collisionChecks,
+        resolve: config.resolveIntersections ? '1' : '0',
+        maxVerts: config.maxVertices
+    });
+    if (fields.length > 0) params.set('fields', JSON.stringify(fields));
+    return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+// Create the gizmo used to move and rotate environment objects
+function createFieldGizmo() {
+    fieldGizmo = new TransformControls(camera, renderer.domElement);
+    fieldGizmo.setMode(config.fieldGizmoMode);
+    fieldGizmo.enabled = false;
+    fieldGizmo.visible = false;
+    scene.add(fieldGizmo);
+    
+    // Don't orbit the camera while dragging the gizmo
+    fieldGizmo.addEventListener('dragging-changed', function(event) {
+        controls.enabled = !event.value;
+    });
+    
+    fieldGizmo.addEventListener('objectChange', sendFieldObjects);
+}
+
+// Create the raycaster, pointer handlers and cursor for the growth-rate brush
+function createBrush() {
+    raycaster = new THREE.Raycaster();
+    pointer = new THREE.Vector2();
+    
+    brushCursor = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 24, 16),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.3 })
+    );
+    brushCursor.scale.setScalar(config.brushRadius);
+    brushCursor.visible = false;
+    scene.add(brushCursor);
+    
+    renderer.domElement.addEventListener('pointerdown', function(event) {
+        if (!config.paintMode || event.button !== 0) return;
+        isPainting = true;
+        paintAt(event);
+    });
+    
+    renderer.domElement.addEventListener('pointermove', function(event) {
+        if (!config.paintMode) return;
+        if (isPainting) {
+            paintAt(event);
+        } else {
+            pickMesh(event);
+        }
+    });
+    
+    window.addEventListener('pointerup', function() {
+        isPainting = false;
+    });
+}
+
+// Find where the pointer hits the growing mesh and move the brush cursor there
+function pickMesh(event) {
+    const mesh = meshManager && meshManager.mesh;
+    if (!mesh) return null;
+    
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+    
+    const hit = raycaster.intersectObject(mesh)[0];
+    brushCursor.visible = !!hit;
+    if (hit) brushCursor.position.copy(hit.point);
+    return hit || null;
+}
+
+// Paint growth weights under the pointer
+function paintAt(event) {
+    const hit = pickMesh(event);
+    if (!hit) return;
+    
+    meshManager.paintGrowthWeights(hit.point, config.brushRadius, config.brushTarget,
+        config.brushStrength, config.brushFalloff);
+}
+
+// Switch between orbiting the camera and painting growth rates
+function setPaintMode(enabled) {
+    config.paintMode = enabled;
+    controls.enabled = !enabled;
+    isPainting = false;
+    brushCursor.visible = false;
+    meshManager.setColorMode(enabled ? 'growthWeight' : config.shadingMode);
+}
+
+// Build the scene marker for an environment object. The local +Z axis is the
+// wall normal or nutrient direction.
+function createFieldHelper(field) {
+    const helper = new THREE.Group();
+    
+    switch (field.type) {
+        case 'attractor':
+        case 'repeller':
+            helper.add(new THREE.Mesh(
+                new THREE.SphereGeometry(0.08, 16, 12),
+                new THREE.MeshBasicMaterial({ color: field.type === 'attractor' ? 0x34c759 : 0xff3b30 })
+            ));
+            helper.add(new THREE.Mesh(
+                new THREE.SphereGeometry(field.radius, 24, 16),
+                new THREE.MeshBasicMaterial({
+                    color: field.type === 'attractor' ? 0x34c759 : 0xff3b30,
+                    wireframe: true,
+                    transparent: true,
+                    opacity: 0.08
+                })
+            ));
+            break;
+            
+        case 'wall':
+            helper.add(new THREE.Mesh(
+                new THREE.PlaneGeometry(field.size, field.size),
+                new THREE.MeshBasicMaterial({
+                    color: 0x007aff,
+                    transparent: true,
+                    opacity: 0.2,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                })
+            ));
+            break;
+            
+        case 'sphere':
+            helper.add(new THREE.Mesh(
+                new THREE.SphereGeometry(field.radius, 32, 24),
+                new THREE.MeshPhongMaterial({ color: 0x8e8e93, transparent: true, opacity: 0.4 })
+            ));
+            break;
+            
+        case 'nutrient':
+            helper.add(new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, 0xffcc00, 0.2, 0.1));
+            break;
+    }
+    
+    return helper;
+}
+
+// Replace an object's marker, keeping its position and orientation
+function refreshFieldHelper(field) {
+    const helper = createFieldHelper(field);
+    
+    if (field.helper) {
+        helper.position.copy(field.helper.position);
+        helper.quaternion.copy(field.helper.quaternion);
+        disposeFieldHelper(field.helper);
+    }
+    
+    field.helper = helper;
+    scene.add(helper);
+    
+    if (fieldObjects[selectedField] === field) {
+        fieldGizmo.attach(helper);
+    }
+}
+
+// Take a marker out of the scene and free its GPU resources
+function disposeFieldHelper(helper) {
+    scene.remove(helper);
+    helper.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+}
+
+// Add an environment object of the given type and select it
+function addFieldObject(type) {
+    const defaults = FIELD_DEFAULTS[type];
+    const field = { type, radius: defaults.radius ?? 1, strength: defaults.strength, size: defaults.size ?? 2, helper: null };
+    
+    refreshFieldHelper(field);
+    field.helper.position.fromArray(defaults.position);
+    if (defaults.normal) {
+        field.helper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3().fromArray(defaults.normal));
+    }
+    
+    fieldObjects.push(field);
+    selectField(fieldObjects.length - 1);
+    sendFieldObjects();
+}
+
+// Remove the selected environment object
+function removeSelectedField() {
+    if (selectedField < 0) return;
+    
+    const [field] = fieldObjects.splice(selectedField, 1);
+    fieldGizmo.detach();
+    disposeFieldHelper(field.helper);
+    
+    selectField(Math.min(selectedField, fieldObjects.length - 1));
+    sendFieldObjects();
+}
+
+// Select an environment object, attach the gizmo and show its settings
+function selectField(index) {
+    selectedField = index;
+    const field = fieldObjects[index];
+    
+    if (field) {
+        fieldGizmo.attach(field.helper);
+    } else {
+        fieldGizmo.detach();
+    }
+    fieldGizmo.enabled = !!field;
+    fieldGizmo.visible = !!field;
+    
+    updateFieldControls();
+}
+
+// Refresh the object list and the strength and radius sliders
+function updateFieldControls() {
+    const fieldList = document.getElementById('fieldList');
+    if (fieldList) {
+        fieldList.innerHTML = '';
+        fieldObjects.forEach(function(field, i) {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `${i + 1}. ${field.type}`;
+            fieldList.appendChild(option);
+        });
+        fieldList.value = selectedField;
+    }
+    
+    const field = fieldObjects[selectedField];
+    if (!field) return;
+    
+    const fieldStrength = document.getElementById('fieldStrength');
+    const fieldStrengthValue = document.getElementById('fieldStrengthValue');
+    if (fieldStrength && fieldStrengthValue) {
+        fieldStrength.value = field.strength;
+        fieldStrengthValue.textContent = field.strength.toFixed(2);
+    }
+    
+    const fieldRadius = document.getElementById('fieldRadius');
+    const fieldRadiusValue = document.getElementById('fieldRadiusValue');
+    if (fieldRadius && fieldRadiusValue) {
+        const value = field.type === 'wall' ? field.size : field.radius;
+        fieldRadius.value = value;
+        fieldRadiusValue.textContent = value.toFixed(2);
+    }
+}
+
+// Plain copies of the environment objects, as the simulation, share links and checkpoints see them
+function getFieldObjectData() {
+    return fieldObjects.map(function(field) {
+        return {
+            type: field.type,
+            position: field.helper.position.toArray(),
+            normal: new THREE.Vector3(0, 0, 1).applyQuaternion(field.helper.quaternion).toArray(),
+            radius: field.radius,
+            strength: field.strength,
+            size: field.size
+        };
+    });
+}
+
+// Replace the environment objects with saved ones
+function setFieldObjectsFromData(list) {
+    fieldGizmo.detach();
+    fieldObjects.forEach(field => disposeFieldHelper(field.helper));
+    
+    fieldObjects = list.map(function(data) {
+        const field = { type: data.type, radius: data.radius, strength: data.strength, size: data.size, helper: null };
+        refreshFieldHelper(field);
+        field.helper.position.fromArray(data.position);
+        field.helper.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), new THREE.Vector3().fromArray(data.normal));
+        return field;
+    });
+    
+    selectField(fieldObjects.length - 1);
+    sendFieldObjects();
+}
+
+// Send the environment objects to the simulation
+function sendFieldObjects() {
+    if (!meshManager) return;
+    
+    meshManager.setFieldObjects(getFieldObjectData());
+}
+
+// Take a checkpoint of the running simulation, with the environment objects
+function captureCheckpoint() {
+    return meshManager.requestCheckpoint().then(function(checkpoint) {
+        checkpoint.fields = getFieldObjectData();
+        return checkpoint;
+    });
+}
+
+// Continue from a checkpoint, bringing the page settings and controls in line.
+// Throws before changing anything if the checkpoint is damaged.
+function applyCheckpoint(checkpoint) {
+    validateCheckpoint(checkpoint);
+    
+    config.seed = checkpoint.seed;
+    config.seedShape = checkpoint.seedOptions.shape;
+    config.gridSize = checkpoint.seedOptions.gridSize;
+    config.size = checkpoint.seedOptions.size;
+    config.remeshing = checkpoint.settings.remeshing;
+    config.minEdgeLength = checkpoint.settings.minEdgeLength;
+    config.maxEdgeLength = checkpoint.settings.maxEdgeLength;
+    config.collisionChecks = checkpoint.settings.collisionChecks;
+    config.maxVertices = checkpoint.settings.maxVertices;
+    config.resolveIntersections = checkpoint.settings.resolveIntersections;
+    
+    setFieldObjectsFromData(checkpoint.fields || []);
+    meshManager.loadCheckpoint(checkpoint);
+    updateControlsFromConfig();
+    
+    clearDebug();
+    addDebugMessage(`Checkpoint: seed ${checkpoint.seed}, step ${checkpoint.stepCount}`);
+}
+
+// Download a checkpoint file in the chosen format
+function saveCheckpointFile() {
+    captureCheckpoint().then(function(checkpoint) {
+        const name = `edgegrowth-${checkpoint.seed}-step${checkpoint.stepCount}`;
+        
+        if (config.checkpointFormat === 'binary') {
+            downloadFile(encodeCheckpoint(checkpoint), `${name}.egc`, 'application/octet-stream');
+        } else {
+            downloadFile(checkpointToJSON(checkpoint), `${name}.json`, 'application/json');
+        }
+    }).catch(function(error) {
+        addDebugMessage(`Could not save checkpoint: ${error.message}`);
+    });
+}
+
+// Load a JSON or binary checkpoint file
+function loadCheckpointFile(file) {
+    const reader = new FileReader();
+    reader.onload = function(event) {
+        const buffer = event.target.result;
+        
+        try {
+            // JSON checkpoints start with '{', binary ones with the magic number
+            const isJSON = new Uint8Array(buffer, 0, Math.min(1, buffer.byteLength))[0] === 0x7B;
+            applyCheckpoint(isJSON ? checkpointFromJSON(new TextDecoder().decode(buffer)) : decodeCheckpoint(buffer));
+        } catch (error) {
+            addDebugMessage(`Could not load checkpoint: ${error.message}`);
+        }
+    };
+    reader.readAsArrayBuffer(file);
+}
+
+// Open the checkpoint database, creating the slot store on first use
+function openCheckpointDB() {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.open(CHECKPOINT_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CHECKPOINT_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the slot store and resolve with its result
+function checkpointStoreRequest(mode, makeRequest) {
+    return openCheckpointDB().then(function(db) {
+        return new Promise(function(resolve, reject) {
+            const transaction = db.transaction(CHECKPOINT_STORE, mode);
+            const request = makeRequest(transaction.objectStore(CHECKPOINT_STORE));
+            transaction.oncomplete = function() {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = function() {
+                db.close();
+                reject(transaction.error);
+            };
+        });
+    });
+}
+
+// Save the running simulation to a checkpoint slot
+function saveCheckpointSlot(slot) {
+    captureCheckpoint().then(function(checkpoint) {
+        const entry = { slot, savedAt: Date.now(), vertexCount: checkpoint.vertices.ages.length, checkpoint };
+        return checkpointStoreRequest('readwrite', store => store.put(entry, slot));
+    }).then(function() {
+        addDebugMessage(`Saved checkpoint to slot ${slot}`);
+        updateCheckpointSlots();
+    }).catch(function(error) {
+        addDebugMessage(`Could not save checkpoint: ${error.message}`);
+    });
+}
+
+// Continue from the checkpoint in a slot
+function loadCheckpointSlot(slot) {
+    checkpointStoreRequest('readonly', store => store.get(slot)).then(function(entry) {
+        if (!entry) {
+            addDebugMessage(`Slot ${slot} is empty`);
+            return;
+        }
+        applyCheckpoint(entry.checkpoint);
+    }).catch(function(error) {
+        addDebugMessage(`Could not load checkpoint: ${error.message}`);
+    });
+}
+
+// Empty a checkpoint slot
+function clearCheckpointSlot(slot) {
+    checkpointStoreRequest('readwrite', store => store.delete(slot)).then(updateCheckpointSlots).catch(function(error) {
+        addDebugMessage(`Could not clear slot: ${error.message}`);
+    });
+}
+
+// List the checkpoint slots with what each one holds
+function updateCheckpointSlots() {
+    const slotSelect = document.getElementById('checkpointSlot');
+    if (!slotSelect || typeof indexedDB === 'undefined') return;
+    
+    checkpointStoreRequest('readonly', store => store.getAll()).then(function(entries) {
+        slotSelect.innerHTML = '';
+        for (let slot = 1; slot <= CHECKPOINT_SLOTS; slot++) {
+            const entry = entries.find(e => e.slot === slot);
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = entry ?
+                `Slot ${slot}: step ${entry.checkpoint.stepCount}, ${entry.vertexCount} vertices, ${new Date(entry.savedAt).toLocaleString()}` :
+                `Slot ${slot}: empty`;
+            slotSelect.appendChild(option);
+        }
+        slotSelect.value = config.checkpointSlot;
+    }).catch(function(error) {
+        addDebugMessage(`Checkpoint slots unavailable: ${error.message}`);
+    });
+}
+
+// Show the current settings in the seed, remeshing and collision controls
+function updateControlsFromConfig() {
+    const seedInput = document.getElementById('seedInput');
+    if (seedInput) seedInput.value = config.seed;
+    
+    const seedShapeSelect = document.getElementById('seedShape');
+    if (seedShapeSelect) seedShapeSelect.value = config.seedShape;
+    
+    const remeshBtn = document.getElementById('remeshBtn');
+    if (remeshBtn) remeshBtn.textContent = config.remeshing ? "Remeshing: On" : "Remeshing: Off";
+    
+    const resolveIntersectionsBtn = document.getElementById('resolveIntersectionsBtn');
+    if (resolveIntersectionsBtn) {
+        resolveIntersectionsBtn.textContent = config.resolveIntersections ? "Resolve Intersections: On" : "Resolve Intersections: Off";
+    }
+    
+    const sliders = [
+        ['maxEdgeSlider', 'maxEdgeValue', config.maxEdgeLength, 2],
+        ['minEdgeSlider', 'minEdgeValue', config.minEdgeLength, 2],
+        ['collisionSlider', 'collisionValue', config.collisionChecks, 0]
+    ];
+    for (const [sliderId, valueId, value, digits] of sliders) {
+        const slider = document.getElementById(sliderId);
+        const display = document.getElementById(valueId);
+        if (slider) slider.value = value;
+        if (display) display.textContent = value.toFixed(digits);
+    }
+}
+
+// Restart the simulation from the seed mesh with the current seed
+function restartSimulation() {
+    meshManager.setSeed(config.seed);
+    meshManager.createSeedMesh(config.seedShape, config.gridSize, config.size);
+    clearDebug();
+    addDebugMessage(`Seed ${config.seed}`);
+}
+
+// Draw the color scale for the active shading mode, or hide it for height
+function updateShadingLegend(modeName, range) {
+    const legend = document.getElementById('shadingLegend');
+    const canvas = document.getElementById('shadingLegendBar');
+    const mode = SHADING_MODES[modeName];
+    if (!legend || !canvas) return;
+    
+    legend.style.display = mode && mode.colors && range ? 'block' : 'none';
+    if (!mode || !mode.colors || !range) return;
+    
+    const context = canvas.getContext('2d');
+    const barHeight = 16;
+    const gradient = context.createLinearGradient(0, 0, canvas.width, 0);
+    for (let i = 0; i <= 8; i++) {
+        const color = sampleColorMap(mode.colors, i / 8);
+        gradient.addColorStop(i / 8, `rgb(${color.map(c => Math.round(c * 255)).join(', ')})`);
+    }
+    
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, barHeight);
+    
+    // Scale labels
+    const format = value => Math.abs(value) >= 100 ? value.toFixed(0) : value.toPrecision(2);
+    context.fillStyle = document.body.classList.contains('dark-mode') ? '#f5f5f7' : '#1d1d1f';
+    context.font = '10px sans-serif';
+    context.textAlign = 'left';
+    context.fillText(format(range.min), 0, canvas.height - 2);
+    context.textAlign = 'center';
+    context.fillText(mode.unit, canvas.width / 2, canvas.height - 2);
+    context.textAlign = 'right';
+    context.fillText(format(range.max), canvas.width, canvas.height - 2);
+    
+    const title = document.getElementById('shadingLegendTitle');
+    if (title) title.textContent = mode.label;
+}
+
 // Update stats display
 function updateStats() {
     const statsElement = document.getElementById('stats');
     if (statsElement && meshManager) {
-        statsElement.textContent = `Vertices: ${meshManager.vertices.length} | Faces: ${meshManager.faces.length} | Iter: ${meshManager.collisionCount}`;
+        const thread = meshManager.worker ? "worker" : "main thread";
+        let text = `Vertices: ${meshManager.vertexCount} | Faces: ${meshManager.faceCount} | Iter: ${meshManager.collisionCount}`;
+        if (config.showIntersections) text += ` | Intersecting: ${meshManager.intersectionCount}`;
+        statsElement.textContent = `${text} | Step: ${meshManager.stepTime.toFixed(1)} ms (${thread})`;
     }
 }
 
@@ -151,27 +813,16 @@ function animate() {
     // Update controls
     if (controls) controls.update();
     
+    // Time since the last frame, which sets how many fixed steps are due
+    const delta = clock.getDelta();
+    
     if (!config.isPaused) {
-        // Update mesh
-        const time = clock.getElapsedTime() * 1000;
-        meshManager.update(time);
-        
-        // Handle subdivision every 100 frames
-        const frame = Math.floor(time / 16.7); // approx 60fps
-        if (frame % 100 === 0 && time - meshManager.lastSubdivideTime > 2000) {
-            if (meshManager.subdivideMesh(time)) {
-                meshManager.lastSubdivideTime = time;
-            }
-        }
-        
-        // Reset if too many vertices
-        if (frame % 300 === 0 && meshManager.vertices.length > 3000) {
-            meshManager.createGridMesh(config.gridSize, config.size);
-            meshManager.rebuildGeometry();
-        }
+        // Advance the simulation by the fixed steps that fit in the elapsed time
+        meshManager.update(delta * 1000);
         
         // Update stats
         updateStats();
+        updateRecordingDisplay();
     }
     
     // Render the scene
@@ -190,10 +841,93 @@ function setupEventListeners() {
     // Reset button
     const resetBtn = document.getElementById('resetBtn');
     if (resetBtn) {
-        resetBtn.addEventListener('click', function() {
-            meshManager.createGridMesh(config.gridSize, config.size);
-            meshManager.rebuildGeometry();
-            clearDebug();
+        resetBtn.addEventListener('click', restartSimulation);
+    }
+    
+    // Seed input
+    const seedInput = document.getElementById('seedInput');
+    if (seedInput) {
+        seedInput.value = config.seed;
+        
+        seedInput.addEventListener('change', function() {
+            const seed = parseInt(this.value);
+            if (isNaN(seed)) {
+                this.value = config.seed;
+                return;
+            }
+            config.seed = seed >>> 0;
+            this.value = config.seed;
+            restartSimulation();
+        });
+    }
+    
+    // New random seed
+    const randomSeedBtn = document.getElementById('randomSeedBtn');
+    if (randomSeedBtn) {
+        randomSeedBtn.addEventListener('click', function() {
+            config.seed = generateSeed();
+            if (seedInput) seedInput.value = config.seed;
+            restartSimulation();
+        });
+    }
+    
+    // Share link
+    const shareLinkBtn = document.getElementById('shareLinkBtn');
+    if (shareLinkBtn) {
+        shareLinkBtn.addEventListener('click', function() {
+            // A link that silently drops part of the run would not reproduce it
+            const missing = getUnshareableState();
+            if (missing.length > 0) {
+                addDebugMessage(`Share links cannot hold ${missing.join(' or ')}, save a checkpoint instead`);
+                return;
+            }
+            
+            const url = getShareURL();
+            window.history.replaceState(null, '', url);
+            
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url).then(function() {
+                    addDebugMessage("Share link copied to clipboard");
+                }).catch(function() {
+                    addDebugMessage(url);
+                });
+            } else {
+                addDebugMessage(url);
+            }
+        });
+    }
+    
+    // Seed shape selector
+    const seedShapeSelect = document.getElementById('seedShape');
+    if (seedShapeSelect) {
+        seedShapeSelect.value = config.seedShape;
+        
+        seedShapeSelect.addEventListener('change', function() {
+            config.seedShape = this.value;
+            
+            // Imported meshes are created when a file is chosen
+            if (config.seedShape === 'obj' && !meshManager.importedSeed) return;
+            
+            restartSimulation();
+        });
+    }
+    
+    // Seed mesh import
+    const seedFileInput = document.getElementById('seedFile');
+    if (seedFileInput) {
+        seedFileInput.addEventListener('change', function() {
+            const file = this.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = function(event) {
+                if (!meshManager.loadSeedFromOBJ(event.target.result, config.size)) return;
+                
+                config.seedShape = 'obj';
+                if (seedShapeSelect) seedShapeSelect.value = 'obj';
+                restartSimulation();
+            };
+            reader.readAsText(file);
         });
     }
     
@@ -223,1001 +957,986 @@ function setupEventListeners() {
         });
     }
     
-    // Speed slider
-    const speedSlider = document.getElementById('speedSlider');
-    const speedValue = document.getElementById('speedValue');
-    if (speedSlider && speedValue) {
-        speedSlider.value = config.speed;
-        speedValue.textContent = config.speed;
+    // Remeshing toggle
+    const remeshBtn = document.getElementById('remeshBtn');
+    if (remeshBtn) {
+        remeshBtn.textContent = config.remeshing ? "Remeshing: On" : "Remeshing: Off";
         
-        speedSlider.addEventListener('input', function() {
-            config.speed = parseInt(this.value);
-            speedValue.textContent = config.speed;
+        remeshBtn.addEventListener('click', function() {
+            config.remeshing = !config.remeshing;
+            this.textContent = config.remeshing ? "Remeshing: On" : "Remeshing: Off";
             if (meshManager) {
-                meshManager.setSimulationSpeed(config.speed);
+                meshManager.setRemeshing(config.remeshing);
             }
         });
     }
     
-    // Collision checks slider
-    const collisionSlider = document.getElementById('collisionSlider');
-    const collisionValue = document.getElementById('collisionValue');
-    if (collisionSlider && collisionValue) {
-        collisionSlider.value = config.collisionChecks;
-        collisionValue.textContent = config.collisionChecks;
+    // Self-intersection toggles
+    const resolveIntersectionsBtn = document.getElementById('resolveIntersectionsBtn');
+    if (resolveIntersectionsBtn) {
+        resolveIntersectionsBtn.textContent = config.resolveIntersections ? "Resolve Intersections: On" : "Resolve Intersections: Off";
         
-        collisionSlider.addEventListener('input', function() {
-            config.collisionChecks = parseInt(this.value);
-            collisionValue.textContent = config.collisionChecks;
+        resolveIntersectionsBtn.addEventListener('click', function() {
+            config.resolveIntersections = !config.resolveIntersections;
+            this.textContent = config.resolveIntersections ? "Resolve Intersections: On" : "Resolve Intersections: Off";
+            meshManager.setIntersectionHandling(config.resolveIntersections, config.showIntersections);
+        });
+    }
+    
+    const showIntersectionsBtn = document.getElementById('showIntersectionsBtn');
+    if (showIntersectionsBtn) {
+        showIntersectionsBtn.textContent = config.showIntersections ? "Show Intersections: On" : "Show Intersections: Off";
+        
+        showIntersectionsBtn.addEventListener('click', function() {
+            config.showIntersections = !config.showIntersections;
+            this.textContent = config.showIntersections ? "Show Intersections: On" : "Show Intersections: Off";
+            meshManager.setIntersectionHandling(config.resolveIntersections, config.showIntersections);
+            updateStats();
+        });
+    }
+    
+    // Max edge length slider
+    const maxEdgeSlider = document.getElementById('maxEdgeSlider');
+    const maxEdgeValue = document.getElementById('maxEdgeValue');
+    if (maxEdgeSlider && maxEdgeValue) {
+        maxEdgeSlider.value = config.maxEdgeLength;
+        maxEdgeValue.textContent = config.maxEdgeLength.toFixed(2);
+        
+        maxEdgeSlider.addEventListener('input', function() {
+            config.maxEdgeLength = parseFloat(this.value);
+            maxEdgeValue.textContent = config.maxEdgeLength.toFixed(2);
             if (meshManager) {
-                meshManager.setCollisionChecks(config.collisionChecks);
+                meshManager.setEdgeLengthRange(config.minEdgeLength, config.maxEdgeLength);
             }
         });
     }
     
-    // Control panel minimize/maximize
-    const minimizeBtn = document.getElementById('minimizeControls');
-    const controlsPanel = document.getElementById('controls');
-    if (minimizeBtn && controlsPanel) {
-        minimizeBtn.addEventListener('click', function() {
-            controlsPanel.classList.toggle('minimized');
-            const icon = this.querySelector('i');
-            if (icon) {
-                icon.classList.toggle('fa-chevron-right');
-                icon.classList.toggle('fa-chevron-left');
+    // Min edge length slider
+    const minEdgeSlider = document.getElementById('minEdgeSlider');
+    const minEdgeValue = document.getElementById('minEdgeValue');
+    if (minEdgeSlider && minEdgeValue) {
+        minEdgeSlider.value = config.minEdgeLength;
+        minEdgeValue.textContent = config.minEdgeLength.toFixed(2);
+        
+        minEdgeSlider.addEventListener('input', function() {
+            config.minEdgeLength = parseFloat(this.value);
+            minEdgeValue.textContent = config.minEdgeLength.toFixed(2);
+            if (meshManager) {
+                meshManager.setEdgeLengthRange(config.minEdgeLength, config.maxEdgeLength);
             }
         });
     }
-}
-
-// Clear debug display
-function clearDebug() {
-    const debugElement = document.getElementById('debug');
-    if (debugElement) {
-        debugElement.innerHTML = '';
-    }
-}
-
-// Add debug message
-function addDebugMessage(message) {
-    const debugElement = document.getElementById('debug');
-    if (debugElement) {
-        const div = document.createElement('div');
-        div.textContent = message;
-        debugElement.appendChild(div);
-        
-        // Limit the number of messages to 10
-        while (debugElement.children.length > 10) {
-            debugElement.removeChild(debugElement.firstChild);
-        }
+    
+    // Current mesh export
+    const exportOBJBtn = document.getElementById('exportOBJ');
+    if (exportOBJBtn) {
+        exportOBJBtn.addEventListener('click', function() {
+            downloadFile(meshManager.exportOBJ(), 'edgegrowth.obj', 'model/obj');
+        });
     }
-}
-
-// Enhanced Spatial Grid for collision detection
-class SpatialGrid {
-  constructor(cellSize = 0.5) {
-    this.cellSize = cellSize;
-    this.cells = new Map();
-    this.reset();
-  }
-
-  reset() {
-    this.cells.clear();
-  }
-
-  // Get cell key for a position
-  getKey(pos) {
-    const x = Math.floor(pos.x / this.cellSize);
-    const y = Math.floor(pos.y / this.cellSize);
-    const z = Math.floor(pos.z / this.cellSize);
-    return `${x},${y},${z}`;
-  }
-
-  // Add item to grid
-  insert(item, pos) {
-    const key = this.getKey(pos);
-    if (!this.cells.has(key)) {
-      this.cells.set(key, []);
+    
+    const exportPLYBtn = document.getElementById('exportPLY');
+    if (exportPLYBtn) {
+        exportPLYBtn.addEventListener('click', function() {
+            downloadFile(meshManager.exportPLY(), 'edgegrowth.ply', 'application/octet-stream');
+        });
     }
-    this.cells.get(key).push(item);
-  }
-
-  // Get nearby items
-  query(pos, radius = 1) {
-    const results = [];
-    const cellRadius = Math.ceil(radius / this.cellSize);
-    const baseX = Math.floor(pos.x / this.cellSize);
-    const baseY = Math.floor(pos.y / this.cellSize);
-    const baseZ = Math.floor(pos.z / this.cellSize);
-
-    // Check neighboring cells
-    for (let x = baseX - cellRadius; x <= baseX + cellRadius; x++) {
-      for (let y = baseY - cellRadius; y <= baseY + cellRadius; y++) {
-        for (let z = baseZ - cellRadius; z <= baseZ + cellRadius; z++) {
-          const key = `${x},${y},${z}`;
-          if (this.cells.has(key)) {
-            results.push(...this.cells.get(key));
-          }
-        }
-      }
+    
+    // Recording
+    const recordBtn = document.getElementById('recordBtn');
+    if (recordBtn) {
+        recordBtn.addEventListener('click', function() {
+            if (meshManager.recording) {
+                meshManager.stopRecording();
+            } else {
+                meshManager.startRecording(config.recordEvery);
+            }
+            updateRecordingDisplay();
+        });
     }
-    return results;
-  }
-}
-
-// Mesh manager
-class MeshManager {
-  constructor(scene) {
-    this.scene = scene;
-    this.vertices = [];
-    this.faces = [];
-    this.edges = new Map();
-    this.grid = new SpatialGrid(0.5);
-    this.collisionCount = 0;
-    this.geometry = null;
-    this.mesh = null;
-    this.material = null;
-    this.wireframe = false;
-    this.collisionThreshold = 0.25;
-    this.lastTime = 0;
-    this.lastSubdivideTime = 0;
-    this.simulationSpeed = 100; // ms per step
-    this.collisionChecks = 100; // number of collision checks per frame
-    this.statsElement = document.getElementById('stats');
-    this.debugElement = document.getElementById('debug');
-  }
-
-  // Create initial grid mesh
-  createGridMesh(gridSize = 8, size = 2) {
-    this.vertices = [];
-    this.faces = [];
-    this.edges = new Map();
-    this.collisionCount = 0;
-
-    const halfSize = size / 2;
-    const cellSize = size / gridSize;
     
-    // Create grid vertices
-    for (let i = 0; i <= gridSize; i++) {
-      for (let j = 0; j <= gridSize; j++) {
-        const x = -halfSize + i * cellSize;
-        const y = -halfSize + j * cellSize;
-        const z = 0;
+    const recordEverySlider = document.getElementById('recordEverySlider');
+    const recordEveryValue = document.getElementById('recordEveryValue');
+    if (recordEverySlider && recordEveryValue) {
+        recordEverySlider.value = config.recordEvery;
+        recordEveryValue.textContent = config.recordEvery;
         
-        const isBoundary = i === 0 || j === 0 || i === gridSize || j === gridSize;
-        
-        this.vertices.push({
-          pos: new THREE.Vector3(x, y, z),
-          vel: new THREE.Vector3(),
-          age: 0,
-          growthDir: new THREE.Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).normalize(),
-          isBoundary,
-          lastCollision: 0
+        recordEverySlider.addEventListener('input', function() {
+            config.recordEvery = parseInt(this.value);
+            recordEveryValue.textContent = config.recordEvery;
+            meshManager.recordInterval = config.recordEvery;
         });
-      }
     }
     
-    // Create faces
-    for (let i = 0; i < gridSize; i++) {
-      for (let j = 0; j < gridSize; j++) {
-        const idx = i * (gridSize + 1) + j;
-        const idx1 = idx + 1;
-        const idx2 = idx + (gridSize + 1);
-        const idx3 = idx2 + 1;
+    const frameFormatSelect = document.getElementById('frameFormat');
+    if (frameFormatSelect) {
+        frameFormatSelect.value = config.frameFormat;
         
-        this.faces.push([idx, idx1, idx2]);
-        this.faces.push([idx1, idx3, idx2]);
-      }
+        frameFormatSelect.addEventListener('change', function() {
+            config.frameFormat = this.value;
+        });
     }
     
-    this.buildEdgeMap();
-    this.updateSpatialGrid();
-    this.updateInfoDisplay();
-  }
-
-  // Build edge map from faces
-  buildEdgeMap() {
-    this.edges.clear();
-    
-    for (let f = 0; f < this.faces.length; f++) {
-      let tri = this.faces[f];
-      for (let i = 0; i < 3; i++) {
-        let a = tri[i];
-        let b = tri[(i + 1) % 3];
-        let key = a < b ? `${a}_${b}` : `${b}_${a}`;
-        
-        if (!this.edges.has(key)) {
-          let dist = this.vertices[a].pos.distanceTo(this.vertices[b].pos);
-          const isBoundary = this.vertices[a].isBoundary || this.vertices[b].isBoundary;
-          
-          this.edges.set(key, { 
-            v1: a, 
-            v2: b, 
-            key, 
-            restLength: dist, 
-            faces: [f],
-            isBoundary,
-            age: 0,
-            growthDir: new THREE.Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).normalize(),
-            lastCollision: 0
-          });
-        } else {
-          this.edges.get(key).faces.push(f);
-          this.edges.get(key).isBoundary = false;
-        }
-      }
+    const downloadFramesBtn = document.getElementById('downloadFramesBtn');
+    if (downloadFramesBtn) {
+        downloadFramesBtn.addEventListener('click', function() {
+            const zip = meshManager.exportFramesZip(config.frameFormat);
+            if (zip) downloadFile(zip, `edgegrowth-frames-${config.frameFormat}.zip`, 'application/zip');
+        });
     }
-  }
-
-  // Find boundary edges
-  findBoundaryEdges() {
-    return Array.from(this.edges.values()).filter(edge => edge.faces.length === 1);
-  }
-
-  // Update spatial grid for fast collision detection
-  updateSpatialGrid() {
-    this.grid.reset();
     
-    // Add edges to grid
-    for (const [key, edge] of this.edges) {
-      const v1 = this.vertices[edge.v1].pos;
-      const v2 = this.vertices[edge.v2].pos;
-      const midpoint = new THREE.Vector3().addVectors(v1, v2).multiplyScalar(0.5);
-      this.grid.insert({ type: 'edge', key }, midpoint);
+    const exportGLTFBtn = document.getElementById('exportGLTF');
+    if (exportGLTFBtn) {
+        exportGLTFBtn.addEventListener('click', function() {
+            meshManager.exportAnimationGLTF(config.animationFps).then(function(glb) {
+                if (glb) downloadFile(glb, 'edgegrowth-animation.glb', 'model/gltf-binary');
+            }).catch(function(error) {
+                console.error("glTF export failed:", error);
+            });
+        });
     }
     
-    // Add faces to grid
-    for (let i = 0; i < this.faces.length; i++) {
-      const face = this.faces[i];
-      const center = this.calculateFaceCenter(face);
-      this.grid.insert({ type: 'face', index: i }, center);
+    const clearFramesBtn = document.getElementById('clearFramesBtn');
+    if (clearFramesBtn) {
+        clearFramesBtn.addEventListener('click', function() {
+            meshManager.clearRecording();
+            updateRecordingDisplay();
+        });
     }
-  }
-
-  // Calculate face center
-  calculateFaceCenter(faceIndices) {
-    const v1 = this.vertices[faceIndices[0]].pos;
-    const v2 = this.vertices[faceIndices[1]].pos;
-    const v3 = this.vertices[faceIndices[2]].pos;
     
-    return new THREE.Vector3(
-      (v1.x + v2.x + v3.x) / 3,
-      (v1.y + v2.y + v3.y) / 3,
-      (v1.z + v2.z + v3.z) / 3
-    );
-  }
-
-  // Update info display
-  updateInfoDisplay() {
-    if (this.statsElement) {
-      this.statsElement.textContent = `Vertices: ${this.vertices.length} | Faces: ${this.faces.length} | Iter: ${this.collisionCount}`;
+    // Environment objects
+    const fieldTypeSelect = document.getElementById('fieldType');
+    if (fieldTypeSelect) {
+        fieldTypeSelect.value = config.fieldType;
+        
+        fieldTypeSelect.addEventListener('change', function() {
+            config.fieldType = this.value;
+        });
     }
-  }
-  
-  // Set simulation speed
-  setSimulationSpeed(speed) {
-    this.simulationSpeed = speed;
-  }
-  
-  // Set number of collision checks per frame
-  setCollisionChecks(checks) {
-    this.collisionChecks = checks;
-  }
-  
-  // Perform adaptive smoothing
-  performAdaptiveSmoothing() {
-    // Skip if too many vertices
-    if (this.vertices.length >= 3000) {
-      addDebugMessage("Too many vertices for smoothing");
-      return false;
+    
+    const addFieldBtn = document.getElementById('addFieldBtn');
+    if (addFieldBtn) {
+        addFieldBtn.addEventListener('click', function() {
+            addFieldObject(config.fieldType);
+        });
     }
     
-    // Create a copy of vertices
-    const newVertices = [...this.vertices];
-    
-    // For each interior vertex
-    for (let i = 0; i < this.vertices.length; i++) {
-      // Skip boundary vertices
-      if (this.vertices[i].isBoundary) continue;
-      
-      // Find all adjacent vertices
-      const neighbors = this.findNeighbors(i);
-      
-      if (neighbors.length > 0) {
-        // Calculate average position
-        const avgPos = new THREE.Vector3();
-        for (const neighborIdx of neighbors) {
-          avgPos.add(this.vertices[neighborIdx].pos);
-        }
-        avgPos.divideScalar(neighbors.length);
-        
-        // Apply weighted smoothing (Laplacian)
-        const weight = 0.5;
-        newVertices[i].pos.lerp(avgPos, weight);
-      }
+    const removeFieldBtn = document.getElementById('removeFieldBtn');
+    if (removeFieldBtn) {
+        removeFieldBtn.addEventListener('click', removeSelectedField);
     }
     
-    // Update vertices
-    this.vertices = newVertices;
+    const fieldList = document.getElementById('fieldList');
+    if (fieldList) {
+        fieldList.addEventListener('change', function() {
+            selectField(parseInt(this.value));
+        });
+    }
     
-    // Update geometry
-    this.updateGeometry();
+    const fieldGizmoModeSelect = document.getElementById('fieldGizmoMode');
+    if (fieldGizmoModeSelect) {
+        fieldGizmoModeSelect.value = config.fieldGizmoMode;
+        
+        fieldGizmoModeSelect.addEventListener('change', function() {
+            config.fieldGizmoMode = this.value;
+            fieldGizmo.setMode(config.fieldGizmoMode);
+        });
+    }
     
-    // Add debug message
-    addDebugMessage("Performed adaptive smoothing");
+    const fieldStrength = document.getElementById('fieldStrength');
+    const fieldStrengthValue = document.getElementById('fieldStrengthValue');
+    if (fieldStrength && fieldStrengthValue) {
+        fieldStrength.addEventListener('input', function() {
+            const field = fieldObjects[selectedField];
+            if (!field) return;
+            
+            field.strength = parseFloat(this.value);
+            fieldStrengthValue.textContent = field.strength.toFixed(2);
+            sendFieldObjects();
+        });
+    }
     
-    return true;
-  }
-  
-  // Find neighbor vertices of a vertex
-  findNeighbors(vertexIdx) {
-    const neighbors = new Set();
-    
-    // Check all edges for this vertex
-    for (const [key, edge] of this.edges) {
-      if (edge.v1 === vertexIdx) {
-        neighbors.add(edge.v2);
-      } else if (edge.v2 === vertexIdx) {
-        neighbors.add(edge.v1);
-      }
+    const fieldRadius = document.getElementById('fieldRadius');
+    const fieldRadiusValue = document.getElementById('fieldRadiusValue');
+    if (fieldRadius && fieldRadiusValue) {
+        fieldRadius.addEventListener('input', function() {
+            const field = fieldObjects[selectedField];
+            if (!field) return;
+            
+            const value = parseFloat(this.value);
+            if (field.type === 'wall') {
+                field.size = value;
+            } else {
+                field.radius = value;
+            }
+            fieldRadiusValue.textContent = value.toFixed(2);
+            refreshFieldHelper(field);
+            sendFieldObjects();
+        });
     }
     
-    return Array.from(neighbors);
-  }
-
-  // Create or update mesh
-  rebuildGeometry() {
-    if (this.mesh) {
-      this.scene.remove(this.mesh);
-      if (this.geometry) this.geometry.dispose();
-      if (this.material) this.material.dispose();
+    // Checkpoints
+    const checkpointFormatSelect = document.getElementById('checkpointFormat');
+    if (checkpointFormatSelect) {
+        checkpointFormatSelect.value = config.checkpointFormat;
+        
+        checkpointFormatSelect.addEventListener('change', function() {
+            config.checkpointFormat = this.value;
+        });
     }
     
-    // Create new geometry
-    this.geometry = new THREE.BufferGeometry();
+    const saveCheckpointBtn = document.getElementById('saveCheckpointBtn');
+    if (saveCheckpointBtn) {
+        saveCheckpointBtn.addEventListener('click', saveCheckpointFile);
+    }
     
-    // Add positions
-    const positions = new Float32Array(this.vertices.length * 3);
-    for (let i = 0; i < this.vertices.length; i++) {
-      positions[i * 3] = this.vertices[i].pos.x;
-      positions[i * 3 + 1] = this.vertices[i].pos.y;
-      positions[i * 3 + 2] = this.vertices[i].pos.z;
-    }
-    
-    // Add indices
-    const indices = [];
-    for (const face of this.faces) {
-      indices.push(face[0], face[1], face[2]);
-    }
-    
-    this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    this.geometry.setIndex(indices);
-    this.geometry.computeVertexNormals();
-    
-    // Add colors based on height
-    const colors = new Float32Array(this.vertices.length * 3);
-    
-    // Find height range
-    let minZ = Infinity;
-    let maxZ = -Infinity;
-    
-    for (let i = 0; i < this.vertices.length; i++) {
-      minZ = Math.min(minZ, this.vertices[i].pos.z);
-      maxZ = Math.max(maxZ, this.vertices[i].pos.z);
-    }
-    
-    // Ensure we have some range
-    if (maxZ - minZ < 0.1) maxZ = minZ + 1;
-    
-    // Color vertices
-    for (let i = 0; i < this.vertices.length; i++) {
-      const heightValue = (this.vertices[i].pos.z - minZ) / (maxZ - minZ);
-      const isBoundary = this.vertices[i].isBoundary;
-      
-      let r, g, b;
-      
-      if (isBoundary) {
-        // Boundary vertices: red-yellow gradient
-        r = 1.0;
-        g = heightValue * 0.8;
-        b = 0.0;
-      } else {
-        // Interior vertices: blue-purple-pink gradient
-        if (heightValue < 0.33) {
-          r = heightValue * 3;
-          g = 0.0;
-          b = 1.0;
-        } else if (heightValue < 0.66) {
-          r = 1.0;
-          g = 0.0;
-          b = 1.0 - (heightValue - 0.33) * 3;
-        } else {
-          r = 1.0;
-          g = (heightValue - 0.66) * 3;
-          b = 0.0;
-        }
-      }
-      
-      colors[i * 3] = r;
-      colors[i * 3 + 1] = g;
-      colors[i * 3 + 2] = b;
+    const checkpointFileInput = document.getElementById('checkpointFile');
+    if (checkpointFileInput) {
+        checkpointFileInput.addEventListener('change', function() {
+            const file = this.files[0];
+            if (!file) return;
+            
+            loadCheckpointFile(file);
+            this.value = '';
+        });
     }
     
-    this.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    const checkpointSlotSelect = document.getElementById('checkpointSlot');
+    if (checkpointSlotSelect) {
+        checkpointSlotSelect.addEventListener('change', function() {
+            config.checkpointSlot = parseInt(this.value);
+        });
+    }
     
-    // Create material
-    this.material = new THREE.MeshPhongMaterial({ 
-      vertexColors: true,
-      side: THREE.DoubleSide,
-      shininess: 30,
-      emissive: 0x333333,
-      emissiveIntensity: 0.5,
-      specular: 0xffffff,
-      wireframe: this.wireframe
-    });
+    const saveSlotBtn = document.getElementById('saveSlotBtn');
+    if (saveSlotBtn) {
+        saveSlotBtn.addEventListener('click', function() {
+            saveCheckpointSlot(config.checkpointSlot);
+        });
+    }
     
-    // Create mesh
-    this.mesh = new THREE.Mesh(this.geometry, this.material);
-    this.scene.add(this.mesh);
-  }
-
-  // Update existing geometry
-  updateGeometry() {
-    if (!this.geometry || !this.mesh) {
-      this.rebuildGeometry();
-      return;
+    const loadSlotBtn = document.getElementById('loadSlotBtn');
+    if (loadSlotBtn) {
+        loadSlotBtn.addEventListener('click', function() {
+            loadCheckpointSlot(config.checkpointSlot);
+        });
     }
     
-    // Update positions if size matches
-    if (this.geometry.attributes.position.count === this.vertices.length) {
-      const positions = this.geometry.attributes.position.array;
-      for (let i = 0; i < this.vertices.length; i++) {
-        positions[i * 3] = this.vertices[i].pos.x;
-        positions[i * 3 + 1] = this.vertices[i].pos.y;
-        positions[i * 3 + 2] = this.vertices[i].pos.z;
-      }
-      
-      this.geometry.attributes.position.needsUpdate = true;
-      this.geometry.computeVertexNormals();
-    } else {
-      // Otherwise rebuild
-      this.rebuildGeometry();
+    const clearSlotBtn = document.getElementById('clearSlotBtn');
+    if (clearSlotBtn) {
+        clearSlotBtn.addEventListener('click', function() {
+            clearCheckpointSlot(config.checkpointSlot);
+        });
     }
     
-    this.updateInfoDisplay();
-  }
-
-  // Calculate distance between edges
-  distanceBetweenEdges(a0, a1, b0, b1) {
-    const A = new THREE.Vector3().subVectors(a1, a0);
-    const B = new THREE.Vector3().subVectors(b1, b0);
-    const C = new THREE.Vector3().subVectors(b0, a0);
-    
-    // Optimization: quick check using bounding boxes
-    const boxA = new THREE.Box3().setFromPoints([a0, a1]);
-    const boxB = new THREE.Box3().setFromPoints([b0, b1]);
-    
-    if (!boxA.intersectsBox(boxB) && boxA.distanceToPoint(b0) > this.collisionThreshold && 
-        boxB.distanceToPoint(a0) > this.collisionThreshold) {
-      return {
-        distance: Infinity,
-        pointOnA: null,
-        pointOnB: null
-      };
+    // Shading mode
+    const shadingModeSelect = document.getElementById('shadingMode');
+    if (shadingModeSelect) {
+        shadingModeSelect.value = config.shadingMode;
+        
+        shadingModeSelect.addEventListener('change', function() {
+            config.shadingMode = this.value;
+            if (!config.paintMode) meshManager.setColorMode(config.shadingMode);
+        });
     }
     
-    // Quick check if lines are parallel
-    const Aen = A.dot(A);
-    const Ben = B.dot(B);
-    const AxB = new THREE.Vector3().crossVectors(A, B).length();
+    // Growth-rate painting
+    const paintBtn = document.getElementById('paintBtn');
+    if (paintBtn) {
+        paintBtn.textContent = config.paintMode ? "Paint Growth: On" : "Paint Growth: Off";
+        
+        paintBtn.addEventListener('click', function() {
+            setPaintMode(!config.paintMode);
+            this.textContent = config.paintMode ? "Paint Growth: On" : "Paint Growth: Off";
+        });
+    }
     
-    if (AxB < 1e-6 * Math.sqrt(Aen * Ben)) {
-      return {
-        distance: Infinity,
-        pointOnA: null,
-        pointOnB: null
-      };
+    const brushRadiusSlider = document.getElementById('brushRadiusSlider');
+    const brushRadiusValue = document.getElementById('brushRadiusValue');
+    if (brushRadiusSlider && brushRadiusValue) {
+        brushRadiusSlider.value = config.brushRadius;
+        brushRadiusValue.textContent = config.brushRadius.toFixed(2);
+        
+        brushRadiusSlider.addEventListener('input', function() {
+            config.brushRadius = parseFloat(this.value);
+            brushRadiusValue.textContent = config.brushRadius.toFixed(2);
+            brushCursor.scale.setScalar(config.brushRadius);
+        });
     }
     
-    // Calculate closest points
-    const AC = new THREE.Vector3().crossVectors(A, C);
-    const BC = new THREE.Vector3().crossVectors(B, C);
+    const brushStrengthSlider = document.getElementById('brushStrengthSlider');
+    const brushStrengthValue = document.getElementById('brushStrengthValue');
+    if (brushStrengthSlider && brushStrengthValue) {
+        brushStrengthSlider.value = config.brushStrength;
+        brushStrengthValue.textContent = config.brushStrength.toFixed(2);
+        
+        brushStrengthSlider.addEventListener('input', function() {
+            config.brushStrength = parseFloat(this.value);
+            brushStrengthValue.textContent = config.brushStrength.toFixed(2);
+        });
+    }
     
-    const ACxB = new THREE.Vector3().crossVectors(AC, B).length();
-    const AxBC = new THREE.Vector3().crossVectors(A, BC).length();
+    const brushTargetSlider = document.getElementById('brushTargetSlider');
+    const brushTargetValue = document.getElementById('brushTargetValue');
+    if (brushTargetSlider && brushTargetValue) {
+        brushTargetSlider.value = config.brushTarget;
+        brushTargetValue.textContent = config.brushTarget.toFixed(2);
+        
+        brushTargetSlider.addEventListener('input', function() {
+            config.brushTarget = parseFloat(this.value);
+            brushTargetValue.textContent = config.brushTarget.toFixed(2);
+        });
+    }
     
-    let s = AxBC / AxB;
-    let t = ACxB / AxB;
+    const brushFalloffSelect = document.getElementById('brushFalloff');
+    if (brushFalloffSelect) {
+        brushFalloffSelect.value = config.brushFalloff;
+        
+        brushFalloffSelect.addEventListener('change', function() {
+            config.brushFalloff = this.value;
+        });
+    }
     
-    // Clamp parameters
-    if (s < 0) s = 0;
-    else if (s > 1) s = 1;
+    const resetWeightsBtn = document.getElementById('resetWeightsBtn');
+    if (resetWeightsBtn) {
+        resetWeightsBtn.addEventListener('click', function() {
+            meshManager.resetGrowthWeights();
+        });
+    }
     
-    if (t < 0) t = 0;
-    else if (t > 1) t = 1;
+    // Speed slider
+    const speedSlider = document.getElementById('speedSlider');
+    const speedValue = document.getElementById('speedValue');
+    if (speedSlider && speedValue) {
+        speedSlider.value = config.speed;
+        speedValue.textContent = config.speed;
+        
+        speedSlider.addEventListener('input', function() {
+            config.speed = parseInt(this.value);
+            speedValue.textContent = config.speed;
+            if (meshManager) {
+                meshManager.setSimulationSpeed(config.speed);
+            }
+        });
+    }
     
-    // Calculate closest points
-    const pointOnA = new THREE.Vector3().addVectors(a0, A.clone().multiplyScalar(s));
-    const pointOnB = new THREE.Vector3().addVectors(b0, B.clone().multiplyScalar(t));
+    // Collision checks slider
+    const collisionSlider = document.getElementById('collisionSlider');
+    const collisionValue = document.getElementById('collisionValue');
+    if (collisionSlider && collisionValue) {
+        collisionSlider.value = config.collisionChecks;
+        collisionValue.textContent = config.collisionChecks;
+        
+        collisionSlider.addEventListener('input', function() {
+            config.collisionChecks = parseInt(this.value);
+            collisionValue.textContent = config.collisionChecks;
+            if (meshManager) {
+                meshManager.setCollisionChecks(config.collisionChecks);
+            }
+        });
+    }
     
-    return {
-      distance: pointOnA.distanceTo(pointOnB),
-      pointOnA,
-      pointOnB
-    };
-  }
+    // Control panel minimize/maximize
+    const minimizeBtn = document.getElementById('minimizeControls');
+    const controlsPanel = document.getElementById('controls');
+    if (minimizeBtn && controlsPanel) {
+        minimizeBtn.addEventListener('click', function() {
+            controlsPanel.classList.toggle('minimized');
+            const icon = this.querySelector('i');
+            if (icon) {
+                icon.classList.toggle('fa-chevron-right');
+                icon.classList.toggle('fa-chevron-left');
+            }
+        });
+    }
+}
 
-  // Check for triangle intersection
-  triangleIntersection(tri1, tri2) {
-    // Quick bounding box test
-    const box1 = new THREE.Box3().setFromPoints(tri1);
-    const box2 = new THREE.Box3().setFromPoints(tri2);
-    
-    if (!box1.intersectsBox(box2)) {
-      return { intersect: false };
+// Save data as a file download
+function downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
+
+// Update the recording button and frame count
+function updateRecordingDisplay() {
+    const recordBtn = document.getElementById('recordBtn');
+    if (recordBtn && meshManager) {
+        recordBtn.textContent = meshManager.recording ? "Stop Recording" : "Start Recording";
     }
     
-    // Check proximity between triangles
-    const center1 = new THREE.Vector3().add(tri1[0]).add(tri1[1]).add(tri1[2]).divideScalar(3);
-    const center2 = new THREE.Vector3().add(tri2[0]).add(tri2[1]).add(tri2[2]).divideScalar(3);
-    const dist = center1.distanceTo(center2);
-    
-    if (dist < this.collisionThreshold) {
-      const dir = new THREE.Vector3().subVectors(center1, center2).normalize();
-      return { intersect: true, direction: dir };
+    const frameCount = document.getElementById('frameCount');
+    if (frameCount && meshManager) {
+        frameCount.textContent = meshManager.recordedFrames.length;
     }
-    
-    // Check edges
-    for (let i = 0; i < 3; i++) {
-      const e1Start = tri1[i];
-      const e1End = tri1[(i + 1) % 3];
-      
-      for (let j = 0; j < 3; j++) {
-        const e2Start = tri2[j];
-        const e2End = tri2[(j + 1) % 3];
-        
-        const result = this.distanceBetweenEdges(e1Start, e1End, e2Start, e2End);
+}
+
+// Clear debug display
+function clearDebug() {
+    const debugElement = document.getElementById('debug');
+    if (debugElement) {
+        debugElement.innerHTML = '';
+    }
+}
+
+// Add debug message
+function addDebugMessage(message) {
+    const debugElement = document.getElementById('debug');
+    if (debugElement) {
+        const div = document.createElement('div');
+        div.textContent = message;
+        debugElement.appendChild(div);
         
-        if (result.distance < this.collisionThreshold) {
-          const dir = new THREE.Vector3().subVectors(result.pointOnA, result.pointOnB).normalize();
-          return { intersect: true, direction: dir };
+        // Limit the number of messages to 10
+        while (debugElement.children.length > 10) {
+            debugElement.removeChild(debugElement.firstChild);
         }
-      }
     }
-    
-    return { intersect: false };
+}
+
+// Mesh manager: renders and exports the mesh, driving the simulation in a
+// Web Worker (or on the main thread when workers are unavailable)
+class MeshManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.geometry = null;
+    this.mesh = null;
+    this.material = null;
+    this.wireframe = false;
+    this.simulationSpeed = 20; // ms per step
+    this.stepBudget = 0; // elapsed ms not yet spent on steps
+    this.seed = 1;
+    this.seedOptions = null;
+    this.settings = {};
+    this.importedSoup = null;
+    this.importedSeed = false;
+    this.weightsPainted = false; // whether growth rates differ from the default anywhere
+    this.worker = null;
+    this.simulation = null;
+    this.pendingSteps = 0;
+    this.checkpointRequests = [];
+    this.legendKey = '';
+    this.positions = new Float32Array(0);
+    this.indices = new Uint32Array(0);
+    this.vertexCount = 0;
+    this.faceCount = 0;
+    this.collisionCount = 0;
+    this.intersectionCount = 0;
+    this.intersectionMesh = null;
+    this.stepCount = 0;
+    this.stepTime = 0;
+    this.recording = false;
+    this.recordInterval = 10;
+    this.maxRecordedFrames = 500;
+    this.recordedFrames = [];
+
+    this.startWorker();
   }
 
-  // Optimized collision detection using spatial grid
-  detectCollisions(time) {
-    let collidedItems = new Set();
-    let localCollisions = 0;
-    
-    // Check edge collisions
-    const boundaryEdges = this.findBoundaryEdges();
-    
-    for (const edge1 of boundaryEdges) {
-      // Skip recently collided edges
-      if (time - edge1.lastCollision < 0.2) continue;
-      if (collidedItems.has(edge1.key)) continue;
-      
-      const v1Start = this.vertices[edge1.v1].pos;
-      const v1End = this.vertices[edge1.v2].pos;
-      const midpoint = new THREE.Vector3().addVectors(v1Start, v1End).multiplyScalar(0.5);
-      
-      // Query nearby edges
-      const nearbyItems = this.grid.query(midpoint, this.collisionThreshold * 2);
-      
-      for (const item of nearbyItems) {
-        if (item.type !== 'edge') continue;
-        
-        const edge2Key = item.key;
-        if (edge2Key === edge1.key || collidedItems.has(edge2Key)) continue;
-        
-        const edge2 = this.edges.get(edge2Key);
-        if (!edge2 || time - edge2.lastCollision < 0.2) continue;
-        
-        // Skip if edges share vertices
-        if (edge1.v1 === edge2.v1 || edge1.v1 === edge2.v2 || 
-            edge1.v2 === edge2.v1 || edge1.v2 === edge2.v2) continue;
-        
-        const v2Start = this.vertices[edge2.v1].pos;
-        const v2End = this.vertices[edge2.v2].pos;
-        
-        // Check distance
-        const result = this.distanceBetweenEdges(v1Start, v1End, v2Start, v2End);
-        
-        if (result.distance < this.collisionThreshold) {
-          localCollisions++;
-          collidedItems.add(edge1.key);
-          collidedItems.add(edge2Key);
-          
-          // Record collision time
-          edge1.lastCollision = time;
-          edge2.lastCollision = time;
-          
-          // Apply repulsion force
-          const repulsionDir = new THREE.Vector3().subVectors(
-            result.pointOnA, result.pointOnB
-          ).normalize();
-          
-          const repulsionForce = 0.15;
-          
-          this.vertices[edge1.v1].vel.add(repulsionDir.clone().multiplyScalar(repulsionForce));
-          this.vertices[edge1.v2].vel.add(repulsionDir.clone().multiplyScalar(repulsionForce));
-          
-          this.vertices[edge2.v1].vel.sub(repulsionDir.clone().multiplyScalar(repulsionForce));
-          this.vertices[edge2.v2].vel.sub(repulsionDir.clone().multiplyScalar(repulsionForce));
-          
-          // Modify growth directions
-          if (edge1.growthDir && edge2.growthDir) {
-            const perpDir = new THREE.Vector3().crossVectors(
-              repulsionDir,
-              new THREE.Vector3(Math.random(), Math.random(), Math.random())
-            ).normalize();
-            
-            edge1.growthDir.lerp(perpDir, 0.3).normalize();
-            edge2.growthDir.lerp(perpDir.clone().negate(), 0.3).normalize();
-          }
-          
-          break;
-        }
-      }
+  // Start the simulation worker, falling back to the main thread if it cannot run
+  startWorker() {
+    if (typeof Worker === 'undefined') {
+      this.useMainThread();
+      return;
     }
-    
-    // Face collision detection
-    for (let i = 0; i < this.faces.length; i++) {
-      const face1 = this.faces[i];
-      
-      // Skip if any vertex recently collided
-      if (face1.some(idx => collidedItems.has(idx))) continue;
-      
-      const face1Verts = face1.map(idx => this.vertices[idx].pos);
-      const center = this.calculateFaceCenter(face1);
-      
-      // Query nearby faces
-      const nearbyItems = this.grid.query(center, this.collisionThreshold * 3);
-      
-      for (const item of nearbyItems) {
-        if (item.type !== 'face' || item.index <= i) continue;
-        
-        const j = item.index;
-        const face2 = this.faces[j];
-        
-        // Skip if faces share vertices
-        if (face1.some(v => face2.includes(v))) continue;
-        
-        const face2Verts = face2.map(idx => this.vertices[idx].pos);
-        
-        // Check intersection
-        const result = this.triangleIntersection(face1Verts, face2Verts);
-        
-        if (result.intersect) {
-          localCollisions++;
-          face1.forEach(idx => collidedItems.add(idx));
-          face2.forEach(idx => collidedItems.add(idx));
-          
-          // Apply repulsion
-          const repulsionForce = 0.2;
-          
-          // Apply to face1 vertices
-          face1.forEach(idx => {
-            this.vertices[idx].vel.add(result.direction.clone().multiplyScalar(repulsionForce));
-            this.vertices[idx].lastCollision = time;
-          });
-          
-          // Apply to face2 vertices
-          face2.forEach(idx => {
-            this.vertices[idx].vel.sub(result.direction.clone().multiplyScalar(repulsionForce));
-            this.vertices[idx].lastCollision = time;
-          });
-          
-          break;
-        }
-      }
+
+    try {
+      this.worker = new Worker(new URL('./edgegrowth-worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = event => this.handleMessage(event.data);
+      this.worker.onerror = event => {
+        console.error("Simulation worker failed, running on the main thread:", event.message);
+        this.useMainThread();
+      };
+    } catch (error) {
+      console.error("Could not start simulation worker:", error);
+      this.useMainThread();
     }
-    
-    if (localCollisions > 0) {
-      this.collisionCount += localCollisions;
-      this.updateInfoDisplay();
+  }
+
+  // Run the simulation on the main thread, bringing it up to the same state
+  useMainThread() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.simulation = new GrowthSimulation();
+    this.simulation.log = addDebugMessage;
+    this.pendingSteps = 0;
+
+    this.send({ type: 'settings', settings: this.settings });
+    if (this.importedSoup) {
+      this.send({ type: 'importSeed', soup: this.importedSoup, size: this.importedSize });
+    }
+    if (this.seedOptions) {
+      this.send({ type: 'reset', ...this.seedOptions });
     }
-    
-    return localCollisions;
   }
 
-  // Simulate growth
-  simulateGrowth(dt, time) {
-    // Find boundary edges
-    const boundaryEdges = this.findBoundaryEdges();
-    
-    // Update edge ages
-    for (let [key, edge] of this.edges) {
-      edge.age += dt;
-    }
-    
-    // Process each boundary edge
-    for (const edge of boundaryEdges) {
-      // Skip if this edge recently had a collision
-      if (time - edge.lastCollision < 0.5) continue;
-      
-      const v1 = this.vertices[edge.v1];
-      const v2 = this.vertices[edge.v2];
-      
-      // Skip non-boundary
-      if (!(v1.isBoundary || v2.isBoundary)) continue;
-      
-      // Get growth direction
-      let growthDir = edge.growthDir.clone();
-      
-      // Calculate tangent vector
-      const tangent = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
-      
-      // Calculate normal vector
-      const normal = new THREE.Vector3().crossVectors(tangent, growthDir).normalize();
-      
-      // Enhance boundary growth
-      if (edge.isBoundary) {
-        // Make growth more perpendicular to boundary
-        growthDir.lerp(normal, 0.7).normalize();
-        
-        // Add slight upward bias
-        growthDir.z += 0.3 * Math.random();
-        growthDir.normalize();
-      }
-      
-      // Minor randomization
-      growthDir.x += (Math.random() - 0.5) * 0.1;
-      growthDir.y += (Math.random() - 0.5) * 0.1;
-      growthDir.z += (Math.random() - 0.5) * 0.1;
-      growthDir.normalize();
-      
-      // Calculate growth strength
-      const ageFactor = Math.min(edge.age * 0.5, 1.0);
-      const boundaryMultiplier = edge.isBoundary ? 1.5 : 1.0;
-      const growthForce = 0.3 * dt * ageFactor * boundaryMultiplier;
-      
-      // Apply growth force
-      const growthVector = growthDir.clone().multiplyScalar(growthForce);
-      v1.vel.add(growthVector);
-      v2.vel.add(growthVector);
-    }
-    
-    // Integrate velocities
-    for (let v of this.vertices) {
-      v.pos.add(v.vel.clone().multiplyScalar(dt));
-      v.vel.multiplyScalar(0.95); // Damping
-      
-      // Cap max velocity
-      const maxSpeed = 0.5;
-      if (v.vel.length() > maxSpeed) {
-        v.vel.normalize().multiplyScalar(maxSpeed);
-      }
+  // Send a message to the simulation, wherever it runs
+  send(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+      return;
     }
+
+    const reply = handleSimulationMessage(this.simulation, message);
+    if (reply) this.handleMessage(reply.message);
   }
 
-  // Apply edge length constraints
-  applyEdgeConstraints() {
-    for (let [key, edge] of this.edges) {
-      let v1 = this.vertices[edge.v1];
-      let v2 = this.vertices[edge.v2];
-      let currentDist = v1.pos.distanceTo(v2.pos);
-      
-      // For long edges
-      if (currentDist > edge.restLength * 1.5) {
-        let correction = (currentDist - edge.restLength) * 0.2;
-        let dir = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
-        
-        v1.pos.add(dir.clone().multiplyScalar(correction * 0.5));
-        v2.pos.sub(dir.clone().multiplyScalar(correction * 0.5));
-      }
-      
-      // For short edges
-      if (currentDist < edge.restLength * 0.5) {
-        let correction = (edge.restLength - currentDist) * 0.2;
-        let dir = new THREE.Vector3().subVectors(v2.pos, v1.pos).normalize();
-        
-        if (isNaN(dir.x) || isNaN(dir.y) || isNaN(dir.z)) {
-          dir.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).normalize();
-        }
-        
-        v1.pos.sub(dir.clone().multiplyScalar(correction * 0.5));
-        v2.pos.add(dir.clone().multiplyScalar(correction * 0.5));
+  // Handle frames and debug messages from the simulation
+  handleMessage(message) {
+    if (message.type === 'debug') {
+      addDebugMessage(message.message);
+      return;
+    }
+
+    if (message.type === 'checkpoint') {
+      const resolve = this.checkpointRequests.shift();
+      if (resolve) resolve(message.checkpoint);
+      return;
+    }
+
+    if (message.type !== 'frame') return;
+
+    if (message.step) {
+      this.pendingSteps = Math.max(0, this.pendingSteps - 1);
+      this.stepTime = message.stepTime;
+    }
+
+    this.stepCount = message.stepCount;
+    this.vertexCount = message.vertexCount;
+    this.faceCount = message.faceCount;
+    this.collisionCount = message.collisionCount;
+    this.intersectionCount = message.intersectionCount;
+    this.positions = message.positions;
+
+    if (message.indices) {
+      this.indices = message.indices;
+      this.rebuildGeometry(message);
+    } else {
+      this.updateGeometry(message);
+    }
+
+    this.updateIntersectionMesh(message.intersections);
+
+    // Redraw the legend only when the mode or its range changes
+    if (message.colorRange !== undefined) {
+      const key = `${message.colorMode} ${message.colorRange && message.colorRange.min} ${message.colorRange && message.colorRange.max}`;
+      if (key !== this.legendKey) {
+        this.legendKey = key;
+        updateShadingLegend(message.colorMode, message.colorRange);
       }
     }
+
+    // Record every Nth step; while recording, step requests end on those steps
+    if (message.step && this.recording && message.stepCount % this.recordInterval === 0) {
+      this.captureFrame();
+    }
   }
 
-  // Optimized Catmull-Clark subdivision
-  subdivideMesh(time) {
-    // Skip if too many vertices
-    if (this.vertices.length >= 3000) return false;
-    
-    // Find edge pairs for quads
-    const quads = this.identifyQuads();
-    if (quads.length === 0) return false;
-    
-    // Create new vertices and faces
-    const newVertices = [...this.vertices];
-    const newFaces = [];
-    
-    // Create face points
-    const facePoints = [];
-    for (const quad of quads) {
-      const facePos = new THREE.Vector3();
-      const faceVel = new THREE.Vector3();
-      let minAge = Infinity;
-      
-      // Average vertex positions
-      for (const idx of quad) {
-        facePos.add(this.vertices[idx].pos);
-        faceVel.add(this.vertices[idx].vel);
-        minAge = Math.min(minAge, this.vertices[idx].age);
-      }
-      
-      facePos.divideScalar(4);
-      faceVel.divideScalar(4);
-      
-      // Add variation
-      facePos.x += (Math.random() - 0.5) * 0.03;
-      facePos.y += (Math.random() - 0.5) * 0.03;
-      facePos.z += (Math.random() - 0.5) * 0.03;
-      
-      // Create face point
-      const facePointIdx = newVertices.length;
-      newVertices.push({
-        pos: facePos,
-        vel: faceVel,
-        age: minAge,
-        growthDir: new THREE.Vector3(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1).normalize(),
-        isBoundary: false,
-        lastCollision: time
-      });
-      
-      facePoints.push(facePointIdx);
-    }
-    
-    // Create edge points
-    const edgePoints = new Map();
-    
-    for (let [edgeKey, edge] of this.edges) {
-      const v1 = edge.v1;
-      const v2 = edge.v2;
-      
-      // Calculate edge midpoint
-      const edgePos = new THREE.Vector3().addVectors(
-        this.vertices[v1].pos, 
-        this.vertices[v2].pos
-      ).multiplyScalar(0.5);
-      
-      // Add variation
-      edgePos.x += (Math.random() - 0.5) * 0.02;
-      edgePos.y += (Math.random() - 0.5) * 0.02;
-      edgePos.z += (Math.random() - 0.5) * 0.02;
-      
-      // Create edge point
-      const edgePointIdx = newVertices.length;
-      newVertices.push({
-        pos: edgePos,
-        vel: new THREE.Vector3().addVectors(
-          this.vertices[v1].vel, 
-          this.vertices[v2].vel
-        ).multiplyScalar(0.5),
-        age: Math.min(this.vertices[v1].age, this.vertices[v2].age),
-        growthDir: edge.growthDir.clone(),
-        isBoundary: edge.isBoundary,
-        lastCollision: Math.max(time - 0.5, 
-          Math.min(this.vertices[v1].lastCollision, this.vertices[v2].lastCollision))
+  // Ask for as many fixed steps as the elapsed time allows at the current speed,
+  // unless a request is still running. Steps stay a fixed size, so a run replays
+  // the same whatever the frame rate; only how many run per frame changes.
+  update(elapsed) {
+    // Cap the backlog so a slow frame or a pause doesn't cause a burst of steps
+    const maxSteps = 8;
+    this.stepBudget = Math.min(this.stepBudget + elapsed, this.simulationSpeed * maxSteps);
+    if (this.pendingSteps > 0) return;
+
+    let count = Math.floor(this.stepBudget / this.simulationSpeed);
+    if (count === 0) return;
+    this.stepBudget -= count * this.simulationSpeed;
+
+    // While recording, split the request at every Nth step so each one gets a frame
+    let step = this.stepCount;
+    while (count > 0) {
+      const chunk = this.recording ? Math.min(count, this.recordInterval - step % this.recordInterval) : count;
+      step += chunk;
+      count -= chunk;
+      this.pendingSteps++;
+      this.send({ type: 'step', count: chunk });
+    }
+  }
+
+  // Send settings to the simulation, remembering them for a fallback restart
+  updateSettings(settings) {
+    Object.assign(this.settings, settings);
+    this.send({ type: 'settings', settings });
+  }
+
+  // Set the PRNG seed, applied on the next seed mesh
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+  }
+
+  // Restart the simulation from a seed shape with the current seed
+  createSeedMesh(shape = 'grid', gridSize = 8, size = 2) {
+    this.seedOptions = { shape, gridSize, size, seed: this.seed };
+    this.weightsPainted = false;
+    this.send({ type: 'reset', ...this.seedOptions });
+  }
+
+  // Ask the simulation for a checkpoint of its full state
+  requestCheckpoint() {
+    return new Promise(resolve => {
+      this.checkpointRequests.push(resolve);
+      this.send({ type: 'saveCheckpoint' });
+    });
+  }
+
+  // Continue the simulation from a checkpoint
+  loadCheckpoint(checkpoint) {
+    this.seed = checkpoint.seed;
+    this.seedOptions = { ...checkpoint.seedOptions, seed: checkpoint.seed };
+    Object.assign(this.settings, checkpoint.settings);
+    this.weightsPainted = checkpoint.vertices.growthWeights.some(weight => weight !== 1);
+    this.send({ type: 'loadCheckpoint', checkpoint });
+  }
+
+  // Parse an OBJ file into a triangle soup and hand it to the simulation as the OBJ seed
+  loadSeedFromOBJ(text, size = 2) {
+    const object = new OBJLoader().parse(text);
+    object.updateMatrixWorld(true);
+
+    const soup = [];
+    object.traverse(child => {
+      if (!child.isMesh) return;
+      const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+      const triangles = geometry.index ? geometry.toNonIndexed() : geometry;
+      soup.push(...triangles.getAttribute('position').array);
+      geometry.dispose();
+      triangles.dispose();
+    });
+
+    if (soup.length < 9) {
+      addDebugMessage("OBJ file contains no triangles");
+      return false;
+    }
+
+    this.importedSoup = new Float32Array(soup);
+    this.importedSize = size;
+    this.importedSeed = true;
+    this.send({ type: 'importSeed', soup: this.importedSoup, size });
+    return true;
+  }
+
+  // Set simulation speed
+  setSimulationSpeed(speed) {
+    this.simulationSpeed = speed;
+  }
+
+  // Set collision checks per frame
+  setCollisionChecks(checks) {
+    this.updateSettings({ collisionChecks: checks });
+  }
+
+  // Set collision threshold
+  setCollisionThreshold(value) {
+    this.updateSettings({ collisionThreshold: value });
+  }
+
+  // Set remeshing on or off
+  setRemeshing(enabled) {
+    this.updateSettings({ remeshing: enabled });
+  }
+
+  // Set the edge length range kept by remeshing
+  setEdgeLengthRange(minLength, maxLength) {
+    this.updateSettings({ minEdgeLength: minLength, maxEdgeLength: maxLength });
+  }
+
+  // Set the vertex count at which the simulation starts over
+  setMaxVertices(count) {
+    this.updateSettings({ maxVertices: count });
+  }
+
+  // Choose whether self-intersections are rolled back and whether the
+  // faces that still intersect are drawn
+  setIntersectionHandling(resolve, show) {
+    this.updateSettings({ resolveIntersections: resolve, showIntersections: show });
+    if (!show) this.updateIntersectionMesh(null);
+  }
+
+  // Set the attractors, repellers, walls, obstacles and nutrient gradients
+  setFieldObjects(objects) {
+    this.updateSettings({ fieldObjects: objects });
+  }
+
+  // Perform adaptive smoothing
+  performAdaptiveSmoothing() {
+    this.send({ type: 'smooth' });
+  }
+
+  // Paint growth-rate weights with a spherical brush
+  paintGrowthWeights(center, radius, target, strength, falloff) {
+    this.weightsPainted = true;
+    this.send({ type: 'paint', center: center.toArray(), radius, target, strength, falloff });
+  }
+
+  // Set every painted growth-rate weight back to the default
+  resetGrowthWeights() {
+    this.weightsPainted = false;
+    this.send({ type: 'resetWeights' });
+  }
+
+  // Color the mesh by height or one of the scalar shading modes
+  setColorMode(mode) {
+    this.updateSettings({ colorMode: mode });
+  }
+
+  // Create the mesh from a frame with new topology
+  rebuildGeometry(frame) {
+    if (this.mesh) {
+      this.scene.remove(this.mesh);
+      if (this.geometry) this.geometry.dispose();
+    }
+
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute('position', new THREE.BufferAttribute(frame.positions, 3));
+    this.geometry.setAttribute('normal', new THREE.BufferAttribute(frame.normals, 3));
+    this.geometry.setAttribute('color', new THREE.BufferAttribute(frame.colors, 3));
+    this.geometry.setIndex(new THREE.BufferAttribute(frame.indices, 1));
+
+    // Create material
+    if (!this.material) {
+      this.material = new THREE.MeshPhongMaterial({ 
+        vertexColors: true,
+        side: THREE.DoubleSide,
+        shininess: 30,
+        emissive: 0x333333,
+        emissiveIntensity: 0.5,
+        specular: 0xffffff,
+        wireframe: this.wireframe
       });
-      
-      edgePoints.set(edgeKey, edgePointIdx);
-    }
-    
-    // Create new faces
-    let quadIndex = 0;
-    for (const quad of quads) {
-      const facePointIdx = facePoints[quadIndex++];
-      
-      // Create 4 new quads (triangulated as 8 triangles)
-      for (let i = 0; i < 4; i++) {
-        const cornerIdx = quad[i];
-        const nextCornerIdx = quad[(i + 1) % 4];
-        
-        // Get edge points
-        const edgeKey1 = cornerIdx < nextCornerIdx ? 
-          `${cornerIdx}_${nextCornerIdx}` : 
-          `${nextCornerIdx}_${cornerIdx}`;
-          
-        const edgeKey2 = cornerIdx < quad[(i + 3) % 4] ? 
-          `${cornerIdx}_${quad[(i + 3) % 4]}` : 
-          `${quad[(i + 3) % 4]}_${cornerIdx}`;
-        
-        const edgePoint1 = edgePoints.get(edgeKey1);
-        const edgePoint2 = edgePoints.get(edgeKey2);
-        
-        if (edgePoint1 !== undefined && edgePoint2 !== undefined) {
-          // Create two triangles
-          newFaces.push([cornerIdx, edgePoint1, facePointIdx]);
-          newFaces.push([cornerIdx, facePointIdx, edgePoint2]);
-        }
+    }
+
+    // Create mesh
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.scene.add(this.mesh);
+  }
+
+  // Upload new positions and normals into the existing geometry
+  updateGeometry(frame) {
+    if (!this.geometry || this.geometry.attributes.position.count * 3 !== frame.positions.length) return;
+
+    this.geometry.attributes.position.copyArray(frame.positions);
+    this.geometry.attributes.normal.copyArray(frame.normals);
+    this.geometry.attributes.position.needsUpdate = true;
+    this.geometry.attributes.normal.needsUpdate = true;
+    this.geometry.boundingSphere = null;
+
+    if (frame.colors) {
+      this.geometry.attributes.color.copyArray(frame.colors);
+      this.geometry.attributes.color.needsUpdate = true;
+    }
+  }
+
+  // Draw the listed faces in red on top of the mesh, or hide the overlay
+  updateIntersectionMesh(faces) {
+    if (!faces || faces.length === 0) {
+      if (this.intersectionMesh) this.intersectionMesh.visible = false;
+      return;
+    }
+
+    const positions = new Float32Array(faces.length * 9);
+    for (let i = 0; i < faces.length; i++) {
+      for (let k = 0; k < 3; k++) {
+        const idx = this.indices[faces[i] * 3 + k];
+        positions[i * 9 + k * 3] = this.positions[idx * 3];
+        positions[i * 9 + k * 3 + 1] = this.positions[idx * 3 + 1];
+        positions[i * 9 + k * 3 + 2] = this.positions[idx * 3 + 2];
       }
     }
-    
-    // Use subdivision results
-    this.vertices = newVertices;
-    this.faces = newFaces;
-    this.buildEdgeMap();
-    this.updateSpatialGrid();
-    this.rebuildGeometry();
-    
-    return true;
+
+    if (!this.intersectionMesh) {
+      this.intersectionMesh = new THREE.Mesh(
+        new THREE.BufferGeometry(),
+        new THREE.MeshBasicMaterial({
+          color: 0xff0000,
+          side: THREE.DoubleSide,
+          polygonOffset: true,
+          polygonOffsetFactor: -1,
+          polygonOffsetUnits: -1
+        })
+      );
+      this.scene.add(this.intersectionMesh);
+    }
+
+    this.intersectionMesh.geometry.dispose();
+    this.intersectionMesh.geometry = new THREE.BufferGeometry();
+    this.intersectionMesh.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    this.intersectionMesh.visible = true;
   }
 
-  // Identify potential quads from triangle pairs
-  identifyQuads() {
-    const quads = [];
-    const processed = new Set();
-    
-    // Check each edge
-    for (const [edgeKey, edge] of this.edges) {
-      // Skip boundary edges
-      if (edge.isBoundary) continue;
-      
-      // Skip processed edges
-      if (processed.has(edgeKey)) continue;
-      
-      // Only process edges with exactly 2 faces
-      if (edge.faces.length !== 2) continue;
-      
-      const f1 = edge.faces[0];
-      const f2 = edge.faces[1];
-      
-      // Skip processed faces
-      if (processed.has(`f${f1}`) || processed.has(`f${f2}`)) continue;
-      
-      const face1 = this.faces[f1];
-      const face2 = this.faces[f2];
-      
-      // Find shared vertices
-      const shared = face1.filter(v => face2.includes(v));
-      
-      if (shared.length === 2) {
-        // Find unshared vertices
-        const v1 = face1.find(v => !shared.includes(v));
-        const v2 = face2.find(v => !shared.includes(v));
-        
-        if (v1 !== undefined && v2 !== undefined) {
-          // Reorder for consistent quad
-          quads.push([shared[0], v1, shared[1], v2]);
-          
-          // Mark as processed
-          processed.add(edgeKey);
-          processed.add(`f${f1}`);
-          processed.add(`f${f2}`);
+  // Start recording every Nth simulation step
+  startRecording(interval = 10) {
+    this.recordInterval = Math.max(1, interval);
+    this.recording = true;
+    if (this.recordedFrames.length === 0) this.captureFrame();
+    addDebugMessage(`Recording every ${this.recordInterval} steps`);
+  }
+
+  // Stop recording, keeping the frames captured so far
+  stopRecording() {
+    this.recording = false;
+    addDebugMessage(`Recorded ${this.recordedFrames.length} frames`);
+  }
+
+  // Drop all recorded frames
+  clearRecording() {
+    this.recordedFrames = [];
+  }
+
+  // Record the current step as a frame
+  captureFrame() {
+    if (this.recordedFrames.length >= this.maxRecordedFrames) {
+      this.recording = false;
+      addDebugMessage(`Frame limit of ${this.maxRecordedFrames} reached, recording stopped`);
+      return;
+    }
+
+    this.recordedFrames.push(this.snapshotFrame());
+  }
+
+  // Copy the latest positions and triangles
+  snapshotFrame() {
+    return { step: this.stepCount, positions: this.positions.slice(), indices: this.indices.slice() };
+  }
+
+  // Build a mesh for a recorded frame, or for the current state when none is given.
+  // OBJ and glTF are Y-up, so the Z-up simulation is rotated to come back
+  // into Blender the same way up it was grown.
+  buildFrameMesh(frame = null, yUp = false) {
+    if (!frame) frame = this.snapshotFrame();
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(frame.positions.slice(), 3));
+    geometry.setIndex(new THREE.BufferAttribute(frame.indices.slice(), 1));
+    if (yUp) geometry.rotateX(-Math.PI / 2);
+    geometry.computeVertexNormals();
+
+    return new THREE.Mesh(geometry);
+  }
+
+  // Write a frame (default: current mesh) as OBJ text
+  exportOBJ(frame = null) {
+    const mesh = this.buildFrameMesh(frame, true);
+    const result = new OBJExporter().parse(mesh);
+    mesh.geometry.dispose();
+    return result;
+  }
+
+  // Write a frame (default: current mesh) as binary PLY
+  exportPLY(frame = null) {
+    const mesh = this.buildFrameMesh(frame, false);
+    const result = new PLYExporter().parse(mesh, null, { binary: true, littleEndian: true, excludeAttributes: ['color', 'uv'] });
+    mesh.geometry.dispose();
+    return result;
+  }
+
+  // Pack every recorded frame into a zip of numbered OBJ or PLY files
+  exportFramesZip(format = 'obj') {
+    if (this.recordedFrames.length === 0) {
+      addDebugMessage("No recorded frames to export");
+      return null;
+    }
+
+    const files = {};
+    const digits = Math.max(4, String(this.recordedFrames.length - 1).length);
+    this.recordedFrames.forEach((frame, i) => {
+      const name = `frame_${String(i).padStart(digits, '0')}.${format}`;
+      files[name] = format === 'ply' ?
+        new Uint8Array(this.exportPLY(frame)) :
+        strToU8(this.exportOBJ(frame));
+    });
+
+    return zipSync(files);
+  }
+
+  // Export the recording as one binary glTF. Frames that share a topology
+  // become morph targets on a single mesh; otherwise every frame is its own
+  // mesh and a stepped scale track shows one at a time.
+  exportAnimationGLTF(fps = 24) {
+    const frames = this.recordedFrames;
+    if (frames.length === 0) {
+      addDebugMessage("No recorded frames to export");
+      return Promise.resolve(null);
+    }
+
+    const times = frames.map((frame, i) => i / fps);
+    const root = new THREE.Group();
+    root.name = 'EdgeGrowth';
+    let track;
+
+    const first = frames[0].indices;
+    const sameTopology = frames.every(frame =>
+      frame.positions.length === frames[0].positions.length &&
+      frame.indices.length === first.length &&
+      frame.indices.every((idx, i) => idx === first[i])
+    );
+
+    if (sameTopology) {
+      const mesh = this.buildFrameMesh(frames[0], true);
+      mesh.name = 'growth';
+      mesh.geometry.morphAttributes.position = frames.map(frame => {
+        const attribute = new THREE.BufferAttribute(frame.positions.slice(), 3);
+        // Same Z-up to Y-up rotation as the base mesh
+        for (let i = 0; i < attribute.count; i++) {
+          const y = attribute.getY(i);
+          attribute.setY(i, attribute.getZ(i));
+          attribute.setZ(i, -y);
         }
+        return attribute;
+      });
+      mesh.updateMorphTargets();
+      root.add(mesh);
+
+      // Weight 1 on the target for each frame, blending linearly between them
+      const values = [];
+      for (let i = 0; i < frames.length; i++) {
+        for (let j = 0; j < frames.length; j++) values.push(i === j ? 1 : 0);
       }
+      track = [new THREE.NumberKeyframeTrack('growth.morphTargetInfluences', times, values)];
+    } else {
+      track = frames.map((frame, i) => {
+        const mesh = this.buildFrameMesh(frame, true);
+        mesh.name = `frame_${i}`;
+        root.add(mesh);
+
+        const frameTimes = [];
+        const values = [];
+        if (i > 0) {
+          frameTimes.push(0);
+          values.push(0, 0, 0);
+        }
+        frameTimes.push(times[i]);
+        values.push(1, 1, 1);
+        if (i < frames.length - 1) {
+          frameTimes.push(times[i + 1]);
+          values.push(0, 0, 0);
+        }
+        return new THREE.VectorKeyframeTrack(`frame_${i}.scale`, frameTimes, values, THREE.InterpolateDiscrete);
+      });
     }
-    
-    return quads;
-  }
 
-  // Update simulation
-  update(time) {
-    const dt = Math.min(Math.max((time - this.lastTime) / 1000, 0.001), 0.05);
-    this.lastTime = time;
-    
-    // Detect collisions
-    this.detectCollisions(time);
-    
-    // Simulate growth
-    this.simulateGrowth(dt, time);
-    
-    // Apply edge constraints
-    this.applyEdgeConstraints();
-    
-    // Update spatial grid
-    this.updateSpatialGrid();
-    
-    // Update geometry
-    this.updateGeometry();
+    const clip = new THREE.AnimationClip('growth', -1, track);
+
+    return new GLTFExporter().parseAsync(root, { binary: true, animations: [clip] }).then(result => {
+      root.traverse(child => {
+        if (child.isMesh) child.geometry.dispose();
+      });
+      addDebugMessage(`Exported ${frames.length} frames as ${sameTopology ? 'morph targets' : 'per-frame meshes'}`);
+      return result;
+    });
   }
 
   // Toggle wireframe
@@ -1227,11 +1946,6 @@ class MeshManager {
       this.material.wireframe = this.wireframe;
     }
   }
-
-  // Set collision threshold
-  setCollisionThreshold(value) {
-    this.collisionThreshold = value;
-  }
 }
 
 // Initialize the visualization once the DOM is loaded
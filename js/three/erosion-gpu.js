@@ -0,0 +1,445 @@
+// Grid-based hydraulic erosion on the GPU using the virtual pipe shallow-water
+// model (Mei et al. 2007). Each cell holds terrain height, water depth and
+// suspended sediment; water moves between neighbours through four virtual pipes.
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+const GRAVITY = 9.81;
+const TIME_STEP = 0.02;
+const RAIN_PROBABILITY = 0.05; // share of cells hit by a raindrop each step
+
+// Shared by the simulation passes. Textures are sampled at texel centres with
+// clamping, so the border cells see themselves as their outside neighbours.
+const GRID_FUNCTIONS = `
+    uniform float cellSize;
+    uniform float dt;
+    uniform float rainAmount;
+    uniform float rainSeed;
+
+    vec4 cell(sampler2D tex, vec2 coord) {
+        return texture2D(tex, (clamp(coord, vec2(0.0), resolution - 1.0) + 0.5) / resolution);
+    }
+
+    float hash(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+        p3 += dot(p3, p3.yzx + 33.33);
+        return fract((p3.x + p3.y) * p3.z);
+    }
+
+    // Raindrops land at random cells away from the edges of the grid
+    float rainAt(vec2 coord) {
+        vec2 uv = clamp(coord, vec2(0.0), resolution - 1.0) / (resolution - 1.0);
+        if (any(lessThan(uv, vec2(0.1))) || any(greaterThan(uv, vec2(0.9)))) return 0.0;
+        return hash(coord + rainSeed * vec2(7.13, 3.71)) < ${RAIN_PROBABILITY} ? rainAmount : 0.0;
+    }
+
+    // Water surface height after this step's rain
+    float surfaceAt(sampler2D state, vec2 coord) {
+        vec4 s = cell(state, coord);
+        return s.r + s.g + rainAt(coord);
+    }
+`;
+
+// Pass 1: accelerate the outflow through each pipe by the difference in water
+// surface height, then scale it down so a cell never sends more than it holds.
+// Flux channels: r left, g right, b up (+y), a down (-y)
+const FLUX_SHADER = GRID_FUNCTIONS + `
+    uniform sampler2D state;
+    uniform sampler2D flux;
+
+    void main() {
+        vec2 coord = floor(gl_FragCoord.xy);
+        float h = surfaceAt(state, coord);
+
+        vec4 heightDifference = h - vec4(
+            surfaceAt(state, coord + vec2(-1.0, 0.0)),
+            surfaceAt(state, coord + vec2(1.0, 0.0)),
+            surfaceAt(state, coord + vec2(0.0, 1.0)),
+            surfaceAt(state, coord + vec2(0.0, -1.0))
+        );
+
+        // Pipe cross-section cellSize^2 and length cellSize
+        vec4 outflow = max(vec4(0.0), cell(flux, coord) + dt * ${GRAVITY} * cellSize * heightDifference);
+
+        // Closed boundary
+        if (coord.x < 0.5) outflow.r = 0.0;
+        if (coord.x > resolution.x - 1.5) outflow.g = 0.0;
+        if (coord.y > resolution.y - 1.5) outflow.b = 0.0;
+        if (coord.y < 0.5) outflow.a = 0.0;
+
+        float water = cell(state, coord).g + rainAt(coord);
+        float total = outflow.r + outflow.g + outflow.b + outflow.a;
+        float scale = total > 0.0 ? min(1.0, water * cellSize * cellSize / (total * dt)) : 1.0;
+
+        gl_FragColor = outflow * scale;
+    }
+`;
+
+// Flux arriving from the four neighbours, in the same channel order
+const INFLOW_FUNCTIONS = `
+    vec4 inflowAt(sampler2D flux, vec2 coord) {
+        return vec4(
+            coord.x > 0.5 ? cell(flux, coord + vec2(-1.0, 0.0)).g : 0.0,
+            coord.x < resolution.x - 1.5 ? cell(flux, coord + vec2(1.0, 0.0)).r : 0.0,
+            coord.y < resolution.y - 1.5 ? cell(flux, coord + vec2(0.0, 1.0)).a : 0.0,
+            coord.y > 0.5 ? cell(flux, coord + vec2(0.0, -1.0)).b : 0.0
+        );
+    }
+
+    // Water volume a cell held before the flow, including rain
+    float volumeAt(sampler2D state, vec2 coord) {
+        return max((cell(state, coord).g + rainAt(coord)) * cellSize * cellSize, 1e-9);
+    }
+`;
+
+// Pass 2: move water by the net flux. Suspended sediment travels with the
+// water in proportion to the volume each pipe carries, which conserves mass.
+const WATER_SHADER = GRID_FUNCTIONS + INFLOW_FUNCTIONS + `
+    uniform sampler2D state;
+    uniform sampler2D flux;
+
+    void main() {
+        vec2 coord = floor(gl_FragCoord.xy);
+        vec4 s = cell(state, coord);
+        vec4 outflow = cell(flux, coord);
+        vec4 inflow = inflowAt(flux, coord);
+
+        float totalOut = dot(outflow, vec4(1.0));
+        float totalIn = dot(inflow, vec4(1.0));
+        float water = max(0.0, s.g + rainAt(coord) + dt * (totalIn - totalOut) / (cellSize * cellSize));
+
+        vec2 left = coord + vec2(-1.0, 0.0), right = coord + vec2(1.0, 0.0);
+        vec2 up = coord + vec2(0.0, 1.0), down = coord + vec2(0.0, -1.0);
+        float sedimentIn = dt * (
+            cell(state, left).b * inflow.r / volumeAt(state, left) +
+            cell(state, right).b * inflow.g / volumeAt(state, right) +
+            cell(state, up).b * inflow.b / volumeAt(state, up) +
+            cell(state, down).b * inflow.a / volumeAt(state, down)
+        );
+        float sediment = s.b * max(0.0, 1.0 - totalOut * dt / volumeAt(state, coord)) + sedimentIn;
+
+        gl_FragColor = vec4(s.r, water, sediment, 1.0);
+    }
+`;
+
+// Pass 3: horizontal water velocity from the mean flux through the cell
+const VELOCITY_SHADER = GRID_FUNCTIONS + INFLOW_FUNCTIONS + `
+    uniform sampler2D state;
+    uniform sampler2D nextState;
+    uniform sampler2D flux;
+
+    void main() {
+        vec2 coord = floor(gl_FragCoord.xy);
+        vec4 outflow = cell(flux, coord);
+        vec4 inflow = inflowAt(flux, coord);
+
+        float meanDepth = 0.5 * (cell(state, coord).g + rainAt(coord) + cell(nextState, coord).g);
+        vec2 throughflow = 0.5 * vec2(inflow.r - outflow.r + outflow.g - inflow.g, inflow.a - outflow.a + outflow.b - inflow.b);
+        vec2 velocity = meanDepth > 1e-4 ? throughflow / (cellSize * meanDepth) : vec2(0.0);
+
+        // Keep water from crossing more than a cell per step
+        float speed = length(velocity);
+        float maxSpeed = cellSize / dt;
+        if (speed > maxSpeed) velocity *= maxSpeed / speed;
+
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+`;
+
+// Pass 4: fast water on steep ground picks up sediment until it reaches its
+// carrying capacity and drops the excess elsewhere; then some water evaporates
+const EROSION_SHADER = GRID_FUNCTIONS + `
+    uniform sampler2D state;
+    uniform sampler2D velocity;
+    uniform float capacity;
+    uniform float dissolveRate;
+    uniform float depositRate;
+    uniform float evaporation;
+
+    void main() {
+        vec2 coord = floor(gl_FragCoord.xy);
+        vec4 s = cell(state, coord);
+
+        vec2 gradient = vec2(
+            cell(state, coord + vec2(1.0, 0.0)).r - cell(state, coord + vec2(-1.0, 0.0)).r,
+            cell(state, coord + vec2(0.0, 1.0)).r - cell(state, coord + vec2(0.0, -1.0)).r
+        ) / (2.0 * cellSize);
+        float slope2 = dot(gradient, gradient);
+        float sinTilt = sqrt(slope2 / (1.0 + slope2));
+
+        // Shallow films carry less than the full capacity
+        float depthFactor = min(s.g / 0.1, 1.0);
+        float carry = capacity * max(sinTilt, 0.05) * length(cell(velocity, coord).xy) * depthFactor;
+
+        float terrain = s.r;
+        float sediment = s.b;
+        if (carry > sediment) {
+            float amount = dissolveRate * (carry - sediment) * dt;
+            terrain -= amount;
+            sediment += amount;
+        } else {
+            float amount = depositRate * (sediment - carry) * dt;
+            terrain += amount;
+            sediment -= amount;
+        }
+
+        float water = s.g * max(0.0, 1.0 - evaporation * dt);
+        gl_FragColor = vec4(terrain, water, sediment, 1.0);
+    }
+`;
+
+// Drop all suspended sediment and remove the water
+const SETTLE_SHADER = `
+    uniform sampler2D state;
+
+    void main() {
+        vec4 s = texture2D(state, gl_FragCoord.xy / resolution);
+        gl_FragColor = vec4(s.r + s.b, 0.0, 0.0, 1.0);
+    }
+`;
+
+// Displaces a grid of vertices by the terrain and water heights
+const TERRAIN_VERTEX_SHADER = `
+    uniform sampler2D state;
+    uniform float gridSize;
+    uniform float size;
+
+    varying float vTerrain;
+    varying float vWater;
+    varying vec3 vNormal;
+
+    vec4 sampleAt(vec2 coord) {
+        return texture2D(state, (clamp(coord, vec2(0.0), vec2(size - 1.0)) + 0.5) / size);
+    }
+
+    void main() {
+        vec2 coord = floor((position.xz / gridSize + 0.5) * (size - 1.0) + 0.5);
+        vec4 s = sampleAt(coord);
+
+        float cellSize = gridSize / (size - 1.0);
+        float left = dot(sampleAt(coord + vec2(-1.0, 0.0)).rg, vec2(1.0));
+        float right = dot(sampleAt(coord + vec2(1.0, 0.0)).rg, vec2(1.0));
+        float down = dot(sampleAt(coord + vec2(0.0, -1.0)).rg, vec2(1.0));
+        float up = dot(sampleAt(coord + vec2(0.0, 1.0)).rg, vec2(1.0));
+        vNormal = normalize(vec3(left - right, 2.0 * cellSize, down - up));
+
+        vTerrain = s.r;
+        vWater = s.g;
+
+        vec3 displaced = vec3(position.x, s.r + s.g, position.z);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+    }
+`;
+
+// Height bands matching the point cloud colours, with water tinted on top
+const TERRAIN_FRAGMENT_SHADER = `
+    uniform float heightScale;
+
+    varying float vTerrain;
+    varying float vWater;
+    varying vec3 vNormal;
+
+    vec3 terrainColor(float h) {
+        vec3 color = vec3(0.1, 0.2, 0.5);
+        color = mix(color, vec3(0.7, 0.7, 0.5), smoothstep(0.08, 0.12, h));
+        color = mix(color, vec3(0.3, 0.5, 0.2), smoothstep(0.18, 0.22, h));
+        color = mix(color, vec3(0.2, 0.4, 0.1), smoothstep(0.38, 0.42, h));
+        color = mix(color, vec3(0.5, 0.5, 0.5), smoothstep(0.68, 0.72, h));
+        color = mix(color, vec3(1.0), smoothstep(0.88, 0.92, h));
+        return color;
+    }
+
+    void main() {
+        vec3 color = terrainColor(vTerrain / heightScale);
+        color = mix(color, vec3(0.1, 0.35, 0.7), clamp(vWater / 0.3, 0.0, 0.8) * step(0.005, vWater));
+
+        float light = 0.5 + 0.8 * max(dot(normalize(vNormal), normalize(vec3(50.0, 100.0, 50.0))), 0.0);
+        gl_FragColor = vec4(color * light, 1.0);
+    }
+`;
+
+export class PipeErosion {
+    constructor(renderer, size, gridSize) {
+        this.renderer = renderer;
+        this.size = size;
+        this.gridSize = gridSize;
+        this.cellSize = gridSize / (size - 1);
+        this.steps = 0;
+
+        this.compute = new GPUComputationRenderer(size, size, renderer);
+        this.state = [this.compute.createRenderTarget(), this.compute.createRenderTarget()];
+        this.flux = [this.compute.createRenderTarget(), this.compute.createRenderTarget()];
+        this.velocity = this.compute.createRenderTarget();
+
+        const gridUniforms = () => ({
+            cellSize: { value: this.cellSize },
+            dt: { value: TIME_STEP },
+            rainAmount: { value: 0 },
+            rainSeed: { value: 0 }
+        });
+
+        this.fluxMaterial = this.compute.createShaderMaterial(FLUX_SHADER, {
+            ...gridUniforms(),
+            state: { value: null },
+            flux: { value: null }
+        });
+        this.waterMaterial = this.compute.createShaderMaterial(WATER_SHADER, {
+            ...gridUniforms(),
+            state: { value: null },
+            flux: { value: null }
+        });
+        this.velocityMaterial = this.compute.createShaderMaterial(VELOCITY_SHADER, {
+            ...gridUniforms(),
+            state: { value: null },
+            nextState: { value: null },
+            flux: { value: null }
+        });
+        this.erosionMaterial = this.compute.createShaderMaterial(EROSION_SHADER, {
+            ...gridUniforms(),
+            state: { value: null },
+            velocity: { value: null },
+            capacity: { value: 0 },
+            dissolveRate: { value: 0 },
+            depositRate: { value: 0 },
+            evaporation: { value: 0 }
+        });
+        this.settleMaterial = this.compute.createShaderMaterial(SETTLE_SHADER, {
+            state: { value: null }
+        });
+
+        this.mesh = this.createMesh();
+    }
+
+    // Float render targets are needed to hold heights and fluxes
+    static isSupported(renderer) {
+        return renderer.capabilities.isWebGL2
+            ? renderer.extensions.has('EXT_color_buffer_float')
+            : renderer.extensions.has('OES_texture_float');
+    }
+
+    // Grid of vertices displaced in the vertex shader, one per cell
+    createMesh() {
+        const geometry = new THREE.PlaneGeometry(this.gridSize, this.gridSize, this.size - 1, this.size - 1);
+        geometry.rotateX(-Math.PI / 2);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                state: { value: this.state[0].texture },
+                gridSize: { value: this.gridSize },
+                size: { value: this.size },
+                heightScale: { value: 10 }
+            },
+            vertexShader: TERRAIN_VERTEX_SHADER,
+            fragmentShader: TERRAIN_FRAGMENT_SHADER
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.frustumCulled = false;
+        return mesh;
+    }
+
+    // Start over from terrain heights in world units, one per cell, rows along z
+    setTerrain(heights, heightScale) {
+        const texture = this.compute.createTexture();
+        const data = texture.image.data;
+        for (let i = 0; i < heights.length; i++) {
+            data[i * 4] = heights[i];
+            data[i * 4 + 3] = 1;
+        }
+
+        this.compute.renderTexture(texture, this.state[0]);
+        this.clearFlow();
+        texture.dispose();
+
+        this.mesh.material.uniforms.heightScale.value = heightScale;
+        this.steps = 0;
+    }
+
+    // Zero the pipe fluxes and velocities
+    clearFlow() {
+        const empty = this.compute.createTexture();
+        this.compute.renderTexture(empty, this.flux[0]);
+        this.compute.renderTexture(empty, this.velocity);
+        empty.dispose();
+    }
+
+    // Remove all water, depositing whatever sediment it carried
+    settle() {
+        this.settleMaterial.uniforms.state.value = this.state[0].texture;
+        this.compute.doRenderTarget(this.settleMaterial, this.state[1]);
+        this.swapState();
+        this.clearFlow();
+    }
+
+    // Advance one time step. Rates are per second:
+    // rainRate (water depth), evaporation, dissolveRate and depositRate.
+    step({ rainRate, evaporation, capacity, dissolveRate, depositRate }) {
+        const rainAmount = rainRate * TIME_STEP / RAIN_PROBABILITY;
+        const rainSeed = this.steps % 1000;
+        for (const material of [this.fluxMaterial, this.waterMaterial, this.velocityMaterial, this.erosionMaterial]) {
+            material.uniforms.rainAmount.value = rainAmount;
+            material.uniforms.rainSeed.value = rainSeed;
+        }
+
+        // Outflow flux
+        this.fluxMaterial.uniforms.state.value = this.state[0].texture;
+        this.fluxMaterial.uniforms.flux.value = this.flux[0].texture;
+        this.compute.doRenderTarget(this.fluxMaterial, this.flux[1]);
+        this.flux.reverse();
+
+        // Water and sediment transport
+        this.waterMaterial.uniforms.state.value = this.state[0].texture;
+        this.waterMaterial.uniforms.flux.value = this.flux[0].texture;
+        this.compute.doRenderTarget(this.waterMaterial, this.state[1]);
+
+        // Velocity from the flux and the depth before and after
+        this.velocityMaterial.uniforms.state.value = this.state[0].texture;
+        this.velocityMaterial.uniforms.nextState.value = this.state[1].texture;
+        this.velocityMaterial.uniforms.flux.value = this.flux[0].texture;
+        this.compute.doRenderTarget(this.velocityMaterial, this.velocity);
+        this.swapState();
+
+        // Erosion, deposition and evaporation
+        const erosion = this.erosionMaterial.uniforms;
+        erosion.state.value = this.state[0].texture;
+        erosion.velocity.value = this.velocity.texture;
+        erosion.capacity.value = capacity;
+        erosion.dissolveRate.value = dissolveRate;
+        erosion.depositRate.value = depositRate;
+        erosion.evaporation.value = evaporation;
+        this.compute.doRenderTarget(this.erosionMaterial, this.state[1]);
+        this.swapState();
+
+        this.steps++;
+    }
+
+    // The current state is always state[0]
+    swapState() {
+        this.state.reverse();
+        this.mesh.material.uniforms.state.value = this.state[0].texture;
+    }
+
+    // Read the terrain heights back from the GPU
+    readHeights() {
+        const pixels = new Float32Array(this.size * this.size * 4);
+        this.renderer.readRenderTargetPixels(this.state[0], 0, 0, this.size, this.size, pixels);
+
+        const heights = new Float32Array(this.size * this.size);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = pixels[i * 4];
+        }
+        return heights;
+    }
+
+    dispose() {
+        for (const target of [...this.state, ...this.flux, this.velocity]) {
+            target.dispose();
+        }
+        for (const material of [this.fluxMaterial, this.waterMaterial, this.velocityMaterial, this.erosionMaterial, this.settleMaterial]) {
+            material.dispose();
+        }
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.compute.dispose();
+    }
+}
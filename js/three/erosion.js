@@ -1,6 +1,9 @@
 // Import necessary modules
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { zlibSync, unzlibSync } from 'three/addons/libs/fflate.module.js';
+import { PipeErosion } from './erosion-gpu.js';
+import { createRandom } from './random.js';
 
 // Initialize variables
 let renderer, scene, camera, controls;
@@ -9,6 +12,10 @@ let waterParticles = [];
 let waterDropletsMesh;
 let gridHelper, boundaryMesh;
 let clock = new THREE.Clock();
+let importedMap = null; // { width, height, data } with heights in [0, 1] from a loaded heightmap
+let pipeErosion = null; // GPU shallow-water model, created when first selected
+let terrainMesh, terrainWireframe, waterMesh; // solid views of the point grid
+let waterDepth; // water accumulated by droplets, one value per grid point
 
 // Configuration parameters
 let config = {
@@ -21,6 +28,25 @@ let config = {
     boundaryRadius: 15,
     showFlowVectors: false,
     pointSize: 0.2,
+    colorScheme: 'gradient',
+    rawFormat: 'float32',
+    terrainNoise: 'simplex',
+    terrainType: 'fbm',
+    terrainSeed: 1,
+    terrainScale: 1.5,
+    octaves: 6,
+    lacunarity: 2,
+    gain: 0.5,
+    warpStrength: 0.8,
+    erosionModel: 'particles',
+    gpuResolution: 512,
+    gpuSteps: 8,
+    evaporationRate: 0.5,
+    sedimentCapacity: 0.1,
+    thermalErosion: false,
+    talusAngle: 35,
+    thermalRate: 0.3,
+    thermalInterval: 1,
     iterations: 0
 };
 
@@ -28,6 +54,16 @@ let config = {
 const GRID_SIZE = 50;
 const GRID_RESOLUTION = 64;
 const MAX_PARTICLES = 500;
+const WATER_PER_DROPLET = 0.5; // water depth a droplet adds to its cell per second
+const WATER_EVAPORATION = 0.5; // share of accumulated water lost per second
+
+// Surface colours blended by height and slope on the solid terrain
+const TERRAIN_MATERIALS = {
+    sand: new THREE.Color(0.76, 0.70, 0.50),
+    grass: new THREE.Color(0.30, 0.50, 0.20),
+    rock: new THREE.Color(0.45, 0.42, 0.40),
+    snow: new THREE.Color(0.95, 0.95, 0.97)
+};
 
 // Initialize point grid
 function initializePointGrid() {
@@ -37,6 +73,8 @@ function initializePointGrid() {
     const colors = new Float32Array(totalPoints * 3);
     const heightData = new Float32Array(totalPoints);
     
+    const heights = getInitialHeights(GRID_RESOLUTION);
+    
     // Create a grid of points with heights
     let index = 0;
     for (let z = 0; z < GRID_RESOLUTION; z++) {
@@ -44,29 +82,7 @@ function initializePointGrid() {
             // Calculate grid positions
             const xPos = (x / (GRID_RESOLUTION - 1) - 0.5) * GRID_SIZE;
             const zPos = (z / (GRID_RESOLUTION - 1) - 0.5) * GRID_SIZE;
-            
-            // Normalize coordinates to [-1, 1]
-            const nx = (x / GRID_RESOLUTION) * 2 - 1;
-            const nz = (z / GRID_RESOLUTION) * 2 - 1;
-            
-            // Create height with Perlin-like noise
-            let height = 0;
-            
-            // Large features
-            height += Math.sin(nx * 3) * Math.cos(nz * 3) * 0.5;
-            
-            // Medium features
-            height += Math.sin(nx * 7 + 0.5) * Math.sin(nz * 6 + 0.5) * 0.25;
-            
-            // Small features
-            height += Math.sin(nx * 15) * Math.sin(nz * 15) * 0.125;
-            
-            // Add a central peak
-            const distFromCenter = Math.sqrt(nx*nx + nz*nz);
-            height += Math.max(0, (1 - distFromCenter) * 1.5);
-            
-            // Normalize height to range [0, 1]
-            height = (height + 1.5) / 3;
+            const height = heights[index];
             
             // Store positions
             positions[index * 3] = xPos;
@@ -103,6 +119,509 @@ function initializePointGrid() {
     return { positions, colors, heightData };
 }
 
+// Gradient directions shared by both noise bases
+const NOISE_GRADIENTS = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Seeded 2D Perlin or simplex noise, roughly in [-1, 1]
+function createNoise2D(seed, basis) {
+    // Shuffled permutation table, doubled to skip wrapping
+    const random = createRandom(seed);
+    const perm = new Uint8Array(512);
+    const p = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]];
+    }
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+    
+    const gradient = (hash, x, y) => {
+        const g = NOISE_GRADIENTS[hash & 7];
+        return g[0] * x + g[1] * y;
+    };
+    
+    if (basis === 'perlin') {
+        const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+        
+        return function(x, y) {
+            const xi = Math.floor(x), yi = Math.floor(y);
+            const xf = x - xi, yf = y - yi;
+            const X = xi & 255, Y = yi & 255;
+            const u = fade(xf), v = fade(yf);
+            
+            const n00 = gradient(perm[X + perm[Y]], xf, yf);
+            const n10 = gradient(perm[X + 1 + perm[Y]], xf - 1, yf);
+            const n01 = gradient(perm[X + perm[Y + 1]], xf, yf - 1);
+            const n11 = gradient(perm[X + 1 + perm[Y + 1]], xf - 1, yf - 1);
+            
+            const nx0 = n00 + u * (n10 - n00);
+            const nx1 = n01 + u * (n11 - n01);
+            return nx0 + v * (nx1 - nx0);
+        };
+    }
+    
+    // Simplex: sum the contributions of the three corners of the containing triangle
+    const F2 = 0.5 * (Math.sqrt(3) - 1);
+    const G2 = (3 - Math.sqrt(3)) / 6;
+    
+    return function(x, y) {
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s), j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t), y0 = y - (j - t);
+        const i1 = x0 > y0 ? 1 : 0, j1 = x0 > y0 ? 0 : 1;
+        
+        const corners = [
+            [x0, y0, 0, 0],
+            [x0 - i1 + G2, y0 - j1 + G2, i1, j1],
+            [x0 - 1 + 2 * G2, y0 - 1 + 2 * G2, 1, 1]
+        ];
+        
+        let n = 0;
+        for (const [cx, cy, di, dj] of corners) {
+            const falloff = 0.5 - cx * cx - cy * cy;
+            if (falloff > 0) {
+                const hash = perm[((i + di) & 255) + perm[(j + dj) & 255]];
+                n += falloff ** 4 * gradient(hash, cx, cy);
+            }
+        }
+        return 70 * n;
+    };
+}
+
+// Fractal sum of noise octaves. fbm adds signed noise; billow folds it into
+// rounded hills; ridged is Musgrave's ridged multifractal, where each octave is
+// weighted by the one before so detail gathers along the ridges.
+function fractalNoise(noise, x, y, type) {
+    let frequency = 1;
+    let amplitude = 1;
+    let weight = 1;
+    let sum = 0;
+    
+    for (let octave = 0; octave < config.octaves; octave++) {
+        const n = noise(x * frequency, y * frequency);
+        
+        if (type === 'ridged') {
+            let signal = 1 - Math.abs(n);
+            signal *= signal * weight;
+            weight = Math.min(Math.max(signal * 2, 0), 1);
+            sum += signal * amplitude;
+        } else if (type === 'billow') {
+            sum += (2 * Math.abs(n) - 1) * amplitude;
+        } else {
+            sum += n * amplitude;
+        }
+        
+        frequency *= config.lacunarity;
+        amplitude *= config.gain;
+    }
+    
+    return sum;
+}
+
+// Generate terrain heights in [0, 1] for a square grid from the terrain settings
+function generateTerrain(resolution = GRID_RESOLUTION) {
+    const noise = createNoise2D(config.terrainSeed, config.terrainNoise);
+    const heights = new Float32Array(resolution * resolution);
+    let min = Infinity, max = -Infinity;
+    
+    for (let z = 0; z < resolution; z++) {
+        for (let x = 0; x < resolution; x++) {
+            const px = (x / (resolution - 1)) * config.terrainScale;
+            const pz = (z / (resolution - 1)) * config.terrainScale;
+            let height;
+            
+            if (config.terrainType === 'warped') {
+                // Domain warping: offset the lookup by two more fBm fields
+                const qx = fractalNoise(noise, px, pz, 'fbm');
+                const qz = fractalNoise(noise, px + 5.2, pz + 1.3, 'fbm');
+                height = fractalNoise(noise, px + config.warpStrength * qx, pz + config.warpStrength * qz, 'fbm');
+            } else {
+                height = fractalNoise(noise, px, pz, config.terrainType);
+            }
+            
+            heights[z * resolution + x] = height;
+            min = Math.min(min, height);
+            max = Math.max(max, height);
+        }
+    }
+    
+    // Normalize to [0, 1]
+    const range = max - min || 1;
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = (heights[i] - min) / range;
+    }
+    
+    return heights;
+}
+
+// Starting terrain in [0, 1] at the given resolution: the loaded heightmap, or
+// a freshly generated terrain
+function getInitialHeights(resolution) {
+    if (importedMap) {
+        return resampleHeights(importedMap.data, importedMap.width, importedMap.height, resolution);
+    }
+    return generateTerrain(resolution);
+}
+
+// Build a new terrain from the generator settings, keeping the erosion settings
+function regenerateTerrain() {
+    importedMap = null;
+    clearWater();
+    resetPointGrid();
+    setHeightmapInfo("Heightmap: procedural");
+}
+
+// Resample a width x height map to a square grid with bilinear filtering
+function resampleHeights(source, width, height, resolution = GRID_RESOLUTION) {
+    const result = new Float32Array(resolution * resolution);
+    
+    for (let z = 0; z < resolution; z++) {
+        for (let x = 0; x < resolution; x++) {
+            const sx = x / (resolution - 1) * (width - 1);
+            const sz = z / (resolution - 1) * (height - 1);
+            const x0 = Math.floor(sx), z0 = Math.floor(sz);
+            const x1 = Math.min(x0 + 1, width - 1), z1 = Math.min(z0 + 1, height - 1);
+            const fx = sx - x0, fz = sz - z0;
+            
+            const h0 = source[z0 * width + x0] * (1 - fx) + source[z0 * width + x1] * fx;
+            const h1 = source[z1 * width + x0] * (1 - fx) + source[z1 * width + x1] * fx;
+            result[z * resolution + x] = h0 * (1 - fz) + h1 * fz;
+        }
+    }
+    
+    return result;
+}
+
+// Decode a non-interlaced 8 or 16 bit grayscale, RGB or RGBA PNG to heights in
+// [0, 1], keeping the full 16 bit precision that a canvas would throw away.
+// Returns null for PNG variants this doesn't handle.
+function decodePNG(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (bytes.length < 8 || signature.some((b, i) => bytes[i] !== b)) return null;
+    
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    const idat = [];
+    
+    // Walk the chunks: length, type, data, CRC
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+    if (!channels || interlace !== 0 || (bitDepth !== 8 && bitDepth !== 16)) return null;
+    
+    const compressed = new Uint8Array(idat.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of idat) {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    }
+    const raw = unzlibSync(compressed);
+    
+    // Undo the per-row filters in place
+    const bytesPerPixel = channels * bitDepth / 8;
+    const stride = width * bytesPerPixel;
+    const pixels = new Uint8Array(height * stride);
+    for (let row = 0; row < height; row++) {
+        const filter = raw[row * (stride + 1)];
+        const line = raw.subarray(row * (stride + 1) + 1, (row + 1) * (stride + 1));
+        const out = row * stride;
+        
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[out + i - bytesPerPixel] : 0;
+            const up = row > 0 ? pixels[out - stride + i] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? pixels[out - stride + i - bytesPerPixel] : 0;
+            let predictor = 0;
+            
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+            }
+            
+            pixels[out + i] = (line[i] + predictor) & 0xFF;
+        }
+    }
+    
+    // Gray channel, or the mean of RGB
+    const colorChannels = channels >= 3 ? 3 : 1;
+    const maxValue = bitDepth === 16 ? 65535 : 255;
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        let sum = 0;
+        for (let c = 0; c < colorChannels; c++) {
+            const at = i * bytesPerPixel + c * bitDepth / 8;
+            sum += bitDepth === 16 ? (pixels[at] << 8) | pixels[at + 1] : pixels[at];
+        }
+        data[i] = sum / colorChannels / maxValue;
+    }
+    
+    return { width, height, data };
+}
+
+// Decode any image the browser can read to 8 bit heights in [0, 1]
+function decodeImageHeights(file) {
+    return createImageBitmap(file).then(function(bitmap) {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const pixels = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+        
+        const data = new Float32Array(bitmap.width * bitmap.height);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = (pixels[i * 4] + pixels[i * 4 + 1] + pixels[i * 4 + 2]) / (3 * 255);
+        }
+        
+        return { width: bitmap.width, height: bitmap.height, data };
+    });
+}
+
+// Decode a square little-endian RAW heightmap. Float data is scaled to [0, 1]
+// by its own range, 16 bit data by the full 0-65535 range.
+function decodeRawHeights(buffer, format) {
+    const bytesPerSample = format === 'uint16' ? 2 : 4;
+    const count = buffer.byteLength / bytesPerSample;
+    const size = Math.round(Math.sqrt(count));
+    if (size < 2 || size * size !== count) {
+        throw new Error(`${buffer.byteLength} bytes is not a square ${format} heightmap`);
+    }
+    
+    const view = new DataView(buffer);
+    const data = new Float32Array(count);
+    let min = Infinity, max = -Infinity;
+    
+    for (let i = 0; i < count; i++) {
+        data[i] = format === 'uint16' ? view.getUint16(i * 2, true) / 65535 : view.getFloat32(i * 4, true);
+        min = Math.min(min, data[i]);
+        max = Math.max(max, data[i]);
+    }
+    
+    if (format !== 'uint16') {
+        const range = max - min || 1;
+        for (let i = 0; i < count; i++) data[i] = (data[i] - min) / range;
+    }
+    
+    return { width: size, height: size, data };
+}
+
+// Load a PNG, other image or RAW heightmap as the starting terrain
+function loadHeightmapFile(file) {
+    const name = file.name.toLowerCase();
+    const isRaw = /\.(raw|r16|r32|bin)$/.test(name);
+    
+    // .r16 and .r32 name their sample format; other RAW files follow the select
+    const rawFormat = name.endsWith('.r16') ? 'uint16' : name.endsWith('.r32') ? 'float32' : config.rawFormat;
+    
+    file.arrayBuffer().then(function(buffer) {
+        if (isRaw) return decodeRawHeights(buffer, rawFormat);
+        return decodePNG(buffer) || decodeImageHeights(file);
+    }).then(function(map) {
+        importedMap = map;
+        resetPointGrid();
+        setHeightmapInfo(`Heightmap: ${file.name} (${map.width}×${map.height})`);
+    }).catch(function(error) {
+        console.error("Could not load heightmap:", error);
+        setHeightmapInfo(`Could not load ${file.name}: ${error.message}`);
+    });
+}
+
+// Go back to the built-in terrain
+function clearHeightmap() {
+    importedMap = null;
+    resetPointGrid();
+    setHeightmapInfo("Heightmap: procedural");
+}
+
+// Show which terrain the grid starts from
+function setHeightmapInfo(text) {
+    const info = document.getElementById('heightmapInfo');
+    if (info) info.textContent = text;
+}
+
+// Current terrain heights of the active model, one per grid cell, rows along z
+function getTerrainHeights() {
+    if (config.erosionModel === 'pipe' && pipeErosion) {
+        return { heights: pipeErosion.readHeights(), size: pipeErosion.size };
+    }
+    
+    const { positions } = getCurrentPointData();
+    const heights = new Float32Array(GRID_RESOLUTION * GRID_RESOLUTION);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = positions[i * 3 + 1];
+    }
+    return { heights, size: GRID_RESOLUTION };
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = new Uint32Array(256).map(function(_, n) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Encode heights as a 16 bit grayscale PNG, with 0-65535 spanning 0 to the
+// point height so repeated exports share one scale
+function encodePNG16(heights, size) {
+    const raw = new Uint8Array(size * (size * 2 + 1));
+    for (let row = 0; row < size; row++) {
+        const start = row * (size * 2 + 1);
+        raw[start] = 0; // no filter
+        for (let x = 0; x < size; x++) {
+            const value = Math.round(Math.min(Math.max(heights[row * size + x] / config.pointHeight, 0), 1) * 65535);
+            raw[start + 1 + x * 2] = value >> 8;
+            raw[start + 2 + x * 2] = value & 0xFF;
+        }
+    }
+    
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, size);
+    headerView.setUint32(4, size);
+    header[8] = 16; // bit depth
+    header[9] = 0; // grayscale
+    
+    const chunks = [['IHDR', header], ['IDAT', zlibSync(raw)], ['IEND', new Uint8Array(0)]];
+    const total = 8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0);
+    const png = new Uint8Array(total);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    
+    let offset = 8;
+    for (const [type, data] of chunks) {
+        view.setUint32(offset, data.length);
+        for (let i = 0; i < 4; i++) png[offset + 4 + i] = type.charCodeAt(i);
+        png.set(data, offset + 8);
+        view.setUint32(offset + 8 + data.length, crc32(png.subarray(offset + 4, offset + 8 + data.length)));
+        offset += 12 + data.length;
+    }
+    
+    return png;
+}
+
+// Encode heights as little-endian float32 in world units
+function encodeRawFloat32(heights) {
+    const buffer = new ArrayBuffer(heights.length * 4);
+    const view = new DataView(buffer);
+    heights.forEach((h, i) => view.setFloat32(i * 4, h, true));
+    return buffer;
+}
+
+// Encode heights as a single strip, uncompressed float32 TIFF in world units.
+// The GeoTIFF pixel scale and tie point tags give the cell size and the
+// position of the top-left corner, without a coordinate system.
+function encodeTIFF(heights, size) {
+    const cellSize = GRID_SIZE / (size - 1);
+    const doubles = [cellSize, cellSize, 0, 0, 0, 0, -GRID_SIZE / 2, GRID_SIZE / 2, 0];
+    
+    // Tag, type (3 SHORT, 4 LONG, 12 DOUBLE), count, value
+    const SHORT = 3, LONG = 4, DOUBLE = 12;
+    const entries = [
+        [256, LONG, 1, size],           // ImageWidth
+        [257, LONG, 1, size],           // ImageLength
+        [258, SHORT, 1, 32],            // BitsPerSample
+        [259, SHORT, 1, 1],             // Compression: none
+        [262, SHORT, 1, 1],             // Photometric: black is zero
+        [273, LONG, 1, 0],              // StripOffsets, filled in below
+        [277, SHORT, 1, 1],             // SamplesPerPixel
+        [278, LONG, 1, size],           // RowsPerStrip
+        [279, LONG, 1, size * size * 4],// StripByteCounts
+        [284, SHORT, 1, 1],             // PlanarConfiguration: chunky
+        [339, SHORT, 1, 3],             // SampleFormat: IEEE float
+        [33550, DOUBLE, 3, 0],          // ModelPixelScale
+        [33922, DOUBLE, 6, 0]           // ModelTiepoint
+    ];
+    
+    const ifdOffset = 8;
+    const doublesOffset = Math.ceil((ifdOffset + 2 + entries.length * 12 + 4) / 8) * 8;
+    const dataOffset = doublesOffset + doubles.length * 8;
+    entries[5][3] = dataOffset;
+    entries[11][3] = doublesOffset;
+    entries[12][3] = doublesOffset + 24;
+    
+    const buffer = new ArrayBuffer(dataOffset + size * size * 4);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x4949); // "II", little-endian
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    
+    view.setUint16(ifdOffset, entries.length, true);
+    entries.forEach(function([tag, type, count, value], i) {
+        const at = ifdOffset + 2 + i * 12;
+        view.setUint16(at, tag, true);
+        view.setUint16(at + 2, type, true);
+        view.setUint32(at + 4, count, true);
+        if (type === SHORT) view.setUint16(at + 8, value, true);
+        else view.setUint32(at + 8, value, true);
+    });
+    view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true); // no further IFDs
+    
+    doubles.forEach((d, i) => view.setFloat64(doublesOffset + i * 8, d, true));
+    heights.forEach((h, i) => view.setFloat32(dataOffset + i * 4, h, true));
+    
+    return buffer;
+}
+
+// Download the current terrain as a heightmap
+function exportHeightmap(format) {
+    const { heights, size } = getTerrainHeights();
+    
+    if (format === 'png') {
+        downloadFile(encodePNG16(heights, size), 'erosion-heightmap.png', 'image/png');
+    } else if (format === 'raw') {
+        downloadFile(encodeRawFloat32(heights), `erosion-heightmap-${size}x${size}.r32`, 'application/octet-stream');
+    } else if (format === 'tiff') {
+        downloadFile(encodeTIFF(heights, size), 'erosion-heightmap.tif', 'image/tiff');
+    }
+}
+
+// Save data as a file download
+function downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
+
 // Create visual point cloud from position data
 function createPointCloudMesh(positions, colors) {
     const geometry = new THREE.BufferGeometry();
@@ -120,6 +639,154 @@ function createPointCloudMesh(positions, colors) {
     return { pointCloud, geometry };
 }
 
+// Create the lit terrain, its wireframe and the water layer. The terrain shares
+// the point cloud's position attribute, so erosion moves both views at once.
+function createTerrainMeshes(pointCloud) {
+    const index = [];
+    for (let z = 0; z < GRID_RESOLUTION - 1; z++) {
+        for (let x = 0; x < GRID_RESOLUTION - 1; x++) {
+            const a = z * GRID_RESOLUTION + x;
+            const b = a + 1;
+            const c = a + GRID_RESOLUTION;
+            const d = c + 1;
+            index.push(a, c, b, b, c, d);
+        }
+    }
+    const indexAttribute = new THREE.Uint32BufferAttribute(index, 1);
+    const vertexCount = GRID_RESOLUTION * GRID_RESOLUTION;
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', pointCloud.geometry.attributes.position);
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.setIndex(indexAttribute);
+    
+    const terrain = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 0.95,
+        metalness: 0
+    }));
+    
+    const wireframe = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+        color: 0x000000,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.25
+    }));
+    
+    const waterGeometry = new THREE.BufferGeometry();
+    waterGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    waterGeometry.setIndex(indexAttribute);
+    
+    const water = new THREE.Mesh(waterGeometry, new THREE.MeshStandardMaterial({
+        color: 0x2a7fd4,
+        transparent: true,
+        opacity: 0.6,
+        roughness: 0.2,
+        metalness: 0,
+        depthWrite: false
+    }));
+    
+    return { terrain, wireframe, water };
+}
+
+// Replace the solid views after the point grid has been rebuilt
+function rebuildTerrainMeshes() {
+    for (const mesh of [terrainMesh, terrainWireframe, waterMesh]) {
+        if (!mesh) continue;
+        scene.remove(mesh);
+        mesh.material.dispose();
+    }
+    if (terrainMesh) terrainMesh.geometry.dispose();
+    if (waterMesh) waterMesh.geometry.dispose();
+    
+    const { terrain, wireframe, water } = createTerrainMeshes(pointCloudMesh);
+    terrainMesh = terrain;
+    terrainWireframe = wireframe;
+    waterMesh = water;
+    scene.add(terrainMesh, terrainWireframe, waterMesh);
+    
+    waterDepth = new Float32Array(GRID_RESOLUTION * GRID_RESOLUTION);
+    updateTerrainMeshes();
+    updateTerrainVisibility();
+}
+
+// Recompute normals, surface colours and the water surface from the heights
+function updateTerrainMeshes() {
+    const geometry = terrainMesh.geometry;
+    geometry.computeVertexNormals();
+    
+    const positions = geometry.attributes.position.array;
+    const normals = geometry.attributes.normal.array;
+    const colors = geometry.attributes.color.array;
+    const waterPositions = waterMesh.geometry.attributes.position.array;
+    const color = new THREE.Color();
+    
+    for (let i = 0; i < GRID_RESOLUTION * GRID_RESOLUTION; i++) {
+        const height = positions[i * 3 + 1] / config.pointHeight;
+        const slope = 1 - normals[i * 3 + 1];
+        
+        // Sand on the low ground, grass above it and snow on the peaks,
+        // with bare rock wherever the ground is too steep to hold them
+        color.copy(TERRAIN_MATERIALS.sand);
+        color.lerp(TERRAIN_MATERIALS.grass, THREE.MathUtils.smoothstep(height, 0.12, 0.2));
+        color.lerp(TERRAIN_MATERIALS.snow, THREE.MathUtils.smoothstep(height, 0.7, 0.8));
+        color.lerp(TERRAIN_MATERIALS.rock, THREE.MathUtils.smoothstep(slope, 0.15, 0.35));
+        
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+        
+        // Dry cells sit just under the terrain so they stay hidden
+        const depth = waterDepth[i];
+        waterPositions[i * 3] = positions[i * 3];
+        waterPositions[i * 3 + 1] = positions[i * 3 + 1] + (depth > 0.01 ? depth : -0.05);
+        waterPositions[i * 3 + 2] = positions[i * 3 + 2];
+    }
+    
+    geometry.attributes.color.needsUpdate = true;
+    waterMesh.geometry.attributes.position.needsUpdate = true;
+    waterMesh.geometry.computeVertexNormals();
+}
+
+// Accumulate water where droplets are and let it evaporate
+function updateWaterDepth(delta) {
+    const evaporation = Math.exp(-WATER_EVAPORATION * delta);
+    for (let i = 0; i < waterDepth.length; i++) {
+        waterDepth[i] *= evaporation;
+    }
+    
+    for (let i = 0; i < waterParticles.length; i++) {
+        if (!waterParticles[i].active) continue;
+        
+        const pos = waterParticles[i].position;
+        const gridX = Math.round(((pos.x + GRID_SIZE / 2) / GRID_SIZE) * (GRID_RESOLUTION - 1));
+        const gridZ = Math.round(((pos.z + GRID_SIZE / 2) / GRID_SIZE) * (GRID_RESOLUTION - 1));
+        
+        if (gridX >= 0 && gridX < GRID_RESOLUTION && gridZ >= 0 && gridZ < GRID_RESOLUTION) {
+            waterDepth[gridZ * GRID_RESOLUTION + gridX] += WATER_PER_DROPLET * delta;
+        }
+    }
+}
+
+// Show the points or the solid terrain for the particle model, following the
+// color scheme select
+function updateTerrainVisibility() {
+    const particles = config.erosionModel === 'particles';
+    const solid = config.colorScheme === 'mesh' || config.colorScheme === 'meshWireframe';
+    
+    pointCloudMesh.visible = particles && !solid;
+    terrainMesh.visible = particles && solid;
+    waterMesh.visible = particles && solid;
+    terrainWireframe.visible = particles && config.colorScheme === 'meshWireframe';
+}
+
+// Switch between point colours and the solid terrain views
+function setColorScheme(scheme) {
+    config.colorScheme = scheme;
+    updateTerrainMeshes();
+    updateTerrainVisibility();
+}
+
 // Update point cloud colors based on height
 function updatePointColors(positions, colors) {
     for (let i = 0; i < positions.length / 3; i++) {
@@ -310,6 +977,92 @@ function modifyPointHeight(x, z, amount) {
     pointCloudMesh.geometry.attributes.color.needsUpdate = true;
 }
 
+// Neighbour offsets for thermal weathering
+const THERMAL_NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Thermal weathering: wherever the slope to a neighbour is steeper than the
+// talus angle, material slides down to the lower neighbours in proportion to
+// how far each exceeds it, so cliffs slump into scree slopes
+function applyThermalErosion() {
+    const { positions, colors } = getCurrentPointData();
+    const cellSize = GRID_SIZE / (GRID_RESOLUTION - 1);
+    const talus = Math.tan(config.talusAngle * Math.PI / 180);
+    const change = new Float32Array(GRID_RESOLUTION * GRID_RESOLUTION);
+    const excess = new Float32Array(THERMAL_NEIGHBOURS.length);
+    let moved = 0;
+    
+    for (let z = 0; z < GRID_RESOLUTION; z++) {
+        for (let x = 0; x < GRID_RESOLUTION; x++) {
+            const index = z * GRID_RESOLUTION + x;
+            const height = positions[index * 3 + 1];
+            let totalExcess = 0;
+            let maxExcess = 0;
+            
+            THERMAL_NEIGHBOURS.forEach(function([dx, dz], n) {
+                const nx = x + dx, nz = z + dz;
+                excess[n] = 0;
+                if (nx < 0 || nx >= GRID_RESOLUTION || nz < 0 || nz >= GRID_RESOLUTION) return;
+                
+                const drop = height - positions[(nz * GRID_RESOLUTION + nx) * 3 + 1];
+                const stable = Math.hypot(dx, dz) * cellSize * talus;
+                if (drop > stable) {
+                    excess[n] = drop - stable;
+                    totalExcess += excess[n];
+                    maxExcess = Math.max(maxExcess, excess[n]);
+                }
+            });
+            
+            if (totalExcess === 0) continue;
+            
+            // Moving at most half the largest excess can't overshoot
+            const amount = config.thermalRate * maxExcess / 2;
+            change[index] -= amount;
+            moved += amount;
+            
+            THERMAL_NEIGHBOURS.forEach(function([dx, dz], n) {
+                if (excess[n] > 0) {
+                    change[(z + dz) * GRID_RESOLUTION + x + dx] += amount * excess[n] / totalExcess;
+                }
+            });
+        }
+    }
+    
+    if (moved === 0) return 0;
+    
+    for (let i = 0; i < change.length; i++) {
+        positions[i * 3 + 1] += change[i];
+    }
+    
+    updatePointColors(positions, colors);
+    pointCloudMesh.geometry.attributes.position.needsUpdate = true;
+    pointCloudMesh.geometry.attributes.color.needsUpdate = true;
+    
+    return moved;
+}
+
+// Thermal weathering runs on the point grid between rain steps, so its
+// controls are disabled while the GPU model is active
+function updateThermalControls() {
+    const disabled = config.erosionModel !== 'particles';
+    ['thermalBtn', 'talusAngleSlider', 'thermalRateSlider', 'thermalIntervalSlider'].forEach(function(id) {
+        const control = document.getElementById(id);
+        if (control) {
+            control.disabled = disabled;
+            control.title = disabled ? "Thermal erosion runs with the droplet particle model" : '';
+        }
+    });
+}
+
+// Toggle thermal weathering between rain steps
+function toggleThermalErosion() {
+    config.thermalErosion = !config.thermalErosion;
+    
+    const thermalBtn = document.getElementById('thermalBtn');
+    if (thermalBtn) {
+        thermalBtn.textContent = `Thermal Erosion: ${config.thermalErosion ? 'On' : 'Off'}`;
+    }
+}
+
 // Update water droplet simulation
 function updateWaterParticles(delta) {
     let activeCount = 0;
@@ -512,6 +1265,9 @@ function init() {
     pointPositions = positions;
     pointColors = colors;
     
+    // Create the solid terrain views
+    rebuildTerrainMeshes();
+    
     // Create water particles
     const { waterParticles: particles, dropletsMesh } = createWaterParticles();
     scene.add(dropletsMesh);
@@ -554,21 +1310,103 @@ function animate() {
     // Update controls
     controls.update();
     
-    // Process rain (add new droplets)
-    processRain();
-    
-    // Update water particles
-    if (!config.paused) {
-        updateWaterParticles(delta);
+    if (config.erosionModel === 'pipe') {
+        // Advance the GPU shallow-water model
+        if (!config.paused) {
+            stepPipeErosion();
+        }
+    } else {
+        // Process rain (add new droplets)
+        processRain();
         
-        // Update iterations counter for stats
-        config.iterations = (config.iterations || 0) + 1;
+        // Update water particles
+        if (!config.paused) {
+            updateWaterParticles(delta);
+            
+            // Update iterations counter for stats
+            config.iterations = (config.iterations || 0) + 1;
+            
+            // Interleave thermal weathering with the rain
+            if (config.thermalErosion && config.iterations % config.thermalInterval === 0) {
+                applyThermalErosion();
+            }
+            
+            updateWaterDepth(delta);
+            if (terrainMesh.visible) {
+                updateTerrainMeshes();
+            }
+        }
     }
     
     // Render scene
     renderer.render(scene, camera);
 }
 
+// Create the GPU model at the configured resolution, starting from the initial terrain
+function createPipeErosion() {
+    if (pipeErosion) {
+        scene.remove(pipeErosion.mesh);
+        pipeErosion.dispose();
+    }
+    
+    pipeErosion = new PipeErosion(renderer, config.gpuResolution, GRID_SIZE);
+    resetPipeTerrain();
+    pipeErosion.mesh.visible = config.erosionModel === 'pipe';
+    scene.add(pipeErosion.mesh);
+}
+
+// Load the initial terrain into the GPU model
+function resetPipeTerrain() {
+    const heights = getInitialHeights(pipeErosion.size);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] *= config.pointHeight;
+    }
+    pipeErosion.setTerrain(heights, config.pointHeight);
+}
+
+// Run this frame's steps of the GPU model with the current erosion settings
+function stepPipeErosion() {
+    const params = {
+        rainRate: config.rainIntensity * 0.01,
+        evaporation: config.evaporationRate,
+        capacity: config.sedimentCapacity,
+        dissolveRate: config.erosionRate,
+        depositRate: config.depositionRate
+    };
+    
+    for (let i = 0; i < config.gpuSteps; i++) {
+        pipeErosion.step(params);
+    }
+    
+    config.iterations = (config.iterations || 0) + config.gpuSteps;
+    updateStats(0, 0);
+}
+
+// Switch between the droplet particles and the GPU shallow-water grid.
+// Each model keeps its own terrain.
+function setErosionModel(model) {
+    if (model === 'pipe' && !pipeErosion) {
+        if (!PipeErosion.isSupported(renderer)) {
+            console.error("GPU erosion needs float render targets, which this browser doesn't support");
+            const modelSelect = document.getElementById('erosionModel');
+            if (modelSelect) modelSelect.value = config.erosionModel;
+            return;
+        }
+        createPipeErosion();
+    }
+    
+    config.erosionModel = model;
+    updateTerrainVisibility();
+    updateThermalControls();
+    waterDropletsMesh.visible = model === 'particles';
+    if (pipeErosion) {
+        pipeErosion.mesh.visible = model === 'pipe';
+    }
+    
+    config.iterations = 0;
+    updateStats(waterParticles.length, 0);
+}
+
 // Handle window resize
 function onWindowResize() {
     const container = document.getElementById('canvas-container');
@@ -601,6 +1439,12 @@ function resetPointGrid() {
     pointCloudMesh = pointCloud;
     pointPositions = positions;
     pointColors = colors;
+    rebuildTerrainMeshes();
+    
+    // Reset the GPU model as well
+    if (pipeErosion) {
+        resetPipeTerrain();
+    }
     
     // Reset statistics
     config.iterations = 0;
@@ -614,6 +1458,14 @@ function clearWater() {
     }
     
     updateDropletsMesh();
+    
+    waterDepth.fill(0);
+    updateTerrainMeshes();
+    
+    if (pipeErosion) {
+        pipeErosion.settle();
+    }
+    
     updateStats(waterParticles.length, 0);
 }
 
@@ -647,7 +1499,9 @@ function updatePointSize(size) {
 function updateStats(total, active) {
     const statsElement = document.getElementById('stats');
     if (statsElement) {
-        statsElement.textContent = `Particles: ${total} | Active: ${active}`;
+        statsElement.textContent = config.erosionModel === 'pipe'
+            ? `Grid: ${pipeErosion.size}×${pipeErosion.size} | Steps/frame: ${config.gpuSteps}`
+            : `Particles: ${total} | Active: ${active}`;
     }
     
     const debugElement = document.getElementById('debug');
@@ -760,6 +1614,16 @@ function setupEventListeners() {
         });
     }
     
+    // Color scheme select, which also switches to the solid terrain
+    const colorSchemeSelect = document.getElementById('colorScheme');
+    if (colorSchemeSelect) {
+        colorSchemeSelect.value = config.colorScheme;
+        
+        colorSchemeSelect.addEventListener('change', function() {
+            setColorScheme(this.value);
+        });
+    }
+    
     // Grid toggle button
     const gridToggle = document.getElementById('gridToggle');
     if (gridToggle) {
@@ -785,6 +1649,176 @@ function setupEventListeners() {
         resetWaterBtn.addEventListener('click', clearWater);
     }
     
+    // Erosion model
+    const erosionModelSelect = document.getElementById('erosionModel');
+    if (erosionModelSelect) {
+        erosionModelSelect.value = config.erosionModel;
+        
+        erosionModelSelect.addEventListener('change', function() {
+            setErosionModel(this.value);
+        });
+    }
+    
+    const gpuResolutionSelect = document.getElementById('gpuResolution');
+    if (gpuResolutionSelect) {
+        gpuResolutionSelect.value = config.gpuResolution;
+        
+        gpuResolutionSelect.addEventListener('change', function() {
+            config.gpuResolution = parseInt(this.value);
+            if (pipeErosion) {
+                createPipeErosion();
+                updateStats(waterParticles.length, 0);
+            }
+        });
+    }
+    
+    // GPU model sliders
+    const pipeSliders = {
+        gpuStepsSlider: { key: 'gpuSteps', parse: parseInt },
+        evaporationSlider: { key: 'evaporationRate', parse: parseFloat },
+        capacitySlider: { key: 'sedimentCapacity', parse: parseFloat }
+    };
+    Object.entries(pipeSliders).forEach(function([id, { key, parse }]) {
+        const slider = document.getElementById(id);
+        const value = document.getElementById(id.replace('Slider', 'Value'));
+        
+        if (slider && value) {
+            slider.value = config[key];
+            value.textContent = config[key];
+            
+            slider.addEventListener('input', function() {
+                config[key] = parse(this.value);
+                value.textContent = config[key];
+            });
+        }
+    });
+    
+    // Thermal erosion
+    const thermalBtn = document.getElementById('thermalBtn');
+    if (thermalBtn) {
+        thermalBtn.textContent = `Thermal Erosion: ${config.thermalErosion ? 'On' : 'Off'}`;
+        thermalBtn.addEventListener('click', toggleThermalErosion);
+    }
+    
+    const thermalSliders = {
+        talusAngleSlider: { key: 'talusAngle', parse: parseInt },
+        thermalRateSlider: { key: 'thermalRate', parse: parseFloat },
+        thermalIntervalSlider: { key: 'thermalInterval', parse: parseInt }
+    };
+    Object.entries(thermalSliders).forEach(function([id, { key, parse }]) {
+        const slider = document.getElementById(id);
+        const value = document.getElementById(id.replace('Slider', 'Value'));
+        
+        if (slider && value) {
+            slider.value = config[key];
+            value.textContent = config[key];
+            
+            slider.addEventListener('input', function() {
+                config[key] = parse(this.value);
+                value.textContent = config[key];
+            });
+        }
+    });
+    updateThermalControls();
+    
+    // Terrain generator selects
+    const terrainSelects = { terrainNoise: 'terrainNoise', terrainType: 'terrainType' };
+    Object.entries(terrainSelects).forEach(function([id, key]) {
+        const select = document.getElementById(id);
+        if (select) {
+            select.value = config[key];
+            
+            select.addEventListener('change', function() {
+                config[key] = this.value;
+            });
+        }
+    });
+    
+    // Terrain generator sliders
+    const terrainSliders = {
+        octavesSlider: { key: 'octaves', parse: parseInt },
+        lacunaritySlider: { key: 'lacunarity', parse: parseFloat },
+        gainSlider: { key: 'gain', parse: parseFloat },
+        terrainScaleSlider: { key: 'terrainScale', parse: parseFloat },
+        warpStrengthSlider: { key: 'warpStrength', parse: parseFloat }
+    };
+    Object.entries(terrainSliders).forEach(function([id, { key, parse }]) {
+        const slider = document.getElementById(id);
+        const value = document.getElementById(id.replace('Slider', 'Value'));
+        
+        if (slider && value) {
+            slider.value = config[key];
+            value.textContent = config[key];
+            
+            slider.addEventListener('input', function() {
+                config[key] = parse(this.value);
+                value.textContent = config[key];
+            });
+        }
+    });
+    
+    // Terrain seed
+    const terrainSeedInput = document.getElementById('terrainSeed');
+    if (terrainSeedInput) {
+        terrainSeedInput.value = config.terrainSeed;
+        
+        terrainSeedInput.addEventListener('change', function() {
+            config.terrainSeed = parseInt(this.value) || 0;
+            this.value = config.terrainSeed;
+        });
+    }
+    
+    const randomSeedBtn = document.getElementById('randomSeedBtn');
+    if (randomSeedBtn) {
+        randomSeedBtn.addEventListener('click', function() {
+            config.terrainSeed = Math.floor(Math.random() * 100000);
+            if (terrainSeedInput) terrainSeedInput.value = config.terrainSeed;
+            regenerateTerrain();
+        });
+    }
+    
+    const regenerateBtn = document.getElementById('regenerateBtn');
+    if (regenerateBtn) {
+        regenerateBtn.addEventListener('click', regenerateTerrain);
+    }
+    
+    // Heightmap import
+    const heightmapFile = document.getElementById('heightmapFile');
+    if (heightmapFile) {
+        heightmapFile.addEventListener('change', function() {
+            const file = this.files[0];
+            if (!file) return;
+            
+            loadHeightmapFile(file);
+            this.value = '';
+        });
+    }
+    
+    const rawFormatSelect = document.getElementById('rawFormat');
+    if (rawFormatSelect) {
+        rawFormatSelect.value = config.rawFormat;
+        
+        rawFormatSelect.addEventListener('change', function() {
+            config.rawFormat = this.value;
+        });
+    }
+    
+    const clearHeightmapBtn = document.getElementById('clearHeightmapBtn');
+    if (clearHeightmapBtn) {
+        clearHeightmapBtn.addEventListener('click', clearHeightmap);
+    }
+    
+    // Heightmap export
+    const exportButtons = { exportPNGBtn: 'png', exportRAWBtn: 'raw', exportTIFFBtn: 'tiff' };
+    Object.entries(exportButtons).forEach(function([id, format]) {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', function() {
+                exportHeightmap(format);
+            });
+        }
+    });
+    
     // Window resize event
     window.addEventListener('resize', onWindowResize);
 }
@@ -799,5 +1833,11 @@ export {
     togglePause,
     clearWater,
     toggleGrid,
-    updatePointSize
+    updatePointSize,
+    loadHeightmapFile,
+    exportHeightmap,
+    regenerateTerrain,
+    setErosionModel,
+    applyThermalErosion,
+    setColorScheme
 };
\ No newline at end of file
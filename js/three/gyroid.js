@@ -2,13 +2,54 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { MarchingCubes } from 'three/addons/objects/MarchingCubes.js';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { PLYExporter } from 'three/addons/exporters/PLYExporter.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 
 // Initialize variables
 let renderer, scene, camera, controls;
 let gyroid, material, gradientTexture;
+let raymarchMesh, tileMesh;
+let customSurface = { evaluate: () => 0, glsl: 'dConst(0.0)', params: [] };
+let sliceHelper, sliceGizmo;
+const clipPlane = new THREE.Plane();
 let clock = new THREE.Clock();
 let gridHelper, axisHelper;
 
+// Painted density map (values in [0, 1]) and imported bounding mesh
+const DENSITY_MAP_SIZE = 128;
+let densityMapData = new Float32Array(DENSITY_MAP_SIZE * DENSITY_MAP_SIZE).fill(0.5);
+let boundMeshTriangles = null;
+let boundMeshSDF = null;
+
+// Morph state used when switching between surface types
+let morph = {
+    from: 'gyroid',
+    to: 'gyroid',
+    startTime: 0,
+    // Surface picked while a morph was running, started once it finishes
+    next: null,
+    // Set by the timeline to drive the blend directly instead of by time
+    manualBlend: null
+};
+
+// Keyframe timeline state
+let timeline = {
+    keyframes: [],
+    time: 0,
+    duration: 10,
+    playing: false,
+    loop: true
+};
+const timelineClock = new THREE.Clock(false);
+
+// Metrics are recomputed at most this often (seconds)
+const METRICS_INTERVAL = 0.5;
+let lastMetricsTime = -Infinity;
+
 // Configuration parameters
 let config = {
     resolution: 32,
@@ -18,15 +59,105 @@ let config = {
     scaleZ: 1.0,
     colorScheme: 'normals',
     rotationSpeed: 1.0,
-    showGrid: true
+    showGrid: true,
+    surfaceType: 'gyroid',
+    morphDuration: 1.5,
+    exportMode: 'sheet',
+    shellThickness: 0.05,
+    gradingMode: 'uniform',
+    gradingAxis: 'y',
+    gradingAmount: 0.5,
+    boundShape: 'none',
+    sliceEnabled: false,
+    sliceGizmoMode: 'translate',
+    sliceResolution: 128,
+    sliceCount: 10,
+    curvatureRange: 1.0,
+    tilingMode: 'sampled',
+    cellCount: 1,
+    cellSize: 2.0,
+    customExpression: 'sin(x + t) * cos(y) + sin(y) * cos(z) + sin(z) * cos(x) + a * cos(b * x) * cos(b * y) * cos(b * z)',
+    customParams: Object.create(null) // by name; no prototype, so any identifier is a safe key
+};
+
+// Implicit functions for the family of triply periodic minimal surfaces.
+// Each takes coordinates in radians plus the animation offset and returns
+// the field value that is fed to MarchingCubes.
+const SURFACE_FUNCTIONS = {
+    gyroid: (x, y, z, offset) =>
+        Math.sin(x + offset) * Math.cos(y) +
+        Math.sin(y) * Math.cos(z + offset) +
+        Math.sin(z) * Math.cos(x + offset),
+
+    schwarzP: (x, y, z, offset) =>
+        Math.cos(x + offset) + Math.cos(y) + Math.cos(z),
+
+    schwarzD: (x, y, z, offset) => {
+        const sx = Math.sin(x + offset), cx = Math.cos(x + offset);
+        const sy = Math.sin(y), cy = Math.cos(y);
+        const sz = Math.sin(z), cz = Math.cos(z);
+        return sx * sy * sz + sx * cy * cz + cx * sy * cz + cx * cy * sz;
+    },
+
+    neovius: (x, y, z, offset) => {
+        const cx = Math.cos(x + offset), cy = Math.cos(y), cz = Math.cos(z);
+        return 3 * (cx + cy + cz) + 4 * cx * cy * cz;
+    },
+
+    lidinoid: (x, y, z, offset) => {
+        const xo = x + offset;
+        return 0.5 * (Math.sin(2 * xo) * Math.cos(y) * Math.sin(z) +
+                      Math.sin(2 * y) * Math.cos(z) * Math.sin(xo) +
+                      Math.sin(2 * z) * Math.cos(xo) * Math.sin(y)) -
+               0.5 * (Math.cos(2 * xo) * Math.cos(2 * y) +
+                      Math.cos(2 * y) * Math.cos(2 * z) +
+                      Math.cos(2 * z) * Math.cos(2 * xo)) + 0.15;
+    },
+
+    iwp: (x, y, z, offset) => {
+        const xo = x + offset;
+        const cx = Math.cos(xo), cy = Math.cos(y), cz = Math.cos(z);
+        return 2 * (cx * cy + cy * cz + cz * cx) -
+               (Math.cos(2 * xo) + Math.cos(2 * y) + Math.cos(2 * z));
+    },
+
+    fischerKochS: (x, y, z, offset) => {
+        const xo = x + offset;
+        return Math.cos(2 * xo) * Math.sin(y) * Math.cos(z) +
+               Math.cos(xo) * Math.cos(2 * y) * Math.sin(z) +
+               Math.sin(xo) * Math.cos(y) * Math.cos(2 * z);
+    },
+
+    // User-typed expression, t is the same animation phase the other surfaces use
+    custom: (x, y, z, offset) => customSurface.evaluate(x, y, z, offset, config.customParams)
+};
+
+// Functions allowed in custom expressions, with their JS and dual-number GLSL forms
+const EXPRESSION_FUNCTIONS = {
+    sin: { arity: 1, evaluate: Math.sin, glsl: 'dSin' },
+    cos: { arity: 1, evaluate: Math.cos, glsl: 'dCos' },
+    tan: { arity: 1, evaluate: Math.tan, glsl: 'dTan' },
+    abs: { arity: 1, evaluate: Math.abs, glsl: 'dAbs' },
+    sqrt: { arity: 1, evaluate: Math.sqrt, glsl: 'dSqrt' },
+    exp: { arity: 1, evaluate: Math.exp, glsl: 'dExp' },
+    min: { arity: 2, evaluate: Math.min, glsl: 'dMin' },
+    max: { arity: 2, evaluate: Math.max, glsl: 'dMax' }
 };
 
+// Named constants and the coordinate/time variables of custom expressions
+const EXPRESSION_CONSTANTS = { pi: Math.PI, e: Math.E };
+const EXPRESSION_VARIABLES = ['x', 'y', 'z', 't'];
+
+// The GPU shader has a fixed number of parameter slots
+const MAX_CUSTOM_PARAMS = 8;
+
 // Initialize the visualization
 function init() {
     // Setup renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setPixelRatio(window.devicePixelRatio);
     renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.localClippingEnabled = true;
     
     const container = document.getElementById('canvas-container');
     if (container) {
@@ -73,6 +204,9 @@ function init() {
     secondLight.position.set(-1, 0.5, -1);
     scene.add(secondLight);
     
+    // Create the slicing plane and its gizmo
+    createSlicePlane();
+    
     // Create gyroid
     createGyroid();
     
@@ -133,10 +267,39 @@ function updateSceneBackground() {
     console.log("Updated Three.js scene background to", isDarkMode ? "dark" : "light", "mode");
 }
 
+// Color schemes that encode geometry through per-vertex colors
+const CURVATURE_SCHEMES = {
+    meanCurvature: { label: 'Mean Curvature', unit: '1/u', diverging: true },
+    gaussianCurvature: { label: 'Gaussian Curvature', unit: '1/u²', diverging: true },
+    gradientMagnitude: { label: 'Field Gradient |∇f|', unit: '1/u', diverging: false }
+};
+
+// Color map stops: cool-warm for signed values, a viridis-like ramp for magnitudes
+const DIVERGING_COLORS = [[0.23, 0.30, 0.75], [0.87, 0.87, 0.87], [0.71, 0.02, 0.15]];
+const SEQUENTIAL_COLORS = [[0.27, 0.00, 0.33], [0.23, 0.32, 0.55], [0.13, 0.57, 0.55], [0.37, 0.79, 0.38], [0.99, 0.91, 0.14]];
+
+// Linearly interpolate a color map at t in [0, 1]
+function sampleColorMap(stops, t) {
+    const scaled = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(scaled), stops.length - 2);
+    const f = scaled - i;
+    return [0, 1, 2].map(c => stops[i][c] + (stops[i + 1][c] - stops[i][c]) * f);
+}
+
 // Create material based on color scheme selection
 function createMaterial() {
     let newMaterial;
     
+    // Curvature schemes are colored per vertex after each field update
+    if (CURVATURE_SCHEMES[config.colorScheme]) {
+        return new THREE.MeshPhongMaterial({
+            vertexColors: true,
+            specular: 0x111111,
+            shininess: 30,
+            side: THREE.DoubleSide
+        });
+    }
+    
     switch(config.colorScheme) {
         case 'gradient':
             // Create a gradient texture
@@ -223,8 +386,339 @@ function createMaterial() {
     return newMaterial;
 }
 
+// GLSL for the ray-marched renderer. Fields are evaluated with dual numbers
+// (vec4 of value and gradient) so normals come out analytically.
+const RAYMARCH_VERTEX_SHADER = `
+    varying vec3 vLocalPosition;
+    
+    void main() {
+        vLocalPosition = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const RAYMARCH_FRAGMENT_SHADER = `
+    #define MAX_STEPS 256
+    #define REFINE_STEPS 8
+    #define PI 3.14159265359
+    #define MAX_CUSTOM_PARAMS 8
+    
+    // Replaced with the compiled custom expression
+    #define CUSTOM_SURFACE_EXPRESSION dConst(0.0)
+    
+    uniform mat4 modelMatrix;
+    uniform mat4 projectionMatrix;
+    uniform mat3 uNormalMatrixWorld;
+    uniform vec3 uCameraLocal;
+    uniform float uIsoLevel;
+    uniform float uOffset;
+    uniform float uPeriod;
+    uniform int uFromType;
+    uniform int uToType;
+    uniform float uBlend;
+    uniform int uGradingMode;
+    uniform int uGradingAxis;
+    uniform float uGradingAmount;
+    uniform int uBoundShape;
+    uniform bool uClipEnabled;
+    uniform vec4 uClipPlane;
+    uniform float uCustomParams[MAX_CUSTOM_PARAMS];
+    
+    varying vec3 vLocalPosition;
+    
+    // Dual number helpers: x is the value, yzw the gradient
+    vec4 dConst(float c) { return vec4(c, 0.0, 0.0, 0.0); }
+    vec4 dMul(vec4 a, vec4 b) { return vec4(a.x * b.x, a.x * b.yzw + b.x * a.yzw); }
+    vec4 dSin(vec4 a) { return vec4(sin(a.x), cos(a.x) * a.yzw); }
+    vec4 dCos(vec4 a) { return vec4(cos(a.x), -sin(a.x) * a.yzw); }
+    vec4 dSqrt(vec4 a) { float r = sqrt(max(a.x, 1e-8)); return vec4(r, a.yzw / (2.0 * r)); }
+    vec4 dAbs(vec4 a) { return a.x < 0.0 ? -a : a; }
+    vec4 dMin(vec4 a, vec4 b) { return a.x < b.x ? a : b; }
+    vec4 dMax(vec4 a, vec4 b) { return a.x > b.x ? a : b; }
+    vec4 dDiv(vec4 a, vec4 b) { return vec4(a.x / b.x, (a.yzw * b.x - a.x * b.yzw) / (b.x * b.x)); }
+    vec4 dTan(vec4 a) { float c = cos(a.x); return vec4(tan(a.x), a.yzw / (c * c)); }
+    vec4 dExp(vec4 a) { float e = exp(a.x); return vec4(e, e * a.yzw); }
+    vec4 dPow(vec4 a, vec4 b) {
+        float v = pow(a.x, b.x);
+        return vec4(v, b.x * pow(a.x, b.x - 1.0) * a.yzw + v * log(a.x) * b.yzw);
+    }
+    
+    // Custom expression in terms of the raw coordinates and animation phase
+    vec4 customSurface(vec4 x, vec4 y, vec4 z) {
+        vec4 t = dConst(uOffset);
+        return CUSTOM_SURFACE_EXPRESSION;
+    }
+    
+    // Same surface family and order as SURFACE_FUNCTIONS
+    vec4 surface(int type, vec4 x, vec4 y, vec4 z) {
+        vec4 xo = x + dConst(uOffset);
+        
+        if (type == 0) {
+            vec4 zo = z + dConst(uOffset);
+            return dMul(dSin(xo), dCos(y)) + dMul(dSin(y), dCos(zo)) + dMul(dSin(z), dCos(xo));
+        }
+        if (type == 1) {
+            return dCos(xo) + dCos(y) + dCos(z);
+        }
+        if (type == 2) {
+            vec4 sx = dSin(xo), cx = dCos(xo), sy = dSin(y), cy = dCos(y), sz = dSin(z), cz = dCos(z);
+            return dMul(dMul(sx, sy), sz) + dMul(dMul(sx, cy), cz) + dMul(dMul(cx, sy), cz) + dMul(dMul(cx, cy), sz);
+        }
+        if (type == 3) {
+            vec4 cx = dCos(xo), cy = dCos(y), cz = dCos(z);
+            return 3.0 * (cx + cy + cz) + 4.0 * dMul(dMul(cx, cy), cz);
+        }
+        if (type == 4) {
+            return 0.5 * (dMul(dMul(dSin(2.0 * xo), dCos(y)), dSin(z)) +
+                          dMul(dMul(dSin(2.0 * y), dCos(z)), dSin(xo)) +
+                          dMul(dMul(dSin(2.0 * z), dCos(xo)), dSin(y))) -
+                   0.5 * (dMul(dCos(2.0 * xo), dCos(2.0 * y)) +
+                          dMul(dCos(2.0 * y), dCos(2.0 * z)) +
+                          dMul(dCos(2.0 * z), dCos(2.0 * xo))) + dConst(0.15);
+        }
+        if (type == 5) {
+            vec4 cx = dCos(xo), cy = dCos(y), cz = dCos(z);
+            return 2.0 * (dMul(cx, cy) + dMul(cy, cz) + dMul(cz, cx)) -
+                   (dCos(2.0 * xo) + dCos(2.0 * y) + dCos(2.0 * z));
+        }
+        if (type == 7) {
+            return customSurface(x, y, z);
+        }
+        return dMul(dMul(dCos(2.0 * xo), dSin(y)), dCos(z)) +
+               dMul(dMul(dCos(xo), dCos(2.0 * y)), dSin(z)) +
+               dMul(dMul(dSin(xo), dCos(y)), dCos(2.0 * z));
+    }
+    
+    // Iso-level shift in [-1, 1], matching sampleGrading (painted maps are CPU only)
+    vec4 grading(vec4 px, vec4 py, vec4 pz) {
+        if (uGradingMode == 1) {
+            return uGradingAxis == 0 ? px : uGradingAxis == 2 ? pz : py;
+        }
+        if (uGradingMode == 2) {
+            return dSqrt(dMul(px, px) + dMul(py, py) + dMul(pz, pz)) * (2.0 / sqrt(3.0)) - dConst(1.0);
+        }
+        return dConst(0.0);
+    }
+    
+    // Signed distance to the bounding primitive, matching sampleBoundDistance
+    vec4 boundDistance(vec4 px, vec4 py, vec4 pz) {
+        if (uBoundShape == 1) {
+            return dSqrt(dMul(px, px) + dMul(py, py) + dMul(pz, pz)) - dConst(0.9);
+        }
+        if (uBoundShape == 2) {
+            vec4 radial = dSqrt(dMul(px, px) + dMul(pz, pz)) - dConst(0.9);
+            vec4 height = dAbs(py) - dConst(0.9);
+            vec4 outside = dMax(radial, dConst(0.0));
+            vec4 above = dMax(height, dConst(0.0));
+            return dMin(dMax(radial, height), dConst(0.0)) + dSqrt(dMul(outside, outside) + dMul(above, above));
+        }
+        if (uBoundShape == 3) {
+            vec4 qx = dAbs(px) - dConst(0.8);
+            vec4 qy = dAbs(py) - dConst(0.8);
+            vec4 qz = dAbs(pz) - dConst(0.8);
+            vec4 ox = dMax(qx, dConst(0.0)), oy = dMax(qy, dConst(0.0)), oz = dMax(qz, dConst(0.0));
+            return dMin(dMax(qx, dMax(qy, qz)), dConst(0.0)) + dSqrt(dMul(ox, ox) + dMul(oy, oy) + dMul(oz, oz));
+        }
+        return dConst(1e9);
+    }
+    
+    // Field relative to the iso-level (surface at zero) with its local-space gradient
+    vec4 field(vec3 p) {
+        vec4 px = vec4(p.x, 1.0, 0.0, 0.0);
+        vec4 py = vec4(p.y, 0.0, 1.0, 0.0);
+        vec4 pz = vec4(p.z, 0.0, 0.0, 1.0);
+        
+        // Map [-1, 1] to [-pi, pi] times the period
+        float k = PI * uPeriod;
+        vec4 x = px * k, y = py * k, z = pz * k;
+        
+        vec4 value = surface(uToType, x, y, z);
+        if (uBlend < 1.0) {
+            value = surface(uFromType, x, y, z) * (1.0 - uBlend) + value * uBlend;
+        }
+        
+        value -= grading(px, py, pz) * uGradingAmount + dConst(uIsoLevel);
+        
+        if (uBoundShape > 0) {
+            value = dMin(value, -boundDistance(px, py, pz) * k);
+        }
+        
+        return value;
+    }
+    
+    // Ambient occlusion using |f| / |grad f| as a distance estimate
+    float ambientOcclusion(vec3 p, vec3 n) {
+        float occlusion = 0.0;
+        float weight = 1.0;
+        
+        for (int i = 1; i <= 5; i++) {
+            float h = 0.03 * float(i);
+            vec4 f = field(p + n * h);
+            float d = abs(f.x) / max(length(f.yzw), 1e-4);
+            occlusion += (h - min(d, h)) * weight;
+            weight *= 0.6;
+        }
+        
+        return clamp(1.0 - 6.0 * occlusion, 0.0, 1.0);
+    }
+    
+    // Points on the negative side of the slicing plane are cut away
+    bool isClipped(vec3 p) {
+        return uClipEnabled && dot(uClipPlane.xyz, p) + uClipPlane.w < 0.0;
+    }
+    
+    void main() {
+        vec3 rayOrigin = uCameraLocal;
+        vec3 rayDirection = normalize(vLocalPosition - uCameraLocal);
+        
+        // Clip the ray against the [-1, 1] volume
+        vec3 inverseDirection = 1.0 / rayDirection;
+        vec3 t0 = (vec3(-1.0) - rayOrigin) * inverseDirection;
+        vec3 t1 = (vec3(1.0) - rayOrigin) * inverseDirection;
+        vec3 tMin = min(t0, t1);
+        vec3 tMax = max(t0, t1);
+        float tNear = max(max(max(tMin.x, tMin.y), tMin.z), 0.0);
+        float tFar = min(min(tMax.x, tMax.y), tMax.z);
+        if (tNear >= tFar) discard;
+        
+        // March until the field changes sign
+        float stepSize = (tFar - tNear) / float(MAX_STEPS);
+        float t = tNear;
+        float previous = field(rayOrigin + rayDirection * t).x;
+        bool hit = false;
+        
+        for (int i = 0; i < MAX_STEPS; i++) {
+            float next = field(rayOrigin + rayDirection * (t + stepSize)).x;
+            if (sign(next) != sign(previous) && !isClipped(rayOrigin + rayDirection * (t + stepSize))) {
+                hit = true;
+                break;
+            }
+            previous = next;
+            t += stepSize;
+        }
+        if (!hit) discard;
+        
+        // Bisection to refine the crossing
+        float a = t;
+        float b = t + stepSize;
+        for (int i = 0; i < REFINE_STEPS; i++) {
+            float mid = (a + b) * 0.5;
+            if (sign(field(rayOrigin + rayDirection * mid).x) == sign(previous)) {
+                a = mid;
+            } else {
+                b = mid;
+            }
+        }
+        vec3 p = rayOrigin + rayDirection * ((a + b) * 0.5);
+        
+        // Analytic normal, flipped to face the viewer
+        vec3 localNormal = normalize(field(p).yzw);
+        if (dot(localNormal, rayDirection) > 0.0) localNormal = -localNormal;
+        vec3 worldNormal = normalize(uNormalMatrixWorld * localNormal);
+        
+        // Same lights as the scene: ambient plus two directionals
+        float diffuse = 0.6 +
+            0.8 * max(dot(worldNormal, normalize(vec3(1.0, 1.0, 1.0))), 0.0) +
+            0.5 * max(dot(worldNormal, normalize(vec3(-1.0, 0.5, -1.0))), 0.0);
+        
+        // Orange to purple gradient along the height of the volume
+        vec3 baseColor = mix(vec3(1.0, 0.584, 0.0), vec3(0.686, 0.322, 0.871), p.y * 0.5 + 0.5);
+        float ao = ambientOcclusion(p, localNormal);
+        
+        gl_FragColor = vec4(baseColor * diffuse * 0.7 * ao, 1.0);
+        
+        // Write real depth so the grid and helpers intersect correctly
+        vec4 clipPosition = projectionMatrix * viewMatrix * modelMatrix * vec4(p, 1.0);
+        gl_FragDepth = (clipPosition.z / clipPosition.w) * 0.5 + 0.5;
+    }
+`;
+
+// Create the box that the ray-marched surface is rendered inside
+function createRaymarchMesh() {
+    const raymarchMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+            uNormalMatrixWorld: { value: new THREE.Matrix3() },
+            uCameraLocal: { value: new THREE.Vector3() },
+            uIsoLevel: { value: config.isoLevel },
+            uOffset: { value: 0 },
+            uPeriod: { value: 1.0 },
+            uFromType: { value: 0 },
+            uToType: { value: 0 },
+            uBlend: { value: 1 },
+            uGradingMode: { value: 0 },
+            uGradingAxis: { value: 1 },
+            uGradingAmount: { value: 0 },
+            uBoundShape: { value: 0 },
+            uClipEnabled: { value: false },
+            uClipPlane: { value: new THREE.Vector4() },
+            uCustomParams: { value: new Array(MAX_CUSTOM_PARAMS).fill(0) }
+        },
+        vertexShader: RAYMARCH_VERTEX_SHADER,
+        fragmentShader: RAYMARCH_FRAGMENT_SHADER.replace(
+            '#define CUSTOM_SURFACE_EXPRESSION dConst(0.0)',
+            `#define CUSTOM_SURFACE_EXPRESSION ${customSurface.glsl}`
+        ),
+        extensions: { fragDepth: true },
+        // Render back faces so the surface stays visible with the camera inside the box
+        side: THREE.BackSide
+    });
+    
+    return new THREE.Mesh(new THREE.BoxGeometry(2, 2, 2), raymarchMaterial);
+}
+
+// Sync the ray-march uniforms and transform with the current state
+function updateRaymarchUniforms() {
+    if (!raymarchMesh || !gyroid) return;
+    
+    // Follow the (hidden) marching cubes object so rotation and scale match
+    raymarchMesh.position.copy(gyroid.position);
+    raymarchMesh.rotation.copy(gyroid.rotation);
+    raymarchMesh.scale.copy(gyroid.scale);
+    raymarchMesh.updateMatrixWorld();
+    
+    const uniforms = raymarchMesh.material.uniforms;
+    const surfaceTypes = Object.keys(SURFACE_FUNCTIONS);
+    const time = clock.getElapsedTime() * config.rotationSpeed;
+    
+    uniforms.uNormalMatrixWorld.value.getNormalMatrix(raymarchMesh.matrixWorld);
+    uniforms.uCameraLocal.value.copy(camera.position).applyMatrix4(raymarchMesh.matrixWorld.clone().invert());
+    uniforms.uIsoLevel.value = config.isoLevel;
+    uniforms.uOffset.value = time * 0.1;
+    uniforms.uPeriod.value = config.cellCount;
+    uniforms.uBlend.value = getMorphFactor();
+    uniforms.uFromType.value = surfaceTypes.indexOf(morph.from);
+    uniforms.uToType.value = surfaceTypes.indexOf(morph.to);
+    uniforms.uGradingMode.value = ['uniform', 'linear', 'radial'].indexOf(config.gradingMode);
+    uniforms.uGradingAxis.value = ['x', 'y', 'z'].indexOf(config.gradingAxis);
+    uniforms.uGradingAmount.value = config.gradingAmount;
+    uniforms.uBoundShape.value = Math.max(0, ['none', 'sphere', 'cylinder', 'box'].indexOf(config.boundShape));
+    
+    // Slicing plane in the box's local space
+    const localPlane = clipPlane.clone().applyMatrix4(raymarchMesh.matrixWorld.clone().invert());
+    uniforms.uClipEnabled.value = config.sliceEnabled;
+    uniforms.uClipPlane.value.set(localPlane.normal.x, localPlane.normal.y, localPlane.normal.z, localPlane.constant);
+    
+    // Custom expression parameters by slot
+    customSurface.params.forEach(function(name, i) {
+        uniforms.uCustomParams.value[i] = config.customParams[name];
+    });
+}
+
 // Create or update the gyroid using MarchingCubes
 function createGyroid() {
+    if (tileMesh) {
+        scene.remove(tileMesh);
+        tileMesh.dispose();
+        tileMesh = null;
+    }
+    
+    if (raymarchMesh) {
+        scene.remove(raymarchMesh);
+        raymarchMesh.geometry.dispose();
+        raymarchMesh.material.dispose();
+        raymarchMesh = null;
+    }
+    
     if (gyroid) {
         scene.remove(gyroid);
         if (gyroid.material.map) {
@@ -235,196 +729,1961 @@ function createGyroid() {
     
     // Create new material with current settings
     material = createMaterial();
+    material.clippingPlanes = config.sliceEnabled ? [clipPlane] : [];
     
     // Create a new marching cubes object
-    const marchingCubes = new MarchingCubes(config.resolution, material, true, false, 100000);
+    const marchingCubes = new MarchingCubes(config.resolution, material, true, !!CURVATURE_SCHEMES[config.colorScheme], 100000);
     marchingCubes.isolation = config.isoLevel;
     
     // Position the gyroid in the center of the scene
     marchingCubes.position.set(0, 0, 0);
-    marchingCubes.scale.set(config.scaleX, config.scaleY, config.scaleZ);
-    
-    // Calculate the gyroid field
-    updateGyroidField(marchingCubes);
     
     // Add to scene
     gyroid = marchingCubes;
     scene.add(gyroid);
-}
-
-// Update the gyroid field
-function updateGyroidField(object) {
-    if (!object) return;
-    
-    // Reset the field
-    object.reset();
-    
-    // Get current time for animation
-    const time = clock.getElapsedTime() * config.rotationSpeed;
+    updateLatticeScale();
     
     // Calculate the gyroid field
-    const size = object.size;
-    const period = 1.0;
+    updateGyroidField(gyroid);
     
-    for (let x = 0; x < size; x++) {
-        for (let y = 0; y < size; y++) {
-            for (let z = 0; z < size; z++) {
-                // Map coordinates to [-pi, pi] range
-                const xp = (x / size * 2 - 1) * Math.PI * period;
-                const yp = (y / size * 2 - 1) * Math.PI * period;
-                const zp = (z / size * 2 - 1) * Math.PI * period;
-                
-                // Animation offset
-                const offset = time * 0.1;
-                
-                // Standard gyroid equation
-                const gyroidValue = Math.sin(xp + offset) * Math.cos(yp) + 
-                                  Math.sin(yp) * Math.cos(zp + offset) + 
-                                  Math.sin(zp) * Math.cos(xp + offset);
-                
-                // Set the value in the field
-                object.setCell(x, y, z, gyroidValue);
-            }
-        }
+    // The GPU path draws the field directly, the marched mesh is kept for export.
+    // The shader has no imported mesh to clip against, so those bounds stay on the CPU.
+    if (config.colorScheme === 'raymarch' && config.boundShape !== 'mesh') {
+        gyroid.visible = false;
+        raymarchMesh = createRaymarchMesh();
+        scene.add(raymarchMesh);
+    } else if (config.tilingMode === 'instanced') {
+        // Draw the single marched unit cell once per lattice cell
+        gyroid.visible = false;
+        tileMesh = createTileMesh();
+        scene.add(tileMesh);
     }
     
-    // Update the surface
-    object.update();
+    updateBoundShapeStatus();
 }
 
-// Animation loop
-function animate() {
-    requestAnimationFrame(animate);
-    
-    // Update controls
-    controls.update();
+// Describe the imported bounding mesh, and when ray marching falls back to
+// marching cubes for it
+function updateBoundShapeStatus() {
+    const status = document.getElementById('boundShapeStatus');
+    if (!status) return;
     
-    // Rotate the gyroid
-    if (gyroid && config.rotationSpeed > 0) {
-        gyroid.rotation.y += 0.002 * config.rotationSpeed;
+    const notes = [];
+    if (boundMeshTriangles) {
+        notes.push(`Bounding mesh: ${boundMeshTriangles.length} triangles`);
     }
+    if (config.colorScheme === 'raymarch' && config.boundShape === 'mesh') {
+        notes.push('Ray marching cannot clip to a mesh, using marching cubes');
+    }
+    status.textContent = notes.join('. ');
+}
+
+// Apply the scale sliders and unit-cell size to the lattice
+function updateLatticeScale() {
+    if (!gyroid) return;
     
-    // Update gyroid field for animation effects
-    updateGyroidField(gyroid);
-    
-    // Render the scene
-    renderer.render(scene, camera);
+    // MarchingCubes spans [-1, 1], so half the lattice width per unit of scale
+    const halfExtent = config.cellSize * config.cellCount / 2;
+    gyroid.scale.set(config.scaleX * halfExtent, config.scaleY * halfExtent, config.scaleZ * halfExtent);
 }
 
-// Handle window resize
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// How grid cells and MarchingCubes local positions map to field coordinates.
+// In instanced mode one period spans exactly the polygonized cells 1..size-2
+// (MarchingCubes skips the outer layer) so neighbouring tiles meet seamlessly.
+function getFieldMapping(size) {
+    if (config.tilingMode === 'instanced') {
+        const span = (size - 3) * 2 / size;
+        const center = -1 / size;
+        return {
+            period: 1,
+            span,
+            center,
+            cellToField: i => (i - 1) / (size - 3) * 2 - 1,
+            localToField: p => (p - center) / (span / 2)
+        };
+    }
+    
+    return {
+        period: config.cellCount,
+        span: 2,
+        center: 0,
+        cellToField: i => i / size * 2 - 1,
+        localToField: p => p
+    };
 }
 
-// Setup UI event listeners
-function setupEventListeners() {
-    // Resolution slider
-    const resolutionSlider = document.getElementById('resolution');
-    const resolutionValue = document.getElementById('resolutionValue');
+// Instanced tiles all share one marched cell, so a lattice-wide grading ramp or
+// bound would be repeated in every tile. Fall back to sampling while either is set.
+// Returns true when the tiling mode had to change.
+function updateTilingAvailability() {
+    const tileable = config.gradingMode === 'uniform' && config.boundShape === 'none';
+    const tilingModeSelect = document.getElementById('tilingMode');
     
-    if (resolutionSlider && resolutionValue) {
-        resolutionSlider.value = config.resolution;
-        resolutionValue.textContent = config.resolution;
-        
-        resolutionSlider.addEventListener('input', function() {
-            config.resolution = parseInt(this.value);
-            resolutionValue.textContent = config.resolution;
-            createGyroid();
-        });
-    }
+    const instancedOption = tilingModeSelect && tilingModeSelect.querySelector('option[value="instanced"]');
+    if (instancedOption) instancedOption.disabled = !tileable;
     
-    // Iso Level slider
-    const isoLevelSlider = document.getElementById('isoLevel');
-    const isoLevelValue = document.getElementById('isoLevelValue');
+    if (tileable || config.tilingMode !== 'instanced') return false;
     
-    if (isoLevelSlider && isoLevelValue) {
-        isoLevelSlider.value = config.isoLevel;
-        isoLevelValue.textContent = config.isoLevel.toFixed(2);
-        
-        isoLevelSlider.addEventListener('input', function() {
-            config.isoLevel = parseFloat(this.value);
-            isoLevelValue.textContent = config.isoLevel.toFixed(2);
-            
-            if (gyroid) {
-                gyroid.isolation = config.isoLevel;
-                gyroid.update();
+    config.tilingMode = 'sampled';
+    if (tilingModeSelect) tilingModeSelect.value = 'sampled';
+    return true;
+}
+
+// Instance transforms placing the unit cell tile into each lattice cell
+function getTileMatrices() {
+    const count = config.cellCount;
+    const mapping = getFieldMapping(gyroid.size);
+    const tileScale = 2 / count / mapping.span;
+    const matrices = [];
+    
+    for (let i = 0; i < count; i++) {
+        for (let j = 0; j < count; j++) {
+            for (let k = 0; k < count; k++) {
+                // Centre of lattice cell (i, j, k) in [-1, 1] lattice space
+                const cellCenter = [i, j, k].map(c => -1 + (2 * c + 1) / count - tileScale * mapping.center);
+                matrices.push(new THREE.Matrix4()
+                    .makeScale(tileScale, tileScale, tileScale)
+                    .setPosition(cellCenter[0], cellCenter[1], cellCenter[2]));
             }
-        });
+        }
     }
     
-    // Scale X slider
-    const scaleXSlider = document.getElementById('scaleX');
-    const scaleXValue = document.getElementById('scaleXValue');
+    return matrices;
+}
+
+// Create the instanced mesh that repeats the marched unit cell
+function createTileMesh() {
+    const matrices = getTileMatrices();
+    const mesh = new THREE.InstancedMesh(gyroid.geometry, material, matrices.length);
+    matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+    mesh.instanceMatrix.needsUpdate = true;
     
-    if (scaleXSlider && scaleXValue) {
-        scaleXSlider.value = config.scaleX;
-        scaleXValue.textContent = config.scaleX.toFixed(1);
-        
-        scaleXSlider.addEventListener('input', function() {
-            config.scaleX = parseFloat(this.value);
-            scaleXValue.textContent = config.scaleX.toFixed(1);
-            
-            if (gyroid) {
-                gyroid.scale.x = config.scaleX;
-            }
-        });
-    }
+    // The shared geometry only bounds a single tile
+    mesh.frustumCulled = false;
     
-    // Scale Y slider
-    const scaleYSlider = document.getElementById('scaleY');
-    const scaleYValue = document.getElementById('scaleYValue');
+    return mesh;
+}
+
+// Split an expression into number, identifier and operator tokens
+function tokenizeExpression(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(.))/gy;
+    let match;
     
-    if (scaleYSlider && scaleYValue) {
-        scaleYSlider.value = config.scaleY;
-        scaleYValue.textContent = config.scaleY.toFixed(1);
-        
-        scaleYSlider.addEventListener('input', function() {
-            config.scaleY = parseFloat(this.value);
-            scaleYValue.textContent = config.scaleY.toFixed(1);
-            
-            if (gyroid) {
-                gyroid.scale.y = config.scaleY;
+    while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2] });
+        } else if (match[3] !== undefined) {
+            if (!'+-*/^(),'.includes(match[3])) {
+                throw new Error(`Unexpected character "${match[3]}"`);
             }
-        });
+            tokens.push({ type: 'operator', value: match[3] });
+        }
     }
     
-    // Scale Z slider
-    const scaleZSlider = document.getElementById('scaleZ');
-    const scaleZValue = document.getElementById('scaleZValue');
+    return tokens;
+}
+
+// Recursive descent parser producing a small AST:
+//   expression := term (('+' | '-') term)*
+//   term       := unary (('*' | '/') unary)*
+//   unary      := '-' unary | power
+//   power      := primary ('^' unary)?
+//   primary    := number | name | name '(' args ')' | '(' expression ')'
+function parseExpression(source) {
+    const tokens = tokenizeExpression(source);
+    let position = 0;
     
-    if (scaleZSlider && scaleZValue) {
-        scaleZSlider.value = config.scaleZ;
-        scaleZValue.textContent = config.scaleZ.toFixed(1);
-        
-        scaleZSlider.addEventListener('input', function() {
-            config.scaleZ = parseFloat(this.value);
-            scaleZValue.textContent = config.scaleZ.toFixed(1);
-            
-            if (gyroid) {
-                gyroid.scale.z = config.scaleZ;
-            }
-        });
-    }
+    const peek = () => tokens[position];
+    const isOperator = value => peek() && peek().type === 'operator' && peek().value === value;
+    const expect = function(value) {
+        if (!isOperator(value)) {
+            throw new Error(`Expected "${value}"`);
+        }
+        position++;
+    };
     
-    // Color scheme selector
-    const colorSchemeSelect = document.getElementById('colorScheme');
+    const parseSum = function() {
+        let node = parseProduct();
+        while (isOperator('+') || isOperator('-')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseProduct() };
+        }
+        return node;
+    };
     
-    if (colorSchemeSelect) {
-        colorSchemeSelect.value = config.colorScheme;
-        
-        colorSchemeSelect.addEventListener('change', function() {
-            config.colorScheme = this.value;
-            createGyroid();
-        });
-    }
+    const parseProduct = function() {
+        let node = parseUnary();
+        while (isOperator('*') || isOperator('/')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+        }
+        return node;
+    };
     
-    // Rotation speed slider
-    const rotationSpeedSlider = document.getElementById('rotationSpeed');
-    const rotationSpeedValue = document.getElementById('rotationSpeedValue');
+    const parseUnary = function() {
+        if (isOperator('-')) {
+            position++;
+            return { type: 'negate', arg: parseUnary() };
+        }
+        if (isOperator('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
     
-    if (rotationSpeedSlider && rotationSpeedValue) {
+    const parsePower = function() {
+        const base = parsePrimary();
+        if (isOperator('^')) {
+            position++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+    
+    const parsePrimary = function() {
+        const token = peek();
+        if (!token) {
+            throw new Error('Unexpected end of expression');
+        }
+        
+        if (token.type === 'number') {
+            position++;
+            return { type: 'number', value: token.value };
+        }
+        
+        if (token.type === 'name') {
+            position++;
+            const name = token.value;
+            
+            // Function call
+            if (isOperator('(')) {
+                // Own properties only, so names like "constructor" aren't found on the prototype
+                const fn = Object.hasOwn(EXPRESSION_FUNCTIONS, name) ? EXPRESSION_FUNCTIONS[name] : null;
+                if (!fn) {
+                    throw new Error(`Unknown function "${name}"`);
+                }
+                
+                position++;
+                const args = [parseSum()];
+                while (isOperator(',')) {
+                    position++;
+                    args.push(parseSum());
+                }
+                expect(')');
+                
+                if (args.length !== fn.arity) {
+                    throw new Error(`${name}() takes ${fn.arity} argument${fn.arity > 1 ? 's' : ''}`);
+                }
+                return { type: 'call', name, args };
+            }
+            
+            if (Object.hasOwn(EXPRESSION_FUNCTIONS, name)) {
+                throw new Error(`Function "${name}" needs arguments`);
+            }
+            if (Object.hasOwn(EXPRESSION_CONSTANTS, name)) {
+                return { type: 'number', value: EXPRESSION_CONSTANTS[name] };
+            }
+            if (EXPRESSION_VARIABLES.includes(name)) {
+                return { type: 'variable', name };
+            }
+            
+            // Anything else is a named parameter with its own slider
+            return { type: 'parameter', name };
+        }
+        
+        if (isOperator('(')) {
+            position++;
+            const node = parseSum();
+            expect(')');
+            return node;
+        }
+        
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+    
+    const ast = parseSum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value}"`);
+    }
+    
+    return ast;
+}
+
+// Turn the AST into nested closures taking (vars, params)
+function compileExpressionNode(node) {
+    switch(node.type) {
+        case 'number': {
+            const value = node.value;
+            return () => value;
+        }
+            
+        case 'variable': {
+            const name = node.name;
+            return vars => vars[name];
+        }
+            
+        case 'parameter': {
+            const name = node.name;
+            return (vars, params) => params[name];
+        }
+            
+        case 'negate': {
+            const arg = compileExpressionNode(node.arg);
+            return (vars, params) => -arg(vars, params);
+        }
+            
+        case 'call': {
+            const fn = EXPRESSION_FUNCTIONS[node.name].evaluate;
+            const args = node.args.map(compileExpressionNode);
+            if (args.length === 1) {
+                const [a] = args;
+                return (vars, params) => fn(a(vars, params));
+            }
+            const [a, b] = args;
+            return (vars, params) => fn(a(vars, params), b(vars, params));
+        }
+            
+        case 'binary': {
+            const left = compileExpressionNode(node.left);
+            const right = compileExpressionNode(node.right);
+            switch(node.op) {
+                case '+': return (vars, params) => left(vars, params) + right(vars, params);
+                case '-': return (vars, params) => left(vars, params) - right(vars, params);
+                case '*': return (vars, params) => left(vars, params) * right(vars, params);
+                case '/': return (vars, params) => left(vars, params) / right(vars, params);
+                default: return (vars, params) => Math.pow(left(vars, params), right(vars, params));
+            }
+        }
+    }
+}
+
+// Emit dual-number GLSL for the AST (see the helpers in the ray-march shader)
+function expressionNodeToGLSL(node, params) {
+    switch(node.type) {
+        case 'number':
+            return `dConst(${node.value.toFixed(8)})`;
+            
+        case 'variable':
+            return node.name;
+            
+        case 'parameter':
+            return `dConst(uCustomParams[${params.indexOf(node.name)}])`;
+            
+        case 'negate':
+            return `(-${expressionNodeToGLSL(node.arg, params)})`;
+            
+        case 'call':
+            return `${EXPRESSION_FUNCTIONS[node.name].glsl}(${node.args.map(arg => expressionNodeToGLSL(arg, params)).join(', ')})`;
+            
+        case 'binary': {
+            const left = expressionNodeToGLSL(node.left, params);
+            const right = expressionNodeToGLSL(node.right, params);
+            switch(node.op) {
+                case '+': return `(${left} + ${right})`;
+                case '-': return `(${left} - ${right})`;
+                case '*': return `dMul(${left}, ${right})`;
+                case '/': return `dDiv(${left}, ${right})`;
+                default:
+                    // Small integer powers expand to products, which also handles negative bases
+                    if (node.right.type === 'number' && Number.isInteger(node.right.value) &&
+                        node.right.value >= 1 && node.right.value <= 4) {
+                        return new Array(node.right.value).fill(left).reduce((a, b) => `dMul(${a}, ${b})`);
+                    }
+                    return `dPow(${left}, ${right})`;
+            }
+        }
+    }
+}
+
+// Collect parameter names in order of first appearance
+function collectExpressionParams(node, params = []) {
+    if (node.type === 'parameter' && !params.includes(node.name)) {
+        params.push(node.name);
+    }
+    [node.arg, node.left, node.right, ...(node.args || [])].forEach(function(child) {
+        if (child) collectExpressionParams(child, params);
+    });
+    return params;
+}
+
+// Parse and compile a custom expression for both the CPU sampler and the shader
+function compileCustomSurface(source) {
+    const ast = parseExpression(source);
+    const params = collectExpressionParams(ast);
+    
+    if (params.length > MAX_CUSTOM_PARAMS) {
+        throw new Error(`At most ${MAX_CUSTOM_PARAMS} parameters are supported`);
+    }
+    
+    const evaluateNode = compileExpressionNode(ast);
+    const vars = { x: 0, y: 0, z: 0, t: 0 };
+    
+    return {
+        evaluate: function(x, y, z, t, values) {
+            vars.x = x;
+            vars.y = y;
+            vars.z = z;
+            vars.t = t;
+            return evaluateNode(vars, values);
+        },
+        glsl: expressionNodeToGLSL(ast, params),
+        params
+    };
+}
+
+// Compile the expression from the editor, report errors and rebuild parameter sliders
+function applyCustomExpression(source) {
+    const status = document.getElementById('customExpressionStatus');
+    
+    try {
+        customSurface = compileCustomSurface(source);
+    } catch (error) {
+        if (status) status.textContent = `Error: ${error.message}`;
+        console.error("Invalid custom expression:", error.message);
+        return;
+    }
+    
+    config.customExpression = source;
+    if (status) status.textContent = 'Compiled';
+    
+    // Keep values of parameters that survive the edit
+    customSurface.params.forEach(function(name) {
+        if (!Object.hasOwn(config.customParams, name)) config.customParams[name] = 1.0;
+    });
+    buildCustomParamSliders();
+    
+    // The shader is generated from the expression, so rebuild it
+    if (raymarchMesh) {
+        createGyroid();
+    }
+}
+
+// Create one slider per named parameter of the custom expression
+function buildCustomParamSliders() {
+    const container = document.getElementById('customParams');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    customSurface.params.forEach(function(name) {
+        const label = document.createElement('label');
+        const display = document.createElement('span');
+        display.className = 'value-display';
+        display.textContent = config.customParams[name].toFixed(2);
+        label.textContent = name + ' ';
+        label.appendChild(display);
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = -5;
+        slider.max = 5;
+        slider.step = 0.01;
+        slider.value = config.customParams[name];
+        
+        slider.addEventListener('input', function() {
+            config.customParams[name] = parseFloat(this.value);
+            display.textContent = config.customParams[name].toFixed(2);
+        });
+        
+        container.appendChild(label);
+        container.appendChild(slider);
+    });
+}
+
+// Get the blend factor between the previous and current surface type
+function getMorphFactor() {
+    if (morph.from === morph.to) return 1;
+    if (morph.manualBlend !== null) return morph.manualBlend;
+    
+    const elapsed = clock.elapsedTime - morph.startTime;
+    const t = config.morphDuration > 0 ? Math.min(elapsed / config.morphDuration, 1) : 1;
+    
+    // Morph finished, settle on the target surface
+    if (t >= 1) {
+        morph.from = morph.to;
+        
+        // Carry on to a surface picked in the meantime
+        if (morph.next) {
+            morph.to = morph.next;
+            morph.next = null;
+            morph.startTime = clock.elapsedTime;
+            return 0;
+        }
+        return 1;
+    }
+    
+    // Smoothstep easing for a gentler transition
+    return t * t * (3 - 2 * t);
+}
+
+// Hand the morph back from the timeline to the clock, finishing from the
+// blend the timeline left it at
+function releaseTimelineMorph() {
+    if (morph.manualBlend === null) return;
+    
+    // Invert the smoothstep easing to find how far into the morph that blend is
+    const blend = Math.min(Math.max(morph.manualBlend, 0), 1);
+    const t = 0.5 - Math.sin(Math.asin(1 - 2 * blend) / 3);
+    morph.startTime = clock.elapsedTime - t * config.morphDuration;
+    morph.manualBlend = null;
+}
+
+// Switch to a new surface type, morphing from the current field
+function setSurfaceType(type) {
+    if (!SURFACE_FUNCTIONS[type] || type === config.surfaceType) return;
+    config.surfaceType = type;
+    
+    // A morph still running is a blend of two surfaces, so let it finish and
+    // queue the new one rather than jump
+    const running = morph.from !== morph.to && morph.manualBlend === null &&
+        clock.elapsedTime - morph.startTime < config.morphDuration;
+    if (running) {
+        morph.next = type === morph.to ? null : type;
+        return;
+    }
+    
+    // Start from whatever is currently on screen
+    morph.from = morph.to;
+    morph.to = type;
+    morph.next = null;
+    morph.startTime = clock.elapsedTime;
+    morph.manualBlend = null;
+}
+
+// Get the local iso-level shift in [-1, 1] for normalized coordinates
+function sampleGrading(nx, ny, nz) {
+    switch(config.gradingMode) {
+        case 'linear':
+            // Ramp from one face of the volume to the other
+            return config.gradingAxis === 'x' ? nx : config.gradingAxis === 'z' ? nz : ny;
+            
+        case 'radial': {
+            // Dense at the centre, open towards the corners
+            const r = Math.sqrt(nx * nx + ny * ny + nz * nz) / Math.sqrt(3);
+            return r * 2 - 1;
+        }
+            
+        case 'painted': {
+            // Painted map is projected top-down onto the XZ plane; white is dense
+            const u = Math.min(DENSITY_MAP_SIZE - 1, Math.floor((nx + 1) / 2 * DENSITY_MAP_SIZE));
+            const v = Math.min(DENSITY_MAP_SIZE - 1, Math.floor((nz + 1) / 2 * DENSITY_MAP_SIZE));
+            return 1 - densityMapData[v * DENSITY_MAP_SIZE + u] * 2;
+        }
+            
+        default:
+            return 0;
+    }
+}
+
+// Signed distance (positive outside) from normalized coordinates to the bounding primitive
+function sampleBoundDistance(nx, ny, nz, index) {
+    switch(config.boundShape) {
+        case 'sphere':
+            return Math.sqrt(nx * nx + ny * ny + nz * nz) - 0.9;
+            
+        case 'cylinder': {
+            // Vertical cylinder capped at the top and bottom
+            const radial = Math.sqrt(nx * nx + nz * nz) - 0.9;
+            const height = Math.abs(ny) - 0.9;
+            return Math.min(Math.max(radial, height), 0) +
+                   Math.sqrt(Math.max(radial, 0) ** 2 + Math.max(height, 0) ** 2);
+        }
+            
+        case 'box': {
+            const qx = Math.abs(nx) - 0.8;
+            const qy = Math.abs(ny) - 0.8;
+            const qz = Math.abs(nz) - 0.8;
+            return Math.min(Math.max(qx, qy, qz), 0) +
+                   Math.sqrt(Math.max(qx, 0) ** 2 + Math.max(qy, 0) ** 2 + Math.max(qz, 0) ** 2);
+        }
+            
+        case 'mesh':
+            return boundMeshSDF ? boundMeshSDF.data[index] : -Infinity;
+            
+        default:
+            return -Infinity;
+    }
+}
+
+// Load an OBJ file and normalize it to fit inside the marching cubes volume.
+// Returns false if the file holds no triangles.
+function loadBoundMesh(text) {
+    const object = new OBJLoader().parse(text);
+    object.updateMatrixWorld(true);
+    
+    // Gather every triangle from every mesh in world space
+    const points = [];
+    const vertex = new THREE.Vector3();
+    object.traverse(function(child) {
+        if (!child.isMesh) return;
+        
+        const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry;
+        const positions = geometry.getAttribute('position');
+        for (let i = 0; i < positions.count; i++) {
+            vertex.fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld);
+            points.push(vertex.clone());
+        }
+    });
+    
+    if (points.length < 3) {
+        const status = document.getElementById('boundShapeStatus');
+        if (status) status.textContent = 'OBJ file contains no triangles';
+        return false;
+    }
+    
+    // Centre the mesh and scale its largest side to 1.8 (normalized units)
+    const box = new THREE.Box3().setFromPoints(points);
+    const center = box.getCenter(new THREE.Vector3());
+    const extent = box.getSize(new THREE.Vector3());
+    const scale = 1.8 / Math.max(extent.x, extent.y, extent.z);
+    points.forEach(p => p.sub(center).multiplyScalar(scale));
+    
+    boundMeshTriangles = [];
+    for (let i = 0; i + 2 < points.length; i += 3) {
+        boundMeshTriangles.push(new THREE.Triangle(points[i], points[i + 1], points[i + 2]));
+    }
+    
+    // Force the distance field to be rebuilt at the current resolution
+    boundMeshSDF = null;
+    updateBoundShapeStatus();
+    return true;
+}
+
+// Sample the imported mesh as a signed distance field on the marching cubes grid.
+// Inside/outside comes from ray parity along X, exact distances are computed for
+// cells next to the surface and then propagated outwards with a chamfer sweep.
+function computeMeshSDF(size) {
+    const size2 = size * size;
+    const cellSize = 2 / size;
+    const inside = new Uint8Array(size * size2);
+    const distance = new Float32Array(size * size2).fill(Infinity);
+    const toCoord = i => i / size * 2 - 1;
+    
+    // Inside test: count crossings of a ray cast along +X for each row
+    for (let z = 0; z < size; z++) {
+        for (let y = 0; y < size; y++) {
+            // Nudge the ray off the grid (and off diagonals) to avoid hitting edges exactly
+            const py = toCoord(y) + 1.3e-6;
+            const pz = toCoord(z) + 0.7e-6;
+            const hits = [];
+            
+            for (const tri of boundMeshTriangles) {
+                const { a, b, c } = tri;
+                
+                // Barycentric coordinates of the ray in the YZ projection
+                const det = (b.y - a.y) * (c.z - a.z) - (c.y - a.y) * (b.z - a.z);
+                if (Math.abs(det) < 1e-12) continue;
+                const u = ((py - a.y) * (c.z - a.z) - (c.y - a.y) * (pz - a.z)) / det;
+                const v = ((b.y - a.y) * (pz - a.z) - (py - a.y) * (b.z - a.z)) / det;
+                if (u < 0 || v < 0 || u + v > 1) continue;
+                
+                hits.push(a.x + u * (b.x - a.x) + v * (c.x - a.x));
+            }
+            
+            hits.sort((h1, h2) => h1 - h2);
+            let hitIndex = 0;
+            for (let x = 0; x < size; x++) {
+                const px = toCoord(x);
+                while (hitIndex < hits.length && hits[hitIndex] < px) hitIndex++;
+                inside[size2 * z + size * y + x] = hitIndex % 2;
+            }
+        }
+    }
+    
+    // Exact distance for cells whose neighbours disagree on inside/outside,
+    // and for inside cells on the volume border where the surface may lie beyond the grid
+    const point = new THREE.Vector3();
+    const closest = new THREE.Vector3();
+    for (let z = 0; z < size; z++) {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const index = size2 * z + size * y + x;
+                const state = inside[index];
+                const onBoundary =
+                    (x > 0 && inside[index - 1] !== state) || (x < size - 1 && inside[index + 1] !== state) ||
+                    (y > 0 && inside[index - size] !== state) || (y < size - 1 && inside[index + size] !== state) ||
+                    (z > 0 && inside[index - size2] !== state) || (z < size - 1 && inside[index + size2] !== state);
+                const onEdge = state && (x === 0 || y === 0 || z === 0 || x === size - 1 || y === size - 1 || z === size - 1);
+                if (!onBoundary && !onEdge) continue;
+                
+                point.set(toCoord(x), toCoord(y), toCoord(z));
+                let minDistance = Infinity;
+                for (const tri of boundMeshTriangles) {
+                    tri.closestPointToPoint(point, closest);
+                    minDistance = Math.min(minDistance, closest.distanceToSquared(point));
+                }
+                distance[index] = Math.sqrt(minDistance);
+            }
+        }
+    }
+    
+    // Spread the exact distances to the rest of the grid
+    propagateDistances(distance, size, new THREE.Vector3(cellSize, cellSize, cellSize));
+    
+    // Negative inside, positive outside
+    for (let i = 0; i < distance.length; i++) {
+        if (inside[i]) distance[i] = -distance[i];
+    }
+    
+    return { size, data: distance };
+}
+
+// Propagate distances through a grid with forward and backward chamfer
+// passes over the 26-neighbourhood. Cells start at Infinity unless seeded.
+function propagateDistances(distance, size, spacing) {
+    const size2 = size * size;
+    
+    const sweep = function(start, end, step) {
+        for (let z = start; z !== end; z += step) {
+            for (let y = start; y !== end; y += step) {
+                for (let x = start; x !== end; x += step) {
+                    const index = size2 * z + size * y + x;
+                    let best = distance[index];
+                    
+                    for (let dz = -1; dz <= 1; dz++) {
+                        for (let dy = -1; dy <= 1; dy++) {
+                            for (let dx = -1; dx <= 1; dx++) {
+                                const nx = x + dx, ny = y + dy, nz = z + dz;
+                                if (nx < 0 || ny < 0 || nz < 0 || nx >= size || ny >= size || nz >= size) continue;
+                                
+                                const stepCost = Math.sqrt((dx * spacing.x) ** 2 + (dy * spacing.y) ** 2 + (dz * spacing.z) ** 2);
+                                best = Math.min(best, distance[size2 * nz + size * ny + nx] + stepCost);
+                            }
+                        }
+                    }
+                    
+                    distance[index] = best;
+                }
+            }
+        }
+    };
+    
+    sweep(0, size, 1);
+    sweep(size - 1, -1, -1);
+}
+
+// Build a sampler for the current field state. The sampler takes normalized
+// [-1, 1] coordinates and returns the value that is fed to MarchingCubes.
+function createFieldSampler(size, period = getFieldMapping(size).period) {
+    // Get current time for animation
+    const time = clock.getElapsedTime() * config.rotationSpeed;
+    
+    // Surfaces to blend between while morphing; the factor comes first as it
+    // may move the morph on to a queued surface
+    const blend = getMorphFactor();
+    const fromField = SURFACE_FUNCTIONS[morph.from];
+    const toField = SURFACE_FUNCTIONS[morph.to];
+    
+    // Animation offset
+    const offset = time * 0.1;
+    
+    // Rebuild the mesh distance field if the grid size changed
+    if (config.boundShape === 'mesh' && boundMeshTriangles &&
+        (!boundMeshSDF || boundMeshSDF.size !== size)) {
+        boundMeshSDF = computeMeshSDF(size);
+    }
+    
+    // Bound distances are normalized, convert them into field units
+    const boundScale = Math.PI * period;
+    
+    // Nearest grid cell, used to look up the precomputed mesh distance field
+    const toCell = n => Math.min(size - 1, Math.max(0, Math.round((n + 1) / 2 * size)));
+    
+    return function(nx, ny, nz) {
+        // Map coordinates to [-pi, pi] range
+        const xp = nx * Math.PI * period;
+        const yp = ny * Math.PI * period;
+        const zp = nz * Math.PI * period;
+        
+        // Linear blend of the two implicit fields
+        let value = toField(xp, yp, zp, offset);
+        if (blend < 1) {
+            value = fromField(xp, yp, zp, offset) * (1 - blend) + value * blend;
+        }
+        
+        // Shift the field so the effective iso-level varies in space
+        value -= sampleGrading(nx, ny, nz) * config.gradingAmount;
+        
+        // Intersect the solid region with the bounding primitive
+        const boundDistance = sampleBoundDistance(nx, ny, nz, size * size * toCell(nz) + size * toCell(ny) + toCell(nx));
+        if (boundDistance !== -Infinity) {
+            value = config.isoLevel + Math.min(value - config.isoLevel, -boundDistance * boundScale);
+        }
+        
+        return value;
+    };
+}
+
+// Update the gyroid field
+function updateGyroidField(object) {
+    if (!object) return;
+    
+    // Reset the field
+    object.reset();
+    
+    // Calculate the field
+    const size = object.size;
+    const mapping = getFieldMapping(size);
+    const sampleField = createFieldSampler(size, mapping.period);
+    
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                // Set the value in the field
+                object.setCell(x, y, z, sampleField(mapping.cellToField(x), mapping.cellToField(y), mapping.cellToField(z)));
+            }
+        }
+    }
+    
+    // Update the surface
+    object.update();
+    
+    // Geometry-based color schemes depend on the new surface
+    if (object.enableColors && CURVATURE_SCHEMES[config.colorScheme]) {
+        updateCurvatureColors(object, sampleField);
+    }
+}
+
+// Evaluate the chosen curvature measure at a point in field coordinates. Derivatives
+// are central differences of the implicit field, converted to world units with the
+// per-axis world size of one field unit so that anisotropic scale is accounted for.
+function computeCurvature(sampleField, x, y, z, scheme, s) {
+    const h = 1e-3;
+    const f = (dx, dy, dz) => sampleField(x + dx * h, y + dy * h, z + dz * h);
+    
+    const f0 = f(0, 0, 0);
+    const fx1 = f(1, 0, 0), fx0 = f(-1, 0, 0);
+    const fy1 = f(0, 1, 0), fy0 = f(0, -1, 0);
+    const fz1 = f(0, 0, 1), fz0 = f(0, 0, -1);
+    
+    // World-space gradient
+    const gx = (fx1 - fx0) / (2 * h) / s[0];
+    const gy = (fy1 - fy0) / (2 * h) / s[1];
+    const gz = (fz1 - fz0) / (2 * h) / s[2];
+    const g2 = gx * gx + gy * gy + gz * gz;
+    const gLength = Math.sqrt(g2);
+    
+    if (scheme === 'gradientMagnitude') return gLength;
+    if (gLength < 1e-9) return 0;
+    
+    // World-space Hessian
+    const hxx = (fx1 - 2 * f0 + fx0) / (h * h) / (s[0] * s[0]);
+    const hyy = (fy1 - 2 * f0 + fy0) / (h * h) / (s[1] * s[1]);
+    const hzz = (fz1 - 2 * f0 + fz0) / (h * h) / (s[2] * s[2]);
+    const hxy = (f(1, 1, 0) - f(1, -1, 0) - f(-1, 1, 0) + f(-1, -1, 0)) / (4 * h * h) / (s[0] * s[1]);
+    const hxz = (f(1, 0, 1) - f(1, 0, -1) - f(-1, 0, 1) + f(-1, 0, -1)) / (4 * h * h) / (s[0] * s[2]);
+    const hyz = (f(0, 1, 1) - f(0, 1, -1) - f(0, -1, 1) + f(0, -1, -1)) / (4 * h * h) / (s[1] * s[2]);
+    
+    if (scheme === 'meanCurvature') {
+        // H = (g'Hg - |g|^2 tr(H)) / (2 |g|^3)
+        const gHg = gx * (hxx * gx + hxy * gy + hxz * gz) +
+                    gy * (hxy * gx + hyy * gy + hyz * gz) +
+                    gz * (hxz * gx + hyz * gy + hzz * gz);
+        return (gHg - g2 * (hxx + hyy + hzz)) / (2 * g2 * gLength);
+    }
+    
+    // K = g' adj(H) g / |g|^4
+    const axx = hyy * hzz - hyz * hyz;
+    const ayy = hxx * hzz - hxz * hxz;
+    const azz = hxx * hyy - hxy * hxy;
+    const axy = hxz * hyz - hxy * hzz;
+    const axz = hxy * hyz - hxz * hyy;
+    const ayz = hxy * hxz - hxx * hyz;
+    const gAg = gx * (axx * gx + axy * gy + axz * gz) +
+                gy * (axy * gx + ayy * gy + ayz * gz) +
+                gz * (axz * gx + ayz * gy + azz * gz);
+    return gAg / (g2 * g2);
+}
+
+// Write curvature colors into the marching cubes color buffer
+function updateCurvatureColors(object, sampleField) {
+    const scheme = CURVATURE_SCHEMES[config.colorScheme];
+    const positions = object.positionArray;
+    const colors = object.colorArray;
+    const range = config.curvatureRange;
+    let absoluteSum = 0;
+    
+    // World size of one field unit along each axis
+    const mapping = getFieldMapping(object.size);
+    const tiles = config.tilingMode === 'instanced' ? config.cellCount : 1;
+    const worldScale = [object.scale.x / tiles, object.scale.y / tiles, object.scale.z / tiles];
+    
+    for (let i = 0; i < object.count; i++) {
+        const value = computeCurvature(
+            sampleField,
+            mapping.localToField(positions[i * 3]),
+            mapping.localToField(positions[i * 3 + 1]),
+            mapping.localToField(positions[i * 3 + 2]),
+            config.colorScheme,
+            worldScale
+        );
+        absoluteSum += Math.abs(value);
+        
+        const color = scheme.diverging
+            ? sampleColorMap(DIVERGING_COLORS, value / range * 0.5 + 0.5)
+            : sampleColorMap(SEQUENTIAL_COLORS, value / range);
+        colors[i * 3] = color[0];
+        colors[i * 3 + 1] = color[1];
+        colors[i * 3 + 2] = color[2];
+    }
+    
+    object.geometry.getAttribute('color').needsUpdate = true;
+    
+    // Average magnitude makes it easy to check a minimal surface (H close to 0)
+    const meanValue = document.getElementById('curvatureMean');
+    if (meanValue) {
+        meanValue.textContent = object.count > 0 ? (absoluteSum / object.count).toFixed(4) : '-';
+    }
+}
+
+// Draw the color scale for the active curvature scheme
+function updateColorLegend() {
+    const legend = document.getElementById('colorLegend');
+    const canvas = document.getElementById('colorLegendBar');
+    const scheme = CURVATURE_SCHEMES[config.colorScheme];
+    if (!legend || !canvas) return;
+    
+    legend.style.display = scheme ? 'block' : 'none';
+    if (!scheme) return;
+    
+    const context = canvas.getContext('2d');
+    const stops = scheme.diverging ? DIVERGING_COLORS : SEQUENTIAL_COLORS;
+    const barHeight = 16;
+    const gradient = context.createLinearGradient(0, 0, canvas.width, 0);
+    stops.forEach(function(color, i) {
+        gradient.addColorStop(i / (stops.length - 1), `rgb(${color.map(c => Math.round(c * 255)).join(', ')})`);
+    });
+    
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, barHeight);
+    
+    // Scale labels
+    const range = config.curvatureRange;
+    context.fillStyle = document.body.classList.contains('dark-mode') ? '#f5f5f7' : '#1d1d1f';
+    context.font = '10px sans-serif';
+    context.textAlign = 'left';
+    context.fillText(scheme.diverging ? (-range).toFixed(2) : '0', 0, canvas.height - 2);
+    context.textAlign = 'center';
+    context.fillText(scheme.diverging ? `0 (${scheme.unit})` : scheme.unit, canvas.width / 2, canvas.height - 2);
+    context.textAlign = 'right';
+    context.fillText(range.toFixed(2), canvas.width, canvas.height - 2);
+    
+    const title = document.getElementById('colorLegendTitle');
+    if (title) title.textContent = scheme.label;
+}
+
+// Build an indexed, welded copy of the current marched surface with the scale baked in
+function buildWeldedGeometry() {
+    if (!gyroid) return null;
+    
+    // The field is not updated every frame while ray marching
+    if (raymarchMesh) updateGyroidField(gyroid);
+    if (gyroid.count === 0) return null;
+    
+    // Copy only the triangles MarchingCubes actually generated
+    const cellPositions = gyroid.positionArray.slice(0, gyroid.count * 3);
+    let positions = cellPositions;
+    
+    // Repeat the unit cell for every tile so the whole lattice is exported
+    if (config.tilingMode === 'instanced') {
+        const matrices = getTileMatrices();
+        const tile = new THREE.BufferAttribute(new Float32Array(cellPositions.length), 3);
+        positions = new Float32Array(cellPositions.length * matrices.length);
+        
+        matrices.forEach(function(matrix, i) {
+            tile.array.set(cellPositions);
+            tile.applyMatrix4(matrix);
+            positions.set(tile.array, i * cellPositions.length);
+        });
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    
+    // Bake the current scale into the vertices
+    geometry.scale(gyroid.scale.x, gyroid.scale.y, gyroid.scale.z);
+    
+    // Weld duplicate vertices (MarchingCubes emits a triangle soup)
+    const welded = mergeVertices(geometry, 1e-4);
+    geometry.dispose();
+    
+    // Drop triangles that collapsed to a line or point during welding
+    const index = welded.getIndex().array;
+    const cleanIndex = [];
+    for (let i = 0; i < index.length; i += 3) {
+        const a = index[i], b = index[i + 1], c = index[i + 2];
+        if (a !== b && b !== c && a !== c) cleanIndex.push(a, b, c);
+    }
+    welded.setIndex(cleanIndex);
+    
+    return welded;
+}
+
+// Build the geometry to export, optionally solidified into a shell
+function buildExportGeometry() {
+    let geometry = buildWeldedGeometry();
+    if (!geometry) return null;
+    
+    geometry.computeVertexNormals();
+    
+    if (config.exportMode === 'solid') {
+        const solid = solidifyGeometry(geometry, config.shellThickness);
+        geometry.dispose();
+        geometry = solid;
+    }
+    
+    return geometry;
+}
+
+// Offset the sheet along its normals in both directions and stitch the
+// open boundaries together to produce a closed, printable shell
+function solidifyGeometry(geometry, thickness) {
+    const positions = geometry.getAttribute('position');
+    const normals = geometry.getAttribute('normal');
+    const index = geometry.getIndex().array;
+    const vertexCount = positions.count;
+    const halfThickness = thickness / 2;
+    
+    // Outer vertices first, inner vertices offset by vertexCount
+    const solidPositions = new Float32Array(vertexCount * 6);
+    for (let i = 0; i < vertexCount; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const p = positions.array[i * 3 + axis];
+            const n = normals.array[i * 3 + axis];
+            solidPositions[i * 3 + axis] = p + n * halfThickness;
+            solidPositions[(i + vertexCount) * 3 + axis] = p - n * halfThickness;
+        }
+    }
+    
+    // Count how many faces use each undirected edge to find the boundary
+    const edgeUse = new Map();
+    const edgeKey = (a, b) => a < b ? a * vertexCount + b : b * vertexCount + a;
+    for (let i = 0; i < index.length; i += 3) {
+        for (let e = 0; e < 3; e++) {
+            const key = edgeKey(index[i + e], index[i + (e + 1) % 3]);
+            edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+        }
+    }
+    
+    const solidIndex = [];
+    for (let i = 0; i < index.length; i += 3) {
+        const a = index[i], b = index[i + 1], c = index[i + 2];
+        
+        // Outer face keeps its winding, inner face is flipped
+        solidIndex.push(a, b, c);
+        solidIndex.push(a + vertexCount, c + vertexCount, b + vertexCount);
+        
+        // Close any boundary edge with a quad joining the two offsets
+        for (let e = 0; e < 3; e++) {
+            const v0 = index[i + e];
+            const v1 = index[i + (e + 1) % 3];
+            if (edgeUse.get(edgeKey(v0, v1)) === 1) {
+                solidIndex.push(v1, v0, v0 + vertexCount);
+                solidIndex.push(v1, v0 + vertexCount, v1 + vertexCount);
+            }
+        }
+    }
+    
+    const solid = new THREE.BufferGeometry();
+    solid.setAttribute('position', new THREE.BufferAttribute(solidPositions, 3));
+    solid.setIndex(solidIndex);
+    solid.computeVertexNormals();
+    
+    return solid;
+}
+
+// Compute porosity, surface area, topology and wall thickness of the current lattice
+function computeMetrics() {
+    if (!gyroid) return null;
+    
+    const size = gyroid.size;
+    const size2 = size * size;
+    const field = gyroid.field;
+    const isolation = gyroid.isolation;
+    
+    // World-space size of one grid cell (MarchingCubes spans [-1, 1] locally,
+    // in instanced mode the grid holds a single tile)
+    const mapping = getFieldMapping(size);
+    const tiles = config.tilingMode === 'instanced' ? config.cellCount : 1;
+    const fieldStep = mapping.cellToField(1) - mapping.cellToField(0);
+    const spacing = gyroid.scale.clone().multiplyScalar(fieldStep / tiles);
+    
+    // Solid volume fraction from the sampled field
+    let solidCells = 0;
+    for (let i = 0; i < field.length; i++) {
+        if (field[i] > isolation) solidCells++;
+    }
+    const solidFraction = solidCells / field.length;
+    const solidVolume = solidFraction * 8 * gyroid.scale.x * gyroid.scale.y * gyroid.scale.z;
+    
+    // Surface area and Euler characteristic from the welded mesh
+    const geometry = buildWeldedGeometry();
+    let area = 0;
+    let eulerCharacteristic = 0;
+    let genus = 0;
+    
+    if (geometry) {
+        const positions = geometry.getAttribute('position');
+        const index = geometry.getIndex().array;
+        const vertexCount = positions.count;
+        const triangle = new THREE.Triangle();
+        
+        // Union-find to count connected components of the surface and its boundary
+        const parent = new Int32Array(vertexCount).map((_, i) => i);
+        const find = function(i) {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => { parent[find(a)] = find(b); };
+        
+        const edgeUse = new Map();
+        for (let i = 0; i < index.length; i += 3) {
+            triangle.setFromAttributeAndIndices(positions, index[i], index[i + 1], index[i + 2]);
+            area += triangle.getArea();
+            
+            for (let e = 0; e < 3; e++) {
+                const a = index[i + e], b = index[i + (e + 1) % 3];
+                const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+                edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+                union(a, b);
+            }
+        }
+        
+        // V - E + F
+        const faceCount = index.length / 3;
+        eulerCharacteristic = vertexCount - edgeUse.size + faceCount;
+        
+        const components = new Set();
+        for (let i = 0; i < vertexCount; i++) components.add(find(i));
+        
+        // Boundary loops are the connected groups of edges used by a single face
+        for (let i = 0; i < vertexCount; i++) parent[i] = i;
+        const boundaryVertices = new Set();
+        edgeUse.forEach(function(count, key) {
+            if (count !== 1) return;
+            const a = Math.floor(key / vertexCount), b = key % vertexCount;
+            union(a, b);
+            boundaryVertices.add(a);
+            boundaryVertices.add(b);
+        });
+        const boundaryLoops = new Set();
+        boundaryVertices.forEach(v => boundaryLoops.add(find(v)));
+        
+        // chi = 2c - 2g - b for c components with b boundary loops
+        genus = Math.max(0, (2 * components.size - eulerCharacteristic - boundaryLoops.size) / 2);
+        
+        geometry.dispose();
+    }
+    
+    // Wall thickness: distance from each solid cell to the nearest void cell,
+    // sampled on ridge cells (local maxima) where it is half the wall width
+    const distance = new Float32Array(field.length);
+    for (let i = 0; i < field.length; i++) {
+        distance[i] = field[i] > isolation ? Infinity : 0;
+    }
+    propagateDistances(distance, size, spacing);
+    
+    const thickness = [];
+    for (let z = 1; z < size - 1; z++) {
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const index = size2 * z + size * y + x;
+                const d = distance[index];
+                if (d === 0 || d === Infinity) continue;
+                
+                if (d >= distance[index - 1] && d >= distance[index + 1] &&
+                    d >= distance[index - size] && d >= distance[index + size] &&
+                    d >= distance[index - size2] && d >= distance[index + size2]) {
+                    thickness.push(d * 2);
+                }
+            }
+        }
+    }
+    
+    return {
+        porosity: 1 - solidFraction,
+        solidVolume,
+        area,
+        surfaceToVolume: solidVolume > 0 ? area / solidVolume : 0,
+        eulerCharacteristic,
+        genus,
+        thickness
+    };
+}
+
+// Refresh the metrics panel
+function updateMetricsPanel() {
+    const metrics = computeMetrics();
+    const metricsElement = document.getElementById('metrics');
+    if (!metrics || !metricsElement) return;
+    
+    metricsElement.innerHTML =
+        `Porosity: ${(metrics.porosity * 100).toFixed(1)}%<br>` +
+        `Solid Volume: ${metrics.solidVolume.toFixed(3)}<br>` +
+        `Surface Area: ${metrics.area.toFixed(3)}<br>` +
+        `Surface/Volume: ${metrics.surfaceToVolume.toFixed(2)}<br>` +
+        `Euler Characteristic: ${metrics.eulerCharacteristic}<br>` +
+        `Genus (est.): ${metrics.genus.toFixed(0)}`;
+    
+    drawThicknessHistogram(metrics.thickness);
+}
+
+// Draw the wall thickness histogram
+function drawThicknessHistogram(values) {
+    const canvas = document.getElementById('thicknessHistogram');
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const binCount = 20;
+    context.clearRect(0, 0, width, height);
+    
+    if (values.length === 0) return;
+    
+    // Bin the samples between zero and the thickest wall
+    const maxValue = values.reduce((a, b) => Math.max(a, b), 0);
+    const bins = new Array(binCount).fill(0);
+    values.forEach(function(value) {
+        bins[Math.min(binCount - 1, Math.floor(value / maxValue * binCount))]++;
+    });
+    const maxBin = Math.max(...bins);
+    
+    const gradient = context.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#ff9500');  // Orange
+    gradient.addColorStop(1, '#af52de');  // Purple
+    context.fillStyle = gradient;
+    
+    const labelHeight = 14;
+    const barWidth = width / binCount;
+    bins.forEach(function(count, i) {
+        const barHeight = count / maxBin * (height - labelHeight);
+        context.fillRect(i * barWidth + 1, height - labelHeight - barHeight, barWidth - 2, barHeight);
+    });
+    
+    // Axis labels
+    context.fillStyle = document.body.classList.contains('dark-mode') ? '#f5f5f7' : '#1d1d1f';
+    context.font = '10px sans-serif';
+    context.textAlign = 'left';
+    context.fillText('0', 0, height - 2);
+    context.textAlign = 'right';
+    context.fillText(maxValue.toFixed(3), width, height - 2);
+}
+
+// Create the translucent slicing plane and the gizmo used to move it
+function createSlicePlane() {
+    sliceHelper = new THREE.Mesh(
+        new THREE.PlaneGeometry(3, 3),
+        new THREE.MeshBasicMaterial({
+            color: 0xff9500,
+            transparent: true,
+            opacity: 0.15,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+    );
+    
+    // Start as a horizontal plane through the origin
+    sliceHelper.rotation.x = -Math.PI / 2;
+    sliceHelper.visible = false;
+    scene.add(sliceHelper);
+    
+    sliceGizmo = new TransformControls(camera, renderer.domElement);
+    sliceGizmo.setMode(config.sliceGizmoMode);
+    sliceGizmo.enabled = false;
+    sliceGizmo.visible = false;
+    sliceGizmo.attach(sliceHelper);
+    scene.add(sliceGizmo);
+    
+    // Don't orbit the camera while dragging the gizmo
+    sliceGizmo.addEventListener('dragging-changed', function(event) {
+        controls.enabled = !event.value;
+    });
+    
+    updateClipPlane();
+}
+
+// Derive the clipping plane from the helper, keeping the side below it
+function updateClipPlane() {
+    if (!sliceHelper) return;
+    
+    sliceHelper.updateMatrixWorld();
+    const normal = new THREE.Vector3(0, 0, -1).applyQuaternion(sliceHelper.quaternion);
+    clipPlane.setFromNormalAndCoplanarPoint(normal, sliceHelper.position);
+}
+
+// Turn the slicing plane on or off
+function setSliceEnabled(enabled) {
+    config.sliceEnabled = enabled;
+    
+    sliceHelper.visible = enabled;
+    sliceGizmo.visible = enabled;
+    sliceGizmo.enabled = enabled;
+    
+    if (material) {
+        material.clippingPlanes = enabled ? [clipPlane] : [];
+        material.needsUpdate = true;
+    }
+    
+    const sliceView = document.getElementById('sliceView');
+    if (sliceView) {
+        sliceView.style.display = enabled ? 'block' : 'none';
+    }
+}
+
+// Extract iso-contour segments from a grid of values with marching squares.
+// Returns segments as [x1, y1, x2, y2] in grid coordinates.
+function traceContours(values, columns, rows, iso) {
+    const segments = [];
+    const at = (x, y) => values[y * columns + x];
+    
+    // Interpolated crossing point along an edge
+    const lerp = (a, b, va, vb) => a + (b - a) * (iso - va) / (vb - va);
+    
+    for (let y = 0; y < rows - 1; y++) {
+        for (let x = 0; x < columns - 1; x++) {
+            const v0 = at(x, y), v1 = at(x + 1, y), v2 = at(x + 1, y + 1), v3 = at(x, y + 1);
+            if (isNaN(v0) || isNaN(v1) || isNaN(v2) || isNaN(v3)) continue;
+            
+            // Crossings on each of the four cell edges
+            const points = [];
+            if ((v0 > iso) !== (v1 > iso)) points.push([lerp(x, x + 1, v0, v1), y]);
+            if ((v1 > iso) !== (v2 > iso)) points.push([x + 1, lerp(y, y + 1, v1, v2)]);
+            if ((v2 > iso) !== (v3 > iso)) points.push([lerp(x + 1, x, v2, v3), y + 1]);
+            if ((v3 > iso) !== (v0 > iso)) points.push([x, lerp(y + 1, y, v3, v0)]);
+            
+            if (points.length === 2) {
+                segments.push([points[0][0], points[0][1], points[1][0], points[1][1]]);
+            } else if (points.length === 4) {
+                // Saddle: resolve using the value at the cell centre
+                const centre = (v0 + v1 + v2 + v3) / 4;
+                if ((centre > iso) === (v0 > iso)) {
+                    segments.push([...points[0], ...points[1]], [...points[2], ...points[3]]);
+                } else {
+                    segments.push([...points[0], ...points[3]], [...points[1], ...points[2]]);
+                }
+            }
+        }
+    }
+    
+    return segments;
+}
+
+// Sample the field on the slicing plane and draw its iso-contour
+function drawSliceView() {
+    const canvas = document.getElementById('sliceView');
+    if (!canvas || !gyroid) return;
+    
+    const context = canvas.getContext('2d');
+    const resolution = config.sliceResolution;
+    
+    // Sample the whole lattice directly, whatever the tiling mode
+    const sampleField = createFieldSampler(gyroid.size, config.cellCount);
+    
+    // In-plane axes of the helper, covering the whole scaled volume
+    const origin = sliceHelper.position;
+    const u = new THREE.Vector3(1, 0, 0).applyQuaternion(sliceHelper.quaternion);
+    const v = new THREE.Vector3(0, 1, 0).applyQuaternion(sliceHelper.quaternion);
+    const extent = Math.max(gyroid.scale.x, gyroid.scale.y, gyroid.scale.z) * Math.sqrt(3);
+    
+    // Map plane samples into the marching cubes object's normalized space
+    gyroid.updateMatrixWorld();
+    const worldToLocal = gyroid.matrixWorld.clone().invert();
+    const point = new THREE.Vector3();
+    const values = new Float32Array(resolution * resolution);
+    
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            const s = (i / (resolution - 1) * 2 - 1) * extent;
+            const t = (1 - j / (resolution - 1) * 2) * extent;
+            point.copy(origin).addScaledVector(u, s).addScaledVector(v, t).applyMatrix4(worldToLocal);
+            
+            const outside = Math.abs(point.x) > 1 || Math.abs(point.y) > 1 || Math.abs(point.z) > 1;
+            values[j * resolution + i] = outside ? NaN : sampleField(point.x, point.y, point.z);
+        }
+    }
+    
+    const isDarkMode = document.body.classList.contains('dark-mode');
+    const cellSize = canvas.width / (resolution - 1);
+    context.fillStyle = isDarkMode ? '#1d1d1f' : '#f5f5f7';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Shade the solid side of the section
+    context.fillStyle = 'rgba(175, 82, 222, 0.25)';
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            if (values[j * resolution + i] > config.isoLevel) {
+                context.fillRect((i - 0.5) * cellSize, (j - 0.5) * cellSize, cellSize, cellSize);
+            }
+        }
+    }
+    
+    // Contour lines
+    context.strokeStyle = '#ff9500';
+    context.lineWidth = 1.5;
+    context.beginPath();
+    traceContours(values, resolution, resolution, config.isoLevel).forEach(function(segment) {
+        context.moveTo(segment[0] * cellSize, segment[1] * cellSize);
+        context.lineTo(segment[2] * cellSize, segment[3] * cellSize);
+    });
+    context.stroke();
+}
+
+// Export iso-contours at evenly spaced heights through the lattice as one SVG
+function exportSliceStack() {
+    if (!gyroid) return;
+    
+    const resolution = config.sliceResolution;
+    const count = config.sliceCount;
+    const sampleField = createFieldSampler(gyroid.size, config.cellCount);
+    
+    // Slices are horizontal in the lattice's own (unrotated) frame, in scene units
+    const width = 2 * gyroid.scale.x;
+    const depth = 2 * gyroid.scale.z;
+    const columns = Math.ceil(Math.sqrt(count));
+    const margin = 0.2 * Math.max(width, depth);
+    const pixelsPerUnit = 100;
+    const cellWidth = (width + margin) * pixelsPerUnit;
+    const cellHeight = (depth + margin) * pixelsPerUnit;
+    const svgWidth = columns * cellWidth;
+    const svgHeight = Math.ceil(count / columns) * cellHeight;
+    
+    const layers = [];
+    const values = new Float32Array(resolution * resolution);
+    
+    for (let layer = 0; layer < count; layer++) {
+        // Evenly spaced, centred within each layer's band
+        const ny = (layer + 0.5) / count * 2 - 1;
+        
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                values[j * resolution + i] = sampleField(i / (resolution - 1) * 2 - 1, ny, j / (resolution - 1) * 2 - 1);
+            }
+        }
+        
+        const offsetX = (layer % columns) * cellWidth + margin / 2 * pixelsPerUnit;
+        const offsetY = Math.floor(layer / columns) * cellHeight + margin / 2 * pixelsPerUnit;
+        const scaleU = width * pixelsPerUnit / (resolution - 1);
+        const scaleV = depth * pixelsPerUnit / (resolution - 1);
+        
+        const path = traceContours(values, resolution, resolution, config.isoLevel).map(function(segment) {
+            return `M${(offsetX + segment[0] * scaleU).toFixed(2)} ${(offsetY + segment[1] * scaleV).toFixed(2)}` +
+                   `L${(offsetX + segment[2] * scaleU).toFixed(2)} ${(offsetY + segment[3] * scaleV).toFixed(2)}`;
+        }).join('');
+        
+        const height = ny * gyroid.scale.y;
+        layers.push(
+            `  <g id="layer-${layer}" data-height="${height.toFixed(4)}">\n` +
+            `    <rect x="${offsetX}" y="${offsetY}" width="${width * pixelsPerUnit}" height="${depth * pixelsPerUnit}" fill="none" stroke="#cccccc"/>\n` +
+            `    <text x="${offsetX}" y="${offsetY - 4}" font-size="12" font-family="sans-serif">y = ${height.toFixed(3)}</text>\n` +
+            `    <path d="${path}" fill="none" stroke="#ff0000" stroke-width="1"/>\n` +
+            `  </g>`
+        );
+    }
+    
+    const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">\n` +
+        layers.join('\n') +
+        `\n</svg>\n`;
+    
+    downloadFile(svg, `${config.surfaceType}-slices.svg`, 'image/svg+xml');
+}
+
+// Capture the current parameters and camera pose as a keyframe
+function captureKeyframe(time) {
+    return {
+        time,
+        isoLevel: config.isoLevel,
+        scaleX: config.scaleX,
+        scaleY: config.scaleY,
+        scaleZ: config.scaleZ,
+        surfaceType: config.surfaceType,
+        cameraPosition: camera.position.clone(),
+        cameraTarget: controls.target.clone()
+    };
+}
+
+// Add (or replace) a keyframe at the current timeline time
+function addKeyframe() {
+    const keyframe = captureKeyframe(timeline.time);
+    
+    // Replace any keyframe already at this time
+    timeline.keyframes = timeline.keyframes.filter(k => Math.abs(k.time - keyframe.time) > 0.01);
+    timeline.keyframes.push(keyframe);
+    timeline.keyframes.sort((a, b) => a.time - b.time);
+    
+    updateKeyframeList();
+}
+
+// Remove the keyframe closest to the current timeline time
+function deleteKeyframe() {
+    if (timeline.keyframes.length === 0) return;
+    
+    let closest = timeline.keyframes[0];
+    timeline.keyframes.forEach(function(keyframe) {
+        if (Math.abs(keyframe.time - timeline.time) < Math.abs(closest.time - timeline.time)) {
+            closest = keyframe;
+        }
+    });
+    timeline.keyframes = timeline.keyframes.filter(k => k !== closest);
+    if (timeline.keyframes.length === 0) {
+        releaseTimelineMorph();
+    }
+    
+    updateKeyframeList();
+}
+
+// Apply the interpolated keyframe state at the given time
+function applyTimeline(time) {
+    const keyframes = timeline.keyframes;
+    if (keyframes.length === 0) return;
+    
+    // Find the keyframes either side of the time, holding the ends
+    let k0 = keyframes[0];
+    let k1 = keyframes[keyframes.length - 1];
+    for (let i = 0; i < keyframes.length - 1; i++) {
+        if (time >= keyframes[i].time && time <= keyframes[i + 1].time) {
+            k0 = keyframes[i];
+            k1 = keyframes[i + 1];
+            break;
+        }
+    }
+    if (time <= keyframes[0].time) k1 = k0;
+    if (time >= keyframes[keyframes.length - 1].time) k0 = k1;
+    
+    const span = k1.time - k0.time;
+    const t = span > 0 ? (time - k0.time) / span : 0;
+    const lerp = (a, b) => a + (b - a) * t;
+    
+    config.isoLevel = lerp(k0.isoLevel, k1.isoLevel);
+    config.scaleX = lerp(k0.scaleX, k1.scaleX);
+    config.scaleY = lerp(k0.scaleY, k1.scaleY);
+    config.scaleZ = lerp(k0.scaleZ, k1.scaleZ);
+    
+    // Surface type changes are shown as a morph driven by the timeline
+    morph.next = null;
+    morph.from = k0.surfaceType;
+    morph.to = k1.surfaceType;
+    morph.manualBlend = t;
+    config.surfaceType = k1.surfaceType;
+    
+    camera.position.lerpVectors(k0.cameraPosition, k1.cameraPosition, t);
+    controls.target.lerpVectors(k0.cameraTarget, k1.cameraTarget, t);
+    
+    if (gyroid) {
+        gyroid.isolation = config.isoLevel;
+    }
+    updateLatticeScale();
+    
+    syncControlsToConfig();
+}
+
+// Advance the timeline while playing
+function updateTimeline() {
+    if (!timeline.playing) return;
+    
+    timeline.time += timelineClock.getDelta();
+    
+    let finished = false;
+    if (timeline.time > timeline.duration) {
+        if (timeline.loop) {
+            timeline.time %= timeline.duration;
+        } else {
+            timeline.time = timeline.duration;
+            finished = true;
+        }
+    }
+    
+    applyTimeline(timeline.time);
+    updateTimelineDisplay();
+    
+    // Stop after the last frame is applied so the morph is released from it
+    if (finished) setTimelinePlaying(false);
+}
+
+// Move the scrub slider to the current timeline time
+function updateTimelineDisplay() {
+    const scrubSlider = document.getElementById('timelineScrub');
+    const timeValue = document.getElementById('timelineTimeValue');
+    if (scrubSlider) scrubSlider.value = timeline.time;
+    if (timeValue) timeValue.textContent = timeline.time.toFixed(2);
+}
+
+// Start or stop timeline playback
+function setTimelinePlaying(playing) {
+    timeline.playing = playing;
+    
+    if (playing) {
+        timelineClock.start();
+    } else {
+        timelineClock.stop();
+        releaseTimelineMorph();
+    }
+    
+    const playButton = document.getElementById('timelinePlay');
+    if (playButton) {
+        playButton.textContent = playing ? 'Pause' : 'Play';
+    }
+}
+
+// Show the keyframes as a clickable list
+function updateKeyframeList() {
+    const list = document.getElementById('keyframeList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    timeline.keyframes.forEach(function(keyframe) {
+        const item = document.createElement('div');
+        item.textContent = `${keyframe.time.toFixed(2)}s - ${keyframe.surfaceType}, iso ${keyframe.isoLevel.toFixed(2)}`;
+        item.style.cursor = 'pointer';
+        
+        // Jump to the keyframe
+        item.addEventListener('click', function() {
+            timeline.time = keyframe.time;
+            applyTimeline(timeline.time);
+            updateTimelineDisplay();
+        });
+        
+        list.appendChild(item);
+    });
+}
+
+// Reflect config values changed by code back into the sliders
+function syncControlsToConfig() {
+    const sliders = [
+        ['isoLevel', 2],
+        ['scaleX', 1],
+        ['scaleY', 1],
+        ['scaleZ', 1]
+    ];
+    
+    sliders.forEach(function([id, digits]) {
+        const slider = document.getElementById(id);
+        const display = document.getElementById(`${id}Value`);
+        if (slider) slider.value = config[id];
+        if (display) display.textContent = config[id].toFixed(digits);
+    });
+    
+    const surfaceTypeSelect = document.getElementById('surfaceType');
+    if (surfaceTypeSelect) surfaceTypeSelect.value = config.surfaceType;
+}
+
+// Trigger a browser download for the given data
+function downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(url);
+}
+
+// Export the current surface as STL, OBJ or PLY
+function exportGyroid(format) {
+    const status = document.getElementById('exportStatus');
+    const geometry = buildExportGeometry();
+    if (!geometry) {
+        if (status) status.textContent = 'Nothing to export, the surface is empty';
+        return;
+    }
+    
+    // Exporters work on meshes, so wrap the geometry in a temporary one
+    const mesh = new THREE.Mesh(geometry);
+    const filename = `${config.surfaceType}-${config.exportMode}.${format}`;
+    
+    switch(format) {
+        case 'stl':
+            downloadFile(new STLExporter().parse(mesh, { binary: true }), filename, 'model/stl');
+            break;
+            
+        case 'obj':
+            downloadFile(new OBJExporter().parse(mesh), filename, 'model/obj');
+            break;
+            
+        case 'ply':
+            new PLYExporter().parse(mesh, function(result) {
+                downloadFile(result, filename, 'application/octet-stream');
+            }, { binary: true, littleEndian: true, excludeAttributes: ['color', 'uv'] });
+            break;
+    }
+    
+    if (status) status.textContent = `Exported ${filename}, ${geometry.getIndex().count / 3} triangles`;
+    geometry.dispose();
+}
+
+// Animation loop
+function animate() {
+    requestAnimationFrame(animate);
+    
+    // Update controls
+    controls.update();
+    
+    // Keep the clipping plane attached to its gizmo
+    updateClipPlane();
+    
+    // Drive parameters and camera from the keyframe timeline
+    updateTimeline();
+    
+    // Rotate the gyroid
+    if (gyroid && config.rotationSpeed > 0) {
+        gyroid.rotation.y += 0.002 * config.rotationSpeed;
+    }
+    
+    // The instanced tiles follow the hidden unit cell
+    if (tileMesh) {
+        tileMesh.position.copy(gyroid.position);
+        tileMesh.rotation.copy(gyroid.rotation);
+        tileMesh.scale.copy(gyroid.scale);
+    }
+    
+    if (raymarchMesh) {
+        // The GPU evaluates the field, skip the CPU sampling entirely
+        updateRaymarchUniforms();
+    } else {
+        // Update gyroid field for animation effects
+        updateGyroidField(gyroid);
+    }
+    
+    // Keep the metrics panel in sync without analysing every frame
+    if (clock.elapsedTime - lastMetricsTime > METRICS_INTERVAL) {
+        lastMetricsTime = clock.elapsedTime;
+        
+        // The field is not updated every frame while ray marching
+        if (raymarchMesh) updateGyroidField(gyroid);
+        updateMetricsPanel();
+    }
+    
+    // Redraw the 2D section while slicing
+    if (config.sliceEnabled) {
+        drawSliceView();
+    }
+    
+    // Render the scene
+    renderer.render(scene, camera);
+}
+
+// Handle window resize
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+// Setup UI event listeners
+function setupEventListeners() {
+    // Resolution slider
+    const resolutionSlider = document.getElementById('resolution');
+    const resolutionValue = document.getElementById('resolutionValue');
+    
+    if (resolutionSlider && resolutionValue) {
+        resolutionSlider.value = config.resolution;
+        resolutionValue.textContent = config.resolution;
+        
+        resolutionSlider.addEventListener('input', function() {
+            config.resolution = parseInt(this.value);
+            resolutionValue.textContent = config.resolution;
+            createGyroid();
+        });
+    }
+    
+    // Iso Level slider
+    const isoLevelSlider = document.getElementById('isoLevel');
+    const isoLevelValue = document.getElementById('isoLevelValue');
+    
+    if (isoLevelSlider && isoLevelValue) {
+        isoLevelSlider.value = config.isoLevel;
+        isoLevelValue.textContent = config.isoLevel.toFixed(2);
+        
+        isoLevelSlider.addEventListener('input', function() {
+            config.isoLevel = parseFloat(this.value);
+            isoLevelValue.textContent = config.isoLevel.toFixed(2);
+            
+            if (gyroid) {
+                gyroid.isolation = config.isoLevel;
+                gyroid.update();
+            }
+        });
+    }
+    
+    // Scale X slider
+    const scaleXSlider = document.getElementById('scaleX');
+    const scaleXValue = document.getElementById('scaleXValue');
+    
+    if (scaleXSlider && scaleXValue) {
+        scaleXSlider.value = config.scaleX;
+        scaleXValue.textContent = config.scaleX.toFixed(1);
+        
+        scaleXSlider.addEventListener('input', function() {
+            config.scaleX = parseFloat(this.value);
+            scaleXValue.textContent = config.scaleX.toFixed(1);
+            
+            updateLatticeScale();
+        });
+    }
+    
+    // Scale Y slider
+    const scaleYSlider = document.getElementById('scaleY');
+    const scaleYValue = document.getElementById('scaleYValue');
+    
+    if (scaleYSlider && scaleYValue) {
+        scaleYSlider.value = config.scaleY;
+        scaleYValue.textContent = config.scaleY.toFixed(1);
+        
+        scaleYSlider.addEventListener('input', function() {
+            config.scaleY = parseFloat(this.value);
+            scaleYValue.textContent = config.scaleY.toFixed(1);
+            
+            updateLatticeScale();
+        });
+    }
+    
+    // Scale Z slider
+    const scaleZSlider = document.getElementById('scaleZ');
+    const scaleZValue = document.getElementById('scaleZValue');
+    
+    if (scaleZSlider && scaleZValue) {
+        scaleZSlider.value = config.scaleZ;
+        scaleZValue.textContent = config.scaleZ.toFixed(1);
+        
+        scaleZSlider.addEventListener('input', function() {
+            config.scaleZ = parseFloat(this.value);
+            scaleZValue.textContent = config.scaleZ.toFixed(1);
+            
+            updateLatticeScale();
+        });
+    }
+    
+    // Tiling mode selector
+    const tilingModeSelect = document.getElementById('tilingMode');
+    
+    if (tilingModeSelect) {
+        tilingModeSelect.value = config.tilingMode;
+        
+        tilingModeSelect.addEventListener('change', function() {
+            config.tilingMode = this.value;
+            createGyroid();
+        });
+    }
+    
+    // Cell count slider
+    const cellCountSlider = document.getElementById('cellCount');
+    const cellCountValue = document.getElementById('cellCountValue');
+    
+    if (cellCountSlider && cellCountValue) {
+        cellCountSlider.value = config.cellCount;
+        cellCountValue.textContent = `${config.cellCount}×${config.cellCount}×${config.cellCount}`;
+        
+        cellCountSlider.addEventListener('input', function() {
+            config.cellCount = parseInt(this.value);
+            cellCountValue.textContent = `${config.cellCount}×${config.cellCount}×${config.cellCount}`;
+            createGyroid();
+        });
+    }
+    
+    // Unit cell size slider
+    const cellSizeSlider = document.getElementById('cellSize');
+    const cellSizeValue = document.getElementById('cellSizeValue');
+    
+    if (cellSizeSlider && cellSizeValue) {
+        cellSizeSlider.value = config.cellSize;
+        cellSizeValue.textContent = config.cellSize.toFixed(2);
+        
+        cellSizeSlider.addEventListener('input', function() {
+            config.cellSize = parseFloat(this.value);
+            cellSizeValue.textContent = config.cellSize.toFixed(2);
+            updateLatticeScale();
+        });
+    }
+    
+    // Color scheme selector
+    const colorSchemeSelect = document.getElementById('colorScheme');
+    
+    if (colorSchemeSelect) {
+        colorSchemeSelect.value = config.colorScheme;
+        
+        colorSchemeSelect.addEventListener('change', function() {
+            config.colorScheme = this.value;
+            createGyroid();
+            updateColorLegend();
+        });
+    }
+    
+    // Curvature color range slider
+    const curvatureRangeSlider = document.getElementById('curvatureRange');
+    const curvatureRangeValue = document.getElementById('curvatureRangeValue');
+    
+    if (curvatureRangeSlider && curvatureRangeValue) {
+        curvatureRangeSlider.value = config.curvatureRange;
+        curvatureRangeValue.textContent = config.curvatureRange.toFixed(1);
+        
+        curvatureRangeSlider.addEventListener('input', function() {
+            config.curvatureRange = parseFloat(this.value);
+            curvatureRangeValue.textContent = config.curvatureRange.toFixed(1);
+            updateColorLegend();
+        });
+    }
+    updateColorLegend();
+    
+    // Surface type selector
+    const surfaceTypeSelect = document.getElementById('surfaceType');
+    
+    if (surfaceTypeSelect) {
+        surfaceTypeSelect.value = config.surfaceType;
+        
+        surfaceTypeSelect.addEventListener('change', function() {
+            setSurfaceType(this.value);
+        });
+    }
+    
+    // Custom expression editor
+    const customExpressionInput = document.getElementById('customExpression');
+    const compileExpressionButton = document.getElementById('compileExpression');
+    
+    if (customExpressionInput) {
+        customExpressionInput.value = config.customExpression;
+        
+        customExpressionInput.addEventListener('keydown', function(event) {
+            if (event.key === 'Enter') applyCustomExpression(this.value);
+        });
+    }
+    if (compileExpressionButton && customExpressionInput) {
+        compileExpressionButton.addEventListener('click', function() {
+            applyCustomExpression(customExpressionInput.value);
+        });
+    }
+    applyCustomExpression(config.customExpression);
+    
+    // Morph duration slider
+    const morphDurationSlider = document.getElementById('morphDuration');
+    const morphDurationValue = document.getElementById('morphDurationValue');
+    
+    if (morphDurationSlider && morphDurationValue) {
+        morphDurationSlider.value = config.morphDuration;
+        morphDurationValue.textContent = config.morphDuration.toFixed(1);
+        
+        morphDurationSlider.addEventListener('input', function() {
+            config.morphDuration = parseFloat(this.value);
+            morphDurationValue.textContent = config.morphDuration.toFixed(1);
+        });
+    }
+    
+    // Rotation speed slider
+    const rotationSpeedSlider = document.getElementById('rotationSpeed');
+    const rotationSpeedValue = document.getElementById('rotationSpeedValue');
+    
+    if (rotationSpeedSlider && rotationSpeedValue) {
         rotationSpeedSlider.value = config.rotationSpeed;
         rotationSpeedValue.textContent = config.rotationSpeed.toFixed(1);
         
@@ -434,6 +2693,224 @@ function setupEventListeners() {
         });
     }
     
+    // Grading mode selector
+    const gradingModeSelect = document.getElementById('gradingMode');
+    const densityPanel = document.getElementById('densityPanel');
+    
+    if (gradingModeSelect) {
+        gradingModeSelect.value = config.gradingMode;
+        
+        gradingModeSelect.addEventListener('change', function() {
+            config.gradingMode = this.value;
+            if (densityPanel) {
+                densityPanel.style.display = config.gradingMode === 'painted' ? 'block' : 'none';
+            }
+            if (updateTilingAvailability()) createGyroid();
+        });
+    }
+    
+    // Grading axis selector
+    const gradingAxisSelect = document.getElementById('gradingAxis');
+    
+    if (gradingAxisSelect) {
+        gradingAxisSelect.value = config.gradingAxis;
+        
+        gradingAxisSelect.addEventListener('change', function() {
+            config.gradingAxis = this.value;
+        });
+    }
+    
+    // Grading amount slider
+    const gradingAmountSlider = document.getElementById('gradingAmount');
+    const gradingAmountValue = document.getElementById('gradingAmountValue');
+    
+    if (gradingAmountSlider && gradingAmountValue) {
+        gradingAmountSlider.value = config.gradingAmount;
+        gradingAmountValue.textContent = config.gradingAmount.toFixed(2);
+        
+        gradingAmountSlider.addEventListener('input', function() {
+            config.gradingAmount = parseFloat(this.value);
+            gradingAmountValue.textContent = config.gradingAmount.toFixed(2);
+        });
+    }
+    
+    // Painted density map
+    setupDensityMap();
+    updateTilingAvailability();
+    
+    // Bounding shape selector
+    const boundShapeSelect = document.getElementById('boundShape');
+    
+    if (boundShapeSelect) {
+        boundShapeSelect.value = config.boundShape;
+        
+        boundShapeSelect.addEventListener('change', function() {
+            config.boundShape = this.value;
+            
+            // Switch between the ray-marched and marching cubes renderers
+            const retiled = updateTilingAvailability();
+            if (retiled || config.colorScheme === 'raymarch') createGyroid();
+        });
+    }
+    
+    // Bounding mesh import
+    const boundMeshInput = document.getElementById('boundMeshFile');
+    
+    if (boundMeshInput) {
+        boundMeshInput.addEventListener('change', function() {
+            const file = this.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = function(event) {
+                if (!loadBoundMesh(event.target.result)) return;
+                config.boundShape = 'mesh';
+                if (boundShapeSelect) boundShapeSelect.value = 'mesh';
+                const retiled = updateTilingAvailability();
+                if (retiled || config.colorScheme === 'raymarch') createGyroid();
+            };
+            reader.readAsText(file);
+        });
+    }
+    
+    // Slice toggle button
+    const sliceToggleButton = document.getElementById('sliceToggle');
+    
+    if (sliceToggleButton) {
+        sliceToggleButton.addEventListener('click', function() {
+            setSliceEnabled(!config.sliceEnabled);
+            this.textContent = config.sliceEnabled ? 'Disable Slice' : 'Enable Slice';
+        });
+    }
+    
+    // Slice gizmo mode selector
+    const sliceGizmoModeSelect = document.getElementById('sliceGizmoMode');
+    
+    if (sliceGizmoModeSelect) {
+        sliceGizmoModeSelect.value = config.sliceGizmoMode;
+        
+        sliceGizmoModeSelect.addEventListener('change', function() {
+            config.sliceGizmoMode = this.value;
+            sliceGizmo.setMode(config.sliceGizmoMode);
+        });
+    }
+    
+    // Slice count slider
+    const sliceCountSlider = document.getElementById('sliceCount');
+    const sliceCountValue = document.getElementById('sliceCountValue');
+    
+    if (sliceCountSlider && sliceCountValue) {
+        sliceCountSlider.value = config.sliceCount;
+        sliceCountValue.textContent = config.sliceCount;
+        
+        sliceCountSlider.addEventListener('input', function() {
+            config.sliceCount = parseInt(this.value);
+            sliceCountValue.textContent = config.sliceCount;
+        });
+    }
+    
+    // Slice stack export button
+    const exportSlicesButton = document.getElementById('exportSlices');
+    
+    if (exportSlicesButton) {
+        exportSlicesButton.addEventListener('click', exportSliceStack);
+    }
+    
+    // Timeline keyframe buttons
+    const addKeyframeButton = document.getElementById('addKeyframe');
+    if (addKeyframeButton) {
+        addKeyframeButton.addEventListener('click', addKeyframe);
+    }
+    
+    const deleteKeyframeButton = document.getElementById('deleteKeyframe');
+    if (deleteKeyframeButton) {
+        deleteKeyframeButton.addEventListener('click', deleteKeyframe);
+    }
+    
+    // Timeline scrub slider
+    const timelineScrubSlider = document.getElementById('timelineScrub');
+    const timelineTimeValue = document.getElementById('timelineTimeValue');
+    
+    if (timelineScrubSlider && timelineTimeValue) {
+        timelineScrubSlider.max = timeline.duration;
+        timelineScrubSlider.value = timeline.time;
+        timelineTimeValue.textContent = timeline.time.toFixed(2);
+        
+        timelineScrubSlider.addEventListener('input', function() {
+            timeline.time = parseFloat(this.value);
+            timelineTimeValue.textContent = timeline.time.toFixed(2);
+            applyTimeline(timeline.time);
+        });
+    }
+    
+    // Timeline duration slider
+    const timelineDurationSlider = document.getElementById('timelineDuration');
+    const timelineDurationValue = document.getElementById('timelineDurationValue');
+    
+    if (timelineDurationSlider && timelineDurationValue) {
+        timelineDurationSlider.value = timeline.duration;
+        timelineDurationValue.textContent = timeline.duration;
+        
+        timelineDurationSlider.addEventListener('input', function() {
+            timeline.duration = parseFloat(this.value);
+            timelineDurationValue.textContent = timeline.duration;
+            
+            if (timelineScrubSlider) timelineScrubSlider.max = timeline.duration;
+            timeline.time = Math.min(timeline.time, timeline.duration);
+        });
+    }
+    
+    // Play/pause and loop buttons
+    const timelinePlayButton = document.getElementById('timelinePlay');
+    if (timelinePlayButton) {
+        timelinePlayButton.addEventListener('click', function() {
+            setTimelinePlaying(!timeline.playing);
+        });
+    }
+    
+    const timelineLoopButton = document.getElementById('timelineLoop');
+    if (timelineLoopButton) {
+        timelineLoopButton.addEventListener('click', function() {
+            timeline.loop = !timeline.loop;
+            this.textContent = timeline.loop ? 'Loop: On' : 'Loop: Off';
+        });
+    }
+    
+    // Export mode selector
+    const exportModeSelect = document.getElementById('exportMode');
+    
+    if (exportModeSelect) {
+        exportModeSelect.value = config.exportMode;
+        
+        exportModeSelect.addEventListener('change', function() {
+            config.exportMode = this.value;
+        });
+    }
+    
+    // Shell thickness slider
+    const shellThicknessSlider = document.getElementById('shellThickness');
+    const shellThicknessValue = document.getElementById('shellThicknessValue');
+    
+    if (shellThicknessSlider && shellThicknessValue) {
+        shellThicknessSlider.value = config.shellThickness;
+        shellThicknessValue.textContent = config.shellThickness.toFixed(2);
+        
+        shellThicknessSlider.addEventListener('input', function() {
+            config.shellThickness = parseFloat(this.value);
+            shellThicknessValue.textContent = config.shellThickness.toFixed(2);
+        });
+    }
+    
+    // Export buttons
+    ['stl', 'obj', 'ply'].forEach(function(format) {
+        const exportButton = document.getElementById(`export${format.toUpperCase()}`);
+        if (exportButton) {
+            exportButton.addEventListener('click', function() {
+                exportGyroid(format);
+            });
+        }
+    });
+    
     // Grid toggle button
     const gridToggleButton = document.getElementById('gridToggle');
     if (gridToggleButton) {
@@ -462,6 +2939,65 @@ function setupEventListeners() {
 
 }
 
+// Setup the canvas used to paint the density map
+function setupDensityMap() {
+    const canvas = document.getElementById('densityMap');
+    if (!canvas) return;
+    
+    canvas.width = DENSITY_MAP_SIZE;
+    canvas.height = DENSITY_MAP_SIZE;
+    const context = canvas.getContext('2d');
+    
+    // Read the canvas back into the density buffer
+    const syncDensityMap = function() {
+        const pixels = context.getImageData(0, 0, DENSITY_MAP_SIZE, DENSITY_MAP_SIZE).data;
+        for (let i = 0; i < densityMapData.length; i++) {
+            densityMapData[i] = pixels[i * 4] / 255;
+        }
+    };
+    
+    // Start from a neutral mid-grey (no iso-level shift)
+    const clearDensityMap = function() {
+        context.fillStyle = 'rgb(128, 128, 128)';
+        context.fillRect(0, 0, DENSITY_MAP_SIZE, DENSITY_MAP_SIZE);
+        syncDensityMap();
+    };
+    clearDensityMap();
+    
+    // Soft round brush, white raises density and Shift paints it back down
+    let painting = false;
+    const paint = function(event) {
+        const rect = canvas.getBoundingClientRect();
+        const px = (event.clientX - rect.left) / rect.width * DENSITY_MAP_SIZE;
+        const py = (event.clientY - rect.top) / rect.height * DENSITY_MAP_SIZE;
+        const radius = DENSITY_MAP_SIZE * 0.1;
+        const tone = event.shiftKey ? '0, 0, 0' : '255, 255, 255';
+        
+        const brush = context.createRadialGradient(px, py, 0, px, py, radius);
+        brush.addColorStop(0, `rgba(${tone}, 0.3)`);
+        brush.addColorStop(1, `rgba(${tone}, 0)`);
+        context.fillStyle = brush;
+        context.fillRect(px - radius, py - radius, radius * 2, radius * 2);
+        
+        syncDensityMap();
+    };
+    
+    canvas.addEventListener('mousedown', function(event) {
+        painting = true;
+        paint(event);
+    });
+    canvas.addEventListener('mousemove', function(event) {
+        if (painting) paint(event);
+    });
+    window.addEventListener('mouseup', function() {
+        painting = false;
+    });
+    
+    const clearButton = document.getElementById('clearDensityMap');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearDensityMap);
+    }
+}
 
 // Initialize the visualization once the DOM is loaded
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
@@ -0,0 +1,16 @@
+// Seeded random numbers shared by the simulation pages
+
+// Small seedable PRNG (mulberry32), returns floats in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // createRandom(random.getState()) carries on with the same sequence
+    random.getState = () => state;
+    return random;
+}